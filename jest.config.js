@@ -11,10 +11,11 @@ module.exports = {
     '/node_modules/',
     '<rootDir>/src/__tests__/setup.js',
     '<rootDir>/src/__tests__/mocks/',
+    '<rootDir>/src/__tests__/helpers/',
     '<rootDir>/src/__tests__/e2e/setup.js',
     '<rootDir>/src/__tests__/properties/generators.js',
     '<rootDir>/src/__tests__/automation.test.js',
-    '<rootDir>/src/__tests__/utils/'
+    '<rootDir>/src/__tests__/utils/retry.test.js'
   ],
   coverageDirectory: 'coverage',
   collectCoverageFrom: [
@@ -123,6 +123,14 @@ describe('CacheManager', () => {
     });
   });
 
+  describe('startCleanup()', () => {
+    it('does not keep the process alive', () => {
+      cache.startCleanup();
+      expect(cache.cleanupInterval.hasRef()).toBe(false);
+      cache.stopCleanup();
+    });
+  });
+
   describe('getInfo()', () => {
     it('returns exists:false for missing key', () => {
       const info = cache.getInfo('nonexistent');
@@ -0,0 +1,162 @@
+const {
+  ColumnValueError,
+  decode,
+  encode,
+  decodeColumn,
+  parseSettings,
+  getDoneIndexes,
+  getStatusLabels
+} = require('../columnCodec');
+
+describe('columnCodec', () => {
+  const statusColumn = {
+    id: 'status',
+    type: 'status',
+    settings_str: '{"labels":{"0":"Working on it","1":"Done","2":"Stuck"},"done_colors":[1]}'
+  };
+
+  describe('decode()', () => {
+    it('decodes status index and label', () => {
+      expect(decode({ id: 'status', type: 'status', text: 'Done', value: '{"index":1}' }))
+        .toEqual({ index: 1, label: 'Done' });
+    });
+
+    it('falls back to the board label for status values without text', () => {
+      expect(decode({ id: 'status', type: 'status', text: '', value: '{"index":2}' }, statusColumn))
+        .toEqual({ index: 2, label: 'Stuck' });
+    });
+
+    it('decodes priority columns like status columns', () => {
+      expect(decode({ id: 'priority', type: 'priority', text: 'High', value: '{"index":3}' }))
+        .toEqual({ index: 3, label: 'High' });
+    });
+
+    it('decodes people into person and team IDs', () => {
+      const value = '{"personsAndTeams":[{"id":42,"kind":"person"},{"id":7,"kind":"team"}]}';
+      expect(decode({ id: 'person', type: 'people', value })).toEqual({ personIds: ['42'], teamIds: ['7'] });
+    });
+
+    it('decodes dates with and without a time', () => {
+      expect(decode({ id: 'date', type: 'date', value: '{"date":"2026-02-20"}' }))
+        .toEqual({ date: '2026-02-20', time: null });
+      expect(decode({ id: 'date', type: 'date', value: '{"date":"2026-02-20","time":"09:30:00"}' }))
+        .toEqual({ date: '2026-02-20', time: '09:30:00' });
+    });
+
+    it('decodes timeline, dropdown, text, numbers, checkbox and link columns', () => {
+      expect(decode({ id: 't', type: 'timeline', value: '{"from":"2026-01-01","to":"2026-01-31"}' }))
+        .toEqual({ from: '2026-01-01', to: '2026-01-31' });
+      expect(decode({ id: 'd', type: 'dropdown', text: 'Backend, API', value: '{"ids":[1,3]}' }))
+        .toEqual({ ids: [1, 3], labels: ['Backend', 'API'] });
+      expect(decode({ id: 'x', type: 'text', text: 'hello', value: '"hello"' })).toBe('hello');
+      expect(decode({ id: 'n', type: 'numbers', text: '42.5', value: '"42.5"' })).toBe(42.5);
+      expect(decode({ id: 'c', type: 'checkbox', value: '{"checked":"true"}' })).toBe(true);
+      expect(decode({ id: 'l', type: 'link', value: '{"url":"https://example.com","text":"Spec"}' }))
+        .toEqual({ url: 'https://example.com', text: 'Spec' });
+    });
+
+    it('returns empty typed values for unset columns', () => {
+      expect(decode({ id: 'status', type: 'status', text: '', value: null })).toEqual({ index: null, label: null });
+      expect(decode({ id: 'person', type: 'people', value: null })).toEqual({ personIds: [], teamIds: [] });
+      expect(decode({ id: 'n', type: 'numbers', value: null })).toBeNull();
+      expect(decode({ id: 'c', type: 'checkbox', value: null })).toBe(false);
+    });
+
+    it('accepts older type names', () => {
+      expect(decode({ id: 'status', type: 'color', text: 'Done', value: '{"index":1}' }).index).toBe(1);
+    });
+
+    it('throws ColumnValueError naming the column for malformed JSON', () => {
+      const error = (() => {
+        try {
+          decode({ id: 'person', type: 'people', value: '{not json' });
+        } catch (e) {
+          return e;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(ColumnValueError);
+      expect(error.message).toMatch(/people column "person": malformed JSON/);
+      expect(error.columnId).toBe('person');
+    });
+
+    it('throws for unsupported column types', () => {
+      expect(() => decode({ id: 'f', type: 'file', value: '{}' })).toThrow(/unsupported column type/);
+    });
+  });
+
+  describe('encode()', () => {
+    it('encodes status by index or label', () => {
+      expect(encode('status', 1)).toEqual({ index: 1 });
+      expect(encode('status', { label: 'Done' })).toEqual({ label: 'Done' });
+      expect(() => encode('status', NaN, 'status')).toThrow(ColumnValueError);
+    });
+
+    it('encodes people as persons', () => {
+      expect(encode('people', ['42', 7])).toEqual({
+        personsAndTeams: [{ id: 42, kind: 'person' }, { id: 7, kind: 'person' }]
+      });
+      expect(() => encode('people', ['abc'])).toThrow(/invalid person ID/);
+    });
+
+    it('encodes and validates dates', () => {
+      expect(encode('date', '2026-03-01')).toEqual({ date: '2026-03-01' });
+      expect(encode('date', { date: '2026-03-01', time: '14:05' })).toEqual({ date: '2026-03-01', time: '14:05:00' });
+      expect(encode('date', new Date('2026-03-01T08:00:00Z'))).toEqual({ date: '2026-03-01', time: '08:00:00' });
+      expect(() => encode('date', '2026-02-30', 'due')).toThrow(/date column "due": invalid date/);
+      expect(() => encode('date', { date: '2026-03-01', time: '25h' })).toThrow(/invalid time/);
+    });
+
+    it('encodes timelines and rejects reversed ranges', () => {
+      expect(encode('timeline', { from: '2026-01-01', to: '2026-01-05' })).toEqual({ from: '2026-01-01', to: '2026-01-05' });
+      expect(() => encode('timeline', { from: '2026-02-01', to: '2026-01-05' })).toThrow(/starts .* after it ends/);
+    });
+
+    it('encodes dropdown, text, numbers, checkbox and link values', () => {
+      expect(encode('dropdown', ['Backend'])).toEqual({ labels: ['Backend'] });
+      expect(encode('dropdown', { ids: [1, 2] })).toEqual({ ids: [1, 2] });
+      expect(encode('text', 'hello')).toBe('hello');
+      expect(encode('long_text', 'notes')).toEqual({ text: 'notes' });
+      expect(encode('numbers', 3.5)).toBe('3.5');
+      expect(encode('checkbox', true)).toEqual({ checked: 'true' });
+      expect(encode('checkbox', false)).toBeNull();
+      expect(encode('link', 'https://example.com')).toEqual({ url: 'https://example.com', text: 'https://example.com' });
+    });
+
+    it('rejects values that do not fit the column type', () => {
+      expect(() => encode('numbers', 'abc')).toThrow(/invalid number/);
+      expect(() => encode('numbers', '')).toThrow(/invalid number/);
+      expect(() => encode('checkbox', 'yes')).toThrow(/expected true or false/);
+      expect(() => encode('link', 'javascript:alert(1)')).toThrow(/invalid URL/);
+      expect(() => encode('text', 5)).toThrow(/expected a string/);
+    });
+
+    it('round-trips values through decode()', () => {
+      const encoded = encode('people', ['42']);
+      expect(decode({ id: 'p', type: 'people', value: JSON.stringify(encoded) }).personIds).toEqual(['42']);
+    });
+  });
+
+  describe('board column helpers', () => {
+    it('decodeColumn() finds and decodes the item value for a column', () => {
+      const item = { column_values: [{ id: 'status', text: 'Stuck', value: '{"index":2}', type: 'status' }] };
+      expect(decodeColumn(item, statusColumn)).toEqual({ index: 2, label: 'Stuck' });
+      expect(decodeColumn({ column_values: [] }, statusColumn)).toBeNull();
+    });
+
+    it('reads done indexes and labels from status settings', () => {
+      expect(getDoneIndexes(statusColumn)).toEqual([1]);
+      expect(getDoneIndexes({ settings_str: '{}' })).toEqual([1]);
+      expect(getStatusLabels(statusColumn)).toEqual([
+        { index: 0, label: 'Working on it' },
+        { index: 1, label: 'Done' },
+        { index: 2, label: 'Stuck' }
+      ]);
+    });
+
+    it('parseSettings() tolerates missing or malformed settings', () => {
+      expect(parseSettings({ settings_str: 'oops' })).toEqual({});
+      expect(parseSettings(undefined)).toEqual({});
+    });
+  });
+});
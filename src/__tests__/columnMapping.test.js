@@ -0,0 +1,85 @@
+const columnMapping = require('../columnMapping');
+const { ColumnMapping } = require('../columnMapping');
+
+describe('columnMapping', () => {
+  const columns = [
+    { id: 'stage', title: 'Stage', type: 'status' },
+    { id: 'qa', title: 'QA', type: 'status' },
+    { id: 'owner', title: 'Owner', type: 'people' },
+    { id: 'reviewer', title: 'Reviewer', type: 'people' },
+    { id: 'start', title: 'Start', type: 'date' },
+    { id: 'due', title: 'Due', type: 'date' },
+    { id: 'priority', title: 'Priority', type: 'priority' }
+  ];
+
+  it('exports a shared singleton instance', () => {
+    expect(columnMapping).toBeInstanceOf(ColumnMapping);
+  });
+
+  it('falls back to the first column of each type for unmapped boards', () => {
+    const mapping = new ColumnMapping({});
+    const roles = mapping.resolve({ id: '1', name: 'Board' }, columns);
+
+    expect(roles.status.id).toBe('stage');
+    expect(roles.assignee.id).toBe('owner');
+    expect(roles.dueDate.id).toBe('start');
+    expect(roles.priority.id).toBe('priority');
+  });
+
+  it('uses the columns mapped for a board ID', () => {
+    const mapping = new ColumnMapping({
+      boards: { 1: { assignee: 'reviewer', status: 'qa', dueDate: 'due' } }
+    });
+    const roles = mapping.resolve({ id: '1', name: 'Board' }, columns);
+
+    expect(roles.assignee.id).toBe('reviewer');
+    expect(roles.status.id).toBe('qa');
+    expect(roles.dueDate.id).toBe('due');
+  });
+
+  it('matches board name patterns in order, after board IDs', () => {
+    const mapping = new ColumnMapping({
+      boards: { 2: { status: 'stage' } },
+      patterns: [
+        { match: '^sprint', columns: { status: 'qa' } },
+        { match: '.*', columns: { dueDate: 'due' } }
+      ]
+    });
+
+    expect(mapping.getMapping({ id: '1', name: 'Sprint 12' })).toEqual({ status: 'qa' });
+    expect(mapping.getMapping({ id: '2', name: 'Sprint 13' })).toEqual({ status: 'stage' });
+    expect(mapping.getMapping({ id: '3', name: 'Roadmap' })).toEqual({ dueDate: 'due' });
+  });
+
+  it('matches subitem boards by board ID only', () => {
+    const mapping = new ColumnMapping({ patterns: [{ match: '.*', columns: { status: 'qa' } }] });
+    expect(mapping.getMapping({ id: '9', name: 'Subitems of Sprint', type: 'sub_items_board' })).toBeNull();
+  });
+
+  it('resolves item column_values as well as board columns', () => {
+    const mapping = new ColumnMapping({ boards: { 1: { dueDate: 'due' } } });
+    const columnValues = [
+      { id: 'start', type: 'date', value: '{"date":"2026-01-01"}' },
+      { id: 'due', type: 'date', value: '{"date":"2026-01-09"}' }
+    ];
+
+    expect(mapping.resolve({ id: '1' }, columnValues).dueDate).toBe(columnValues[1]);
+  });
+
+  it('falls back by type and warns once when a mapped column is missing', () => {
+    const mapping = new ColumnMapping({ boards: { 1: { status: 'removed' } } });
+    const warn = jest.spyOn(mapping.logger, 'warn').mockImplementation(() => {});
+
+    expect(mapping.resolve({ id: '1', name: 'Board' }, columns).status.id).toBe('stage');
+    mapping.resolve({ id: '1', name: 'Board' }, columns);
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][1]).toMatchObject({ role: 'status', columnId: 'removed' });
+  });
+
+  it('rejects unknown roles, empty column IDs and invalid patterns', () => {
+    expect(() => new ColumnMapping({ boards: { 1: { owner: 'person' } } })).toThrow(/Unknown column role "owner"/);
+    expect(() => new ColumnMapping({ boards: { 1: { status: '' } } })).toThrow(/non-empty string/);
+    expect(() => new ColumnMapping({ patterns: [{ match: '(', columns: {} }] })).toThrow(/Invalid board name pattern/);
+  });
+});
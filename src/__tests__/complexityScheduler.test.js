@@ -0,0 +1,118 @@
+const complexityScheduler = require('../utils/complexityScheduler');
+const { ComplexityScheduler } = require('../utils/complexityScheduler');
+
+describe('ComplexityScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new ComplexityScheduler({ budgetPerMinute: 1000, maxConcurrent: 1 });
+  });
+
+  afterEach(() => {
+    scheduler.reset();
+    jest.useRealTimers();
+  });
+
+  it('exports a shared singleton instance', () => {
+    expect(complexityScheduler).toBeInstanceOf(ComplexityScheduler);
+  });
+
+  describe('withComplexity()', () => {
+    it('adds the complexity field to the root selection set', () => {
+      const query = scheduler.withComplexity('query GetUsers { users { id } }');
+      expect(query).toBe('query GetUsers { complexity { before after reset_in_x_seconds } users { id } }');
+    });
+
+    it('handles operations with variables', () => {
+      const query = scheduler.withComplexity('mutation M($id: ID!) { delete_item(item_id: $id) { id } }');
+      expect(query).toContain('mutation M($id: ID!) { complexity {');
+    });
+
+    it('leaves queries that already ask for complexity alone', () => {
+      const query = 'query { complexity { after } boards { id } }';
+      expect(scheduler.withComplexity(query)).toBe(query);
+    });
+  });
+
+  describe('schedule()', () => {
+    it('runs the function and resolves with its result', async () => {
+      await expect(scheduler.schedule(() => Promise.resolve(42))).resolves.toBe(42);
+    });
+
+    it('rejects when the function fails', async () => {
+      await expect(scheduler.schedule(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+    });
+
+    it('runs queued interactive calls ahead of batch calls', async () => {
+      const order = [];
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+      const blocker = scheduler.schedule(() => gate, 'batch');
+
+      const batch = scheduler.schedule(async () => order.push('batch'), 'batch');
+      const interactive = scheduler.schedule(async () => order.push('interactive'), 'interactive');
+
+      release();
+      await Promise.all([blocker, batch, interactive]);
+      expect(order).toEqual(['interactive', 'batch']);
+    });
+
+    it('holds batch calls when the budget is low but lets interactive calls through', async () => {
+      jest.useFakeTimers();
+      scheduler.recordComplexity({ before: 300, after: 100, reset_in_x_seconds: 30 });
+
+      const batchFn = jest.fn().mockResolvedValue('batch');
+      const batch = scheduler.schedule(batchFn, 'batch');
+      await expect(scheduler.schedule(async () => 'interactive')).resolves.toBe('interactive');
+      expect(batchFn).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(30 * 1000);
+      await expect(batch).resolves.toBe('batch');
+      expect(scheduler.getStats().throttled).toBe(1);
+    });
+
+    it('holds every call after a rate limit until the window resets', async () => {
+      jest.useFakeTimers();
+      scheduler.recordRateLimit(10);
+
+      const fn = jest.fn().mockResolvedValue('ok');
+      const pending = scheduler.schedule(fn);
+      await Promise.resolve();
+      expect(fn).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(10 * 1000);
+      await expect(pending).resolves.toBe('ok');
+    });
+  });
+
+  describe('getStats()', () => {
+    it('reports the budget, usage in the last minute and queue sizes', () => {
+      scheduler.recordComplexity({ before: 1000, after: 900, reset_in_x_seconds: 45 });
+      scheduler.recordComplexity({ before: 900, after: 850, reset_in_x_seconds: 44 });
+
+      const stats = scheduler.getStats();
+      expect(stats).toMatchObject({
+        budgetPerMinute: 1000,
+        remaining: 850,
+        usedLastMinute: 150,
+        queued: { interactive: 0, batch: 0 }
+      });
+      expect(stats.resetInSeconds).toBeGreaterThan(40);
+    });
+
+    it('keeps only the last minute of usage between polls', () => {
+      jest.useFakeTimers();
+      scheduler.recordComplexity({ before: 1000, after: 900 });
+      jest.advanceTimersByTime(61 * 1000);
+      scheduler.recordComplexity({ before: 900, after: 880 });
+
+      expect(scheduler.usage).toHaveLength(1);
+      expect(scheduler.getStats().usedLastMinute).toBe(20);
+    });
+
+    it('ignores responses without a complexity field', () => {
+      scheduler.recordComplexity(undefined);
+      expect(scheduler.getStats().remaining).toBeNull();
+    });
+  });
+});
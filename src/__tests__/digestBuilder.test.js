@@ -0,0 +1,87 @@
+const { buildUserDigest, parseEmailList, selectUsersByEmail } = require('../digestBuilder');
+const { DEFAULT_PREFERENCES } = require('../userPreferences');
+
+describe('digestBuilder', () => {
+  const user = { id: '42', name: 'Jane Doe', email: 'Jane@Example.com' };
+
+  const isoDay = (offset) => {
+    const date = new Date();
+    date.setDate(date.getDate() + offset);
+    return date.toISOString().split('T')[0];
+  };
+
+  const task = (id, overrides = {}) => ({
+    id,
+    name: `Task ${id}`,
+    boardName: 'Project Alpha',
+    boardId: '1234567',
+    workspaceId: '1',
+    dueDate: isoDay(0),
+    status: 'Working on it',
+    ...overrides
+  });
+
+  describe('buildUserDigest()', () => {
+    const tasksByAssignee = new Map([
+      ['42', [
+        task('1', { dueDate: isoDay(-2) }),
+        task('2'),
+        task('3', { boardId: '7654321', dueDate: isoDay(3) })
+      ]]
+    ]);
+
+    it('categorizes the user tasks and renders the Block Kit message', () => {
+      const { tasks, organizedTasks, message } = buildUserDigest(user, tasksByAssignee, DEFAULT_PREFERENCES);
+
+      expect(tasks.map(t => t.id)).toEqual(['1', '2', '3']);
+      expect(organizedTasks.overdue.map(t => t.id)).toEqual(['1']);
+      expect(organizedTasks.dueToday.map(t => t.id)).toEqual(['2']);
+      expect(organizedTasks.upcoming.map(t => t.id)).toEqual(['3']);
+      expect(message.blocks[0].text.text).toContain('Jane Doe');
+    });
+
+    it('applies the user board filters and upcoming window', () => {
+      const prefs = { ...DEFAULT_PREFERENCES, boardIds: ['7654321'], upcomingDays: 1 };
+      const { tasks, organizedTasks } = buildUserDigest(user, tasksByAssignee, prefs);
+
+      expect(tasks.map(t => t.id)).toEqual(['3']);
+      expect(organizedTasks.upcoming).toEqual([]);
+    });
+
+    it('builds an empty digest for users without tasks', () => {
+      const { tasks, message } = buildUserDigest({ ...user, id: '7' }, tasksByAssignee, DEFAULT_PREFERENCES);
+      expect(tasks).toEqual([]);
+      expect(JSON.stringify(message.blocks)).toContain('No tasks due this week!');
+    });
+  });
+
+  describe('parseEmailList()', () => {
+    it('splits, trims, lowercases and de-duplicates', () => {
+      expect(parseEmailList(' A@x.com, b@y.com ,a@X.com')).toEqual(['a@x.com', 'b@y.com']);
+      expect(parseEmailList(['a@x.com', 'b@y.com,c@z.com'])).toEqual(['a@x.com', 'b@y.com', 'c@z.com']);
+    });
+
+    it('returns null when no emails are given', () => {
+      expect(parseEmailList(undefined)).toBeNull();
+      expect(parseEmailList(' , ')).toBeNull();
+    });
+
+    it('rejects entries that are not email addresses', () => {
+      expect(() => parseEmailList('a@x.com,bob')).toThrow('Invalid email address: bob');
+    });
+  });
+
+  describe('selectUsersByEmail()', () => {
+    const users = [user, { id: '43', name: 'John', email: 'john@example.com' }];
+
+    it('keeps every user when no emails are given', () => {
+      expect(selectUsersByEmail(users, null)).toEqual({ users, unmatched: [] });
+    });
+
+    it('matches emails case-insensitively and reports unknown ones', () => {
+      const result = selectUsersByEmail(users, ['jane@example.com', 'nobody@example.com']);
+      expect(result.users.map(u => u.id)).toEqual(['42']);
+      expect(result.unmatched).toEqual(['nobody@example.com']);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DigestRefresher, digestKey } = require('../digestRefresher');
+const { MessageStore } = require('../messageStore');
+const { createMockSlackClient } = require('./mocks/slackApi');
+
+describe('DigestRefresher', () => {
+  const today = new Date().toDateString();
+  const digest = { text: "Alice's Tasks", blocks: [{ type: 'section' }], itemIds: ['1002'] };
+
+  let dir, store, slack, render, refresher;
+
+  const post = (userId, itemIds, date = today) => store.set(digestKey(userId, date), {
+    channelId: `D${userId}`, messageTs: '1700.1', date, userId, itemIds
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-refresher-'));
+    store = new MessageStore({ filePath: path.join(dir, 'digest-messages.json') });
+    slack = createMockSlackClient();
+    render = jest.fn().mockResolvedValue(digest);
+    refresher = new DigestRefresher({ slack, render, store, debounceMs: 5000 });
+  });
+
+  afterEach(() => {
+    refresher.stop();
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('taskChanged()', () => {
+    it('refreshes today\'s digests that list the item', () => {
+      post('42', ['1001', '1002']);
+      post('43', ['1003']);
+      post('44', ['1001'], 'Mon Feb 16 2026');
+
+      expect(refresher.taskChanged(1001)).toEqual(['42']);
+      expect(refresher.pending).toBe(1);
+    });
+
+    it('includes assigned users only when they got a digest today', () => {
+      post('43', []);
+
+      expect(refresher.taskChanged('1001', { userIds: [43, 44] })).toEqual(['43']);
+    });
+  });
+
+  describe('handleWebhookEvent()', () => {
+    it('treats people in a people column value as assigned', () => {
+      post('42', ['1001']);
+      post('43', []);
+
+      const affected = refresher.handleWebhookEvent({
+        pulseId: 1001,
+        value: { personsAndTeams: [{ id: 43, kind: 'person' }, { id: 7, kind: 'team' }] }
+      });
+
+      expect(affected).toEqual(['42', '43']);
+      expect(refresher.handleWebhookEvent(undefined)).toEqual([]);
+    });
+  });
+
+  describe('debouncing', () => {
+    it('edits the digest once after a burst of changes', async () => {
+      jest.useFakeTimers();
+      post('42', ['1001', '1002']);
+
+      refresher.taskChanged('1001');
+      await jest.advanceTimersByTimeAsync(3000);
+      refresher.taskChanged('1002');
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(slack.chat.update).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(render).toHaveBeenCalledTimes(1);
+      expect(slack.chat.update).toHaveBeenCalledTimes(1);
+      expect(refresher.pending).toBe(0);
+    });
+  });
+
+  describe('refresh()', () => {
+    it('edits the posted message and records the tasks it now lists', async () => {
+      post('42', ['1001', '1002']);
+
+      expect(await refresher.refresh('42')).toEqual({ status: 'updated' });
+      expect(render).toHaveBeenCalledWith('42', { pages: undefined });
+      expect(slack.chat.update).toHaveBeenCalledWith({
+        channel: 'D42', ts: '1700.1', blocks: digest.blocks, text: "Alice's Tasks"
+      });
+      expect(store.get(digestKey('42')).itemIds).toEqual(['1002']);
+      expect(store.findByItem('1001', today)).toEqual([]);
+    });
+
+    it('keeps the section pages the user moved to', async () => {
+      post('42', ['1001']);
+      store.set(digestKey('42'), { ...store.get(digestKey('42')), pages: { upcoming: 2 } });
+
+      await refresher.refresh('42');
+
+      expect(render).toHaveBeenCalledWith('42', { pages: { upcoming: 2 } });
+      expect(store.get(digestKey('42')).pages).toEqual({ upcoming: 2 });
+    });
+
+    it('never posts a digest that was not sent today', async () => {
+      expect(await refresher.refresh('42')).toEqual({ status: 'skipped', reason: 'no_digest_today' });
+      expect(render).not.toHaveBeenCalled();
+    });
+
+    it('stops tracking messages deleted in Slack', async () => {
+      post('42', ['1001']);
+      slack.chat.update.mockRejectedValue(Object.assign(new Error('message_not_found'), { data: { error: 'message_not_found' } }));
+
+      expect(await refresher.refresh('42')).toEqual({ status: 'skipped', reason: 'message_not_found' });
+      expect(store.get(digestKey('42'))).toBeUndefined();
+    });
+  });
+});
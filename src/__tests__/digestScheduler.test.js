@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { DigestScheduler, getLocalTime } = require('../digestScheduler');
+const { cache } = require('../utils/cacheManager');
+const { DEFAULT_PREFERENCES } = require('../userPreferences');
+const { IdentityMap } = require('../identityMap');
+const { useTempStore, describePersistence } = require('./helpers/fileStore');
+
+describe('digestScheduler', () => {
+  const users = [
+    { id: '1', name: 'West', email: 'west@example.com' },
+    { id: '2', name: 'Europe', email: 'europe@example.com' }
+  ];
+  const timezones = { 'west@example.com': 'America/Los_Angeles', 'europe@example.com': 'Europe/Berlin' };
+
+  let slack, runDigest, identityMap;
+
+  const makeSchedulerAt = (filePath, options = {}) => new DigestScheduler({
+    slack,
+    getUsers: async () => users,
+    runDigest,
+    hour: 8,
+    catchUpHours: 4,
+    filePath,
+    identityMap,
+    ...options
+  });
+  const files = useTempStore('digest-schedule.json', filePath => makeSchedulerAt(filePath));
+  const makeScheduler = (options = {}) => makeSchedulerAt(files.filePath, options);
+
+  beforeEach(() => {
+    cache.clear();
+    slack = {
+      users: {
+        lookupByEmail: jest.fn(async ({ email }) => ({ user: { id: `U-${email}` } })),
+        info: jest.fn(async ({ user }) => ({ user: { tz: timezones[user.slice(2)] } }))
+      }
+    };
+    runDigest = jest.fn(async (due, { onDelivered }) => due.forEach(onDelivered));
+    identityMap = new IdentityMap({ filePath: path.join(files.dir, 'identity-map.json'), overrides: new Map() });
+  });
+
+  describePersistence(files, {
+    write: scheduler => scheduler.markSent(users[0], '2026-03-02'),
+    has: scheduler => scheduler.lastSent[users[0].id] === '2026-03-02'
+  });
+
+  describe('getLocalTime()', () => {
+    it('returns the local date, weekday and hour in a timezone', () => {
+      const now = new Date('2026-03-02T15:30:00Z');
+      expect(getLocalTime(now, 'America/Los_Angeles')).toEqual({ date: '2026-03-02', weekday: 1, hour: 7 });
+      expect(getLocalTime(now, 'Asia/Tokyo')).toEqual({ date: '2026-03-03', weekday: 2, hour: 0 });
+    });
+
+    it('throws for unknown timezones', () => {
+      expect(() => getLocalTime(new Date(), 'Mars/Olympus')).toThrow(RangeError);
+    });
+  });
+
+  it('sends to each user when their local hour comes', async () => {
+    const scheduler = makeScheduler();
+
+    // 08:00 in Berlin, 23:00 the day before in Los Angeles
+    await scheduler.tick(new Date('2026-03-02T07:00:00Z'));
+    expect(runDigest).toHaveBeenCalledTimes(1);
+    expect(runDigest.mock.calls[0][0].map(u => u.id)).toEqual(['2']);
+
+    // 08:00 in Los Angeles
+    await scheduler.tick(new Date('2026-03-02T16:00:00Z'));
+    expect(runDigest).toHaveBeenCalledTimes(2);
+    expect(runDigest.mock.calls[1][0].map(u => u.id)).toEqual(['1']);
+  });
+
+  it('reads the timezone from users.info and caches it', async () => {
+    const scheduler = makeScheduler();
+    await scheduler.tick(new Date('2026-03-02T05:00:00Z'));
+    await scheduler.tick(new Date('2026-03-02T05:01:00Z'));
+
+    expect(slack.users.info).toHaveBeenCalledTimes(2);
+    expect(slack.users.info).toHaveBeenCalledWith({ user: 'U-west@example.com' });
+  });
+
+  it('does not send twice on the same local date, even after a restart', async () => {
+    await makeScheduler().tick(new Date('2026-03-02T07:00:00Z'));
+    await makeScheduler().tick(new Date('2026-03-02T08:30:00Z'));
+
+    expect(runDigest).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fs.readFileSync(files.filePath, 'utf8'))).toEqual({ 2: '2026-03-02' });
+  });
+
+  it('catches up on a missed send within the catch-up window only', async () => {
+    // Berlin 11:00: the 08:00 send was missed while the service was down
+    await makeScheduler().tick(new Date('2026-03-02T10:00:00Z'));
+    expect(runDigest.mock.calls[0][0].map(u => u.id)).toEqual(['2']);
+
+    // Berlin 13:00 on another day: too late to send that day's digest
+    await makeScheduler().tick(new Date('2026-03-03T12:00:00Z'));
+    expect(runDigest).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries users whose digest failed with backoff, then gives up for the day', async () => {
+    runDigest.mockImplementation(async () => {});
+    const scheduler = makeScheduler();
+    const tickAt = time => scheduler.tick(new Date(`2026-03-02T${time}:00Z`));
+
+    await tickAt('07:00');
+    await tickAt('07:01');
+    expect(runDigest).toHaveBeenCalledTimes(1);
+
+    await tickAt('07:05');
+    await tickAt('07:14');
+    expect(runDigest).toHaveBeenCalledTimes(2);
+
+    await tickAt('07:15');
+    await tickAt('08:30');
+    expect(runDigest).toHaveBeenCalledTimes(3);
+  });
+
+  it('backs off users of a run that failed as a whole', async () => {
+    runDigest.mockRejectedValueOnce(new Error('Monday.com is down'));
+    const scheduler = makeScheduler();
+
+    await expect(scheduler.tick(new Date('2026-03-02T07:00:00Z'))).rejects.toThrow('Monday.com is down');
+    await scheduler.tick(new Date('2026-03-02T07:01:00Z'));
+    expect(runDigest).toHaveBeenCalledTimes(1);
+
+    await scheduler.tick(new Date('2026-03-02T07:05:00Z'));
+    expect(runDigest).toHaveBeenCalledTimes(2);
+    expect(scheduler.failures.size).toBe(0);
+  });
+
+  it('skips users who are not in Slack', async () => {
+    slack.users.lookupByEmail.mockImplementation(async ({ email }) => {
+      if (email === 'europe@example.com') {
+        throw Object.assign(new Error('users_not_found'), { data: { error: 'users_not_found' } });
+      }
+      return { user: { id: `U-${email}` } };
+    });
+
+    await makeScheduler().tick(new Date('2026-03-02T07:00:00Z'));
+    expect(runDigest).not.toHaveBeenCalled();
+  });
+
+  it('finds the timezone of users linked to a Slack account with another email', async () => {
+    slack.users.lookupByEmail.mockRejectedValue(
+      Object.assign(new Error('users_not_found'), { data: { error: 'users_not_found' } })
+    );
+    identityMap.link('U-europe@example.com', '2');
+
+    await makeScheduler().tick(new Date('2026-03-02T07:00:00Z'));
+    expect(runDigest).toHaveBeenCalledWith([users[1]], expect.any(Object));
+  });
+
+  it('does not overlap ticks while a run is in progress', async () => {
+    let finish;
+    runDigest.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+    const scheduler = makeScheduler();
+
+    const first = scheduler.tick(new Date('2026-03-02T07:00:00Z'));
+    await new Promise(resolve => setImmediate(resolve));
+    await expect(scheduler.tick(new Date('2026-03-02T07:01:00Z'))).resolves.toEqual([]);
+
+    finish();
+    await first;
+    expect(runDigest).toHaveBeenCalledTimes(1);
+  });
+
+  describe('preferences', () => {
+    const withPrefs = (prefs) => makeScheduler({ getPreferences: () => ({ ...DEFAULT_PREFERENCES, ...prefs }) });
+
+    it('skips users who opted out', async () => {
+      await withPrefs({ optOut: true }).tick(new Date('2026-03-02T07:00:00Z'));
+      expect(runDigest).not.toHaveBeenCalled();
+    });
+
+    it('skips weekends in the user timezone for weekdays-only users', async () => {
+      // Saturday 08:00 in Berlin
+      await withPrefs({ weekdaysOnly: true }).tick(new Date('2026-03-07T07:00:00Z'));
+      expect(runDigest).not.toHaveBeenCalled();
+    });
+
+    it('catches up on a late delivery hour past midnight, for the day before', async () => {
+      const scheduler = withPrefs({ deliveryHour: 22 });
+
+      // 01:00 in Berlin: the 22:00 send was missed
+      await scheduler.tick(new Date('2026-03-03T00:00:00Z'));
+      expect(runDigest.mock.calls[0][0].map(u => u.id)).toEqual(['2']);
+      expect(runDigest.mock.calls[0][1].localDates).toEqual(new Map([['2', '2026-03-02']]));
+      expect(scheduler.lastSent['2']).toBe('2026-03-02');
+
+      // 02:30, still in that window: already sent
+      await scheduler.tick(new Date('2026-03-03T01:30:00Z'));
+      expect(runDigest).toHaveBeenCalledTimes(1);
+
+      // 22:00 the next evening
+      await scheduler.tick(new Date('2026-03-03T21:00:00Z'));
+      expect(runDigest).toHaveBeenCalledTimes(2);
+    });
+
+    it('sends at the user delivery hour instead of the default', async () => {
+      const scheduler = withPrefs({ deliveryHour: 10 });
+      await scheduler.tick(new Date('2026-03-02T07:00:00Z'));
+      expect(runDigest).not.toHaveBeenCalled();
+
+      // 10:00 in Berlin
+      await scheduler.tick(new Date('2026-03-02T09:00:00Z'));
+      expect(runDigest.mock.calls[0][0].map(u => u.id)).toEqual(['2']);
+    });
+  });
+
+  it('rejects an hour outside 0-23', () => {
+    expect(() => makeScheduler({ hour: 24 })).toThrow(/Invalid digest hour/);
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EndOfDayRecap, buildRecap, formatRecapMessage } = require('../endOfDayRecap');
+const mondayClient = require('../mondayClient');
+const { DEFAULT_PREFERENCES } = require('../userPreferences');
+const { IdentityMap } = require('../identityMap');
+const { createMockSlackClient } = require('./mocks/slackApi');
+
+describe('endOfDayRecap', () => {
+  const task = (id, extra = {}) => ({
+    id,
+    name: `Task ${id}`,
+    boardId: '1234567',
+    boardName: 'Project Alpha',
+    status: 'Working on it',
+    dueDate: null,
+    ...extra
+  });
+
+  describe('buildRecap()', () => {
+    it('keeps tasks completed on the local date and open tasks due that day', () => {
+      const recap = buildRecap({
+        completed: [
+          task('1', { completedAt: '2026-03-02T22:30:00Z' }), // 2026-03-03 in Tokyo
+          task('2', { completedAt: '2026-03-02T10:00:00Z' })
+        ],
+        open: [task('3', { dueDate: '2026-03-03' }), task('4', { dueDate: '2026-03-04' }), task('5')]
+      }, '2026-03-03', 'Asia/Tokyo');
+
+      expect(recap.completed.map(t => t.id)).toEqual(['1']);
+      expect(recap.slipped.map(t => t.id)).toEqual(['3']);
+    });
+  });
+
+  describe('formatRecapMessage()', () => {
+    it('lists completed tasks and offers Postpone for slipping ones', () => {
+      const message = formatRecapMessage('Alice', { completed: [task('1')], slipped: [task('3', { dueDate: '2026-03-03' })] });
+      const text = JSON.stringify(message.blocks);
+
+      expect(message.blocks[0].text.text).toContain("Alice's End-of-Day Recap");
+      expect(text).toContain('Completed today (1)');
+      expect(text).toContain('Due today, still open (1)');
+      const postpone = message.blocks.find(b => b.accessory);
+      expect(postpone.accessory.action_id).toBe('task_action_postpone_3_1234567');
+    });
+
+    it('caps long lists', () => {
+      const many = Array.from({ length: 40 }, (_, i) => task(String(i)));
+      const message = formatRecapMessage('Alice', { completed: many, slipped: many });
+
+      expect(message.blocks.length).toBeLessThanOrEqual(50);
+      expect(JSON.stringify(message.blocks)).toContain('...and 25 more');
+    });
+
+    it('keeps every section within Slack\'s text limit for long task names', () => {
+      const long = Array.from({ length: 15 }, (_, i) => task(String(i), { name: 'x'.repeat(400) }));
+      const message = formatRecapMessage('Alice', { completed: long, slipped: [] });
+      const sections = message.blocks.filter(b => b.type === 'section');
+
+      expect(sections.every(b => b.text.text.length <= 3000)).toBe(true);
+      expect(sections.filter(b => b.text.text.startsWith('•'))).toHaveLength(15);
+    });
+  });
+
+  describe('EndOfDayRecap', () => {
+    const now = new Date('2026-03-03T17:00:00Z');
+    const board = {
+      id: '1234567',
+      name: 'Project Alpha',
+      columns: [
+        { id: 'status', title: 'Status', type: 'status', settings_str: '{"done_colors":[1]}' },
+        { id: 'person', title: 'Owner', type: 'people', settings_str: '{}' },
+        { id: 'date', title: 'Due', type: 'date', settings_str: '{}' }
+      ]
+    };
+    const item = (id, personId, { statusIndex = 0, due = null, updatedAt = '2026-03-01T00:00:00Z' } = {}) => ({
+      id,
+      name: `Task ${id}`,
+      updated_at: updatedAt,
+      column_values: [
+        { id: 'status', text: '', value: JSON.stringify({ index: statusIndex }), type: 'status' },
+        { id: 'person', text: '', value: JSON.stringify({ personsAndTeams: [{ id: personId, kind: 'person' }] }), type: 'people' },
+        { id: 'date', text: due || '', value: due ? JSON.stringify({ date: due }) : null, type: 'date' }
+      ]
+    });
+
+    let dir, slack;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'end-of-day-recap-'));
+      slack = createMockSlackClient();
+      slack.users.lookupByEmail = jest.fn().mockResolvedValue({ user: { id: 'U123456' } });
+      jest.spyOn(mondayClient, 'paginateBoards')
+        .mockResolvedValueOnce({ boards: [board], truncated: false })
+        .mockResolvedValue({ boards: [], truncated: false });
+      jest.spyOn(mondayClient, 'paginateItems').mockImplementation(async (boardId, { queryParams }) => ({
+        truncated: false,
+        items: queryParams.rules[0].operator === 'any_of'
+          ? [item('1', 42, { statusIndex: 1, updatedAt: '2026-03-03T15:00:00Z' })]
+          : [item('2', 42, { due: '2026-03-03' }), item('3', 43, { due: '2026-03-10' })]
+      }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const makeRecap = () => new EndOfDayRecap({
+      slack,
+      getTimezone: async () => 'Europe/Berlin',
+      getPreferences: () => DEFAULT_PREFERENCES,
+      identityMap: new IdentityMap({ filePath: path.join(dir, 'identity-map.json'), overrides: new Map() })
+    });
+
+    it('DMs users with something to report and marks everyone delivered', async () => {
+      const onDelivered = jest.fn();
+      const result = await makeRecap().run([
+        { id: '42', name: 'Alice', email: 'alice@example.com' },
+        { id: '43', name: 'Bob', email: 'bob@example.com' }
+      ], { onDelivered, now });
+
+      expect(result).toEqual({ sent: 1, empty: 1, failed: 0 });
+      expect(slack.chat.postMessage).toHaveBeenCalledTimes(1);
+      const text = JSON.stringify(slack.chat.postMessage.mock.calls[0][0].blocks);
+      expect(text).toContain('Task 1');
+      expect(text).toContain('task_action_postpone_2_1234567');
+      expect(onDelivered).toHaveBeenCalledTimes(2);
+    });
+
+    it('recaps the day the scheduler is catching up for after midnight', async () => {
+      // 02:00 in Berlin on Mar 4; the item was finished at 00:30 Berlin time on Mar 3
+      const late = new Date('2026-03-04T01:00:00Z');
+      mondayClient.paginateItems.mockImplementation(async (boardId, { queryParams }) => ({
+        truncated: false,
+        items: queryParams.rules[0].operator === 'any_of'
+          ? [item('1', 42, { statusIndex: 1, updatedAt: '2026-03-02T23:30:00Z' })]
+          : [item('2', 42, { due: '2026-03-03' })]
+      }));
+
+      const result = await makeRecap().run([{ id: '42', name: 'Alice', email: 'alice@example.com' }], {
+        localDates: new Map([['42', '2026-03-03']]),
+        now: late
+      });
+
+      expect(result.sent).toBe(1);
+      const text = JSON.stringify(slack.chat.postMessage.mock.calls[0][0].blocks);
+      expect(text).toContain('Task 1');
+      expect(text).toContain('task_action_postpone_2_1234567');
+    });
+
+    it('does not mark users whose DM failed as delivered', async () => {
+      slack.users.lookupByEmail.mockRejectedValue(new Error('ratelimited'));
+      const onDelivered = jest.fn();
+
+      const result = await makeRecap().run([{ id: '42', name: 'Alice', email: 'alice@example.com' }], { onDelivered, now });
+
+      expect(result.failed).toBe(1);
+      expect(onDelivered).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// Shared scaffold for the stores persisted as JSON under data/ (messageStore,
+// userPreferences, runHistory, runCheckpoint, identityMap, digestScheduler).
+// Each store loads its file in the constructor and saves it through
+// utils/jsonFile (a .tmp file and renameSync), so they share the same failure modes.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Give every test a fresh temp directory for a store's file
+ *
+ * @param {string} fileName - e.g. 'digest-messages.json'
+ * @param {Function} create - (filePath) => new store instance
+ * @returns {{dir: string, filePath: string, create: Function}} `create()` opens the
+ *   store on this test's file; calling it again reloads what was saved
+ */
+function useTempStore(fileName, create) {
+  const files = {
+    dir: null,
+    filePath: null,
+    create: () => create(files.filePath)
+  };
+
+  beforeEach(() => {
+    files.dir = fs.mkdtempSync(path.join(os.tmpdir(), `${path.basename(fileName, '.json')}-`));
+    files.filePath = path.join(files.dir, fileName);
+  });
+
+  afterEach(() => {
+    fs.rmSync(files.dir, { recursive: true, force: true });
+  });
+
+  return files;
+}
+
+/**
+ * Tests for loading and saving a store's file
+ *
+ * @param {Object} files - From useTempStore
+ * @param {Object} record
+ * @param {Function} record.write - (store) => void: records one entry, which is saved
+ * @param {Function} record.has - (store) => boolean: whether that entry is there
+ */
+function describePersistence(files, { write, has }) {
+  describe('persistence', () => {
+    it('keeps entries across instances', () => {
+      write(files.create());
+      expect(has(files.create())).toBe(true);
+    });
+
+    it.each([
+      ['corrupt', () => 'not json'],
+      ['cut off mid-write', saved => saved.slice(0, Math.floor(saved.length / 2))]
+    ])('starts empty from a %s file and replaces it on the next save', (label, damage) => {
+      write(files.create());
+      fs.writeFileSync(files.filePath, damage(fs.readFileSync(files.filePath, 'utf8')));
+
+      const store = files.create();
+      expect(has(store)).toBe(false);
+
+      write(store);
+      expect(has(files.create())).toBe(true);
+    });
+
+    it('keeps the saved file and the entry in memory when the rename fails', () => {
+      const rename = jest.spyOn(fs, 'renameSync').mockImplementation(() => {
+        throw new Error('EXDEV: cross-device link not permitted');
+      });
+      const store = files.create();
+
+      expect(() => write(store)).not.toThrow();
+      expect(has(store)).toBe(true);
+      expect(fs.existsSync(files.filePath)).toBe(false);
+
+      rename.mockRestore();
+      write(store);
+      expect(has(files.create())).toBe(true);
+      expect(fs.readdirSync(files.dir)).toEqual([path.basename(files.filePath)]);
+    });
+  });
+}
+
+module.exports = { useTempStore, describePersistence };
@@ -0,0 +1,159 @@
+const { IdentityMap, loadOverrides, parseSlackUser } = require('../identityMap');
+const mondayClient = require('../mondayClient');
+const { useTempStore, describePersistence } = require('./helpers/fileStore');
+
+describe('identityMap', () => {
+  const mondayUsers = [
+    { id: '42', name: 'Alice', email: 'alice@example.com', enabled: true },
+    { id: '43', name: 'Bob', email: 'bob@company.com', enabled: true },
+    { id: '44', name: 'Carol', email: 'carol@example.com', enabled: false }
+  ];
+  const notFound = () => Object.assign(new Error('users_not_found'), { data: { error: 'users_not_found' } });
+
+  const files = useTempStore('identity-map.json', filePath => new IdentityMap({ filePath, overrides: new Map() }));
+  let slack;
+
+  const makeMap = (overrides = new Map()) => new IdentityMap({ filePath: files.filePath, overrides });
+
+  beforeEach(() => {
+    slack = {
+      users: {
+        info: jest.fn(async ({ user }) => ({ user: { id: user, profile: { email: 'Alice@Example.com' } } })),
+        lookupByEmail: jest.fn(async () => { throw notFound(); })
+      }
+    };
+    jest.spyOn(mondayClient, 'query').mockResolvedValue({ users: mondayUsers });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describePersistence(files, {
+    write: map => map.link('U1', '42'),
+    has: map => map.get('U1') !== null
+  });
+
+  describe('loadOverrides()', () => {
+    it('reads Slack user ID => Monday user ID links', () => {
+      expect(loadOverrides({ links: { U123ABC: 43 } })).toEqual(new Map([['U123ABC', '43']]));
+      expect(loadOverrides({})).toEqual(new Map());
+    });
+
+    it('rejects invalid IDs', () => {
+      expect(() => loadOverrides({ links: { 'bob@company.com': '43' } })).toThrow(/Slack user ID/);
+      expect(() => loadOverrides({ links: { U123ABC: 'bob' } })).toThrow(/Monday.com user ID/);
+    });
+  });
+
+  describe('parseSlackUser()', () => {
+    it('accepts escaped mentions and bare IDs', () => {
+      expect(parseSlackUser('<@U123ABC|bob>')).toBe('U123ABC');
+      expect(parseSlackUser('<@W123ABC>')).toBe('W123ABC');
+      expect(parseSlackUser('U123ABC')).toBe('U123ABC');
+      expect(parseSlackUser('@bob')).toBeNull();
+    });
+  });
+
+  describe('links', () => {
+    it('prefers manual links, then the config file, then email matches', () => {
+      const map = makeMap(new Map([['U1', '43'], ['U2', '43']]));
+      map.link('U1', '42', { source: 'email' });
+      map.link('U2', '44');
+
+      expect(map.get('U1')).toEqual({ mondayUserId: '43', source: 'config' });
+      expect(map.get('U2')).toEqual({ mondayUserId: '44', source: 'manual' });
+      expect(map.get('U3')).toBeNull();
+    });
+
+    it('finds the Slack user for a Monday user, manual links first', () => {
+      const map = makeMap();
+      map.link('U1', '42', { source: 'email' });
+      map.link('U2', '42');
+
+      expect(map.getSlackUserId(42)).toBe('U2');
+      map.unlink('U2');
+      expect(map.getSlackUserId(42)).toBe('U1');
+      expect(map.getSlackUserId(43)).toBeNull();
+    });
+
+    it('persists links across instances', () => {
+      makeMap().link('U1', '43', { linkedBy: 'UADMIN' });
+
+      const reloaded = makeMap();
+      expect(reloaded.get('U1')).toEqual({ mondayUserId: '43', source: 'manual' });
+      expect(reloaded.entries.get('U1').linkedBy).toBe('UADMIN');
+    });
+  });
+
+  describe('findMondayUser()', () => {
+    it('matches by email (ignoring case) once and then reuses the link', async () => {
+      const map = makeMap();
+
+      expect(await map.findMondayUser('U1', slack)).toMatchObject({ id: '42' });
+      expect(await map.findMondayUser('U1', slack)).toMatchObject({ id: '42' });
+      expect(slack.users.info).toHaveBeenCalledTimes(1);
+      expect(makeMap().get('U1')).toEqual({ mondayUserId: '42', source: 'email' });
+    });
+
+    it('uses a manual link when the emails differ', async () => {
+      const map = makeMap();
+      map.link('U1', '43');
+
+      expect(await map.findMondayUser('U1', slack)).toMatchObject({ name: 'Bob' });
+      expect(slack.users.info).not.toHaveBeenCalled();
+    });
+
+    it('returns null for links to disabled users and for unmatched emails', async () => {
+      const map = makeMap();
+      map.link('U1', '44');
+      slack.users.info.mockResolvedValue({ user: { profile: { email: 'nobody@example.com' } } });
+
+      expect(await map.findMondayUser('U1', slack)).toBeNull();
+      expect(await map.findMondayUser('U2', slack)).toBeNull();
+    });
+
+    it('matches by email again when an email-matched user is gone', async () => {
+      const map = makeMap();
+      map.link('U1', '99', { source: 'email' });
+
+      expect(await map.findMondayUser('U1', slack)).toMatchObject({ id: '42' });
+      expect(map.get('U1').mondayUserId).toBe('42');
+    });
+  });
+
+  describe('findSlackUserId()', () => {
+    it('uses the link without calling Slack', async () => {
+      const map = makeMap(new Map([['U9', '43']]));
+
+      expect(await map.findSlackUserId(mondayUsers[1], slack)).toBe('U9');
+      expect(slack.users.lookupByEmail).not.toHaveBeenCalled();
+    });
+
+    it('looks up unlinked users by email and remembers them', async () => {
+      slack.users.lookupByEmail.mockResolvedValue({ user: { id: 'U1' } });
+      const map = makeMap();
+
+      expect(await map.findSlackUserId(mondayUsers[0], slack)).toBe('U1');
+      expect(map.get('U1')).toEqual({ mondayUserId: '42', source: 'email' });
+    });
+
+    it('returns null when nobody in Slack has the email', async () => {
+      expect(await makeMap().findSlackUserId(mondayUsers[0], slack)).toBeNull();
+    });
+
+    it('does not take over a Slack user linked to someone else', async () => {
+      slack.users.lookupByEmail.mockResolvedValue({ user: { id: 'U1' } });
+      const map = makeMap();
+      map.link('U1', '43');
+
+      expect(await map.findSlackUserId(mondayUsers[0], slack)).toBeNull();
+      expect(map.get('U1').mondayUserId).toBe('43');
+    });
+
+    it('rethrows other Slack errors', async () => {
+      slack.users.lookupByEmail.mockRejectedValue(new Error('ratelimited'));
+      await expect(makeMap().findSlackUserId(mondayUsers[0], slack)).rejects.toThrow('ratelimited');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { registerLinkCommand, handleLinkCommand, matchMondayUsers } = require('../linkCommand');
+const identityMap = require('../identityMap');
+const mondayClient = require('../mondayClient');
+const { createMockSlackClient, createMockAck, createMockRespond, createSlackCommandPayload } = require('./mocks/slackApi');
+
+describe('linkCommand', () => {
+  const mondayUsers = [
+    { id: '42', name: 'Alice Smith', email: 'alice@example.com', enabled: true },
+    { id: '43', name: 'Bob', email: 'bob@company.com', enabled: true },
+    { id: '44', name: 'Bob', email: 'bob2@company.com', enabled: true }
+  ];
+
+  const adminClient = (profile = { is_admin: true }) => createMockSlackClient({
+    users: { info: jest.fn().mockResolvedValue({ user: { id: 'UADMIN', ...profile } }) }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(mondayClient, 'query').mockResolvedValue({ users: mondayUsers });
+    jest.spyOn(identityMap, 'link').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matchMondayUsers()', () => {
+    it('matches by user ID, email or name, ignoring case', () => {
+      expect(matchMondayUsers(mondayUsers, '42').map(u => u.id)).toEqual(['42']);
+      expect(matchMondayUsers(mondayUsers, 'Bob@Company.com').map(u => u.id)).toEqual(['43']);
+      expect(matchMondayUsers(mondayUsers, 'alice smith').map(u => u.id)).toEqual(['42']);
+      expect(matchMondayUsers(mondayUsers, 'bob').map(u => u.id)).toEqual(['43', '44']);
+    });
+  });
+
+  describe('handleLinkCommand()', () => {
+    it('links a mentioned Slack user to a Monday user', async () => {
+      const reply = await handleLinkCommand('<@U123ABC|bob> bob@company.com', 'UADMIN', adminClient());
+
+      expect(identityMap.link).toHaveBeenCalledWith('U123ABC', '43', { linkedBy: 'UADMIN' });
+      expect(reply).toBe('✅ Linked <@U123ABC> to Bob (bob@company.com).');
+    });
+
+    it('only lets workspace admins and owners link accounts', async () => {
+      const reply = await handleLinkCommand('<@U123ABC> 43', 'U1', adminClient({ is_admin: false }));
+
+      expect(reply).toContain('Only Slack workspace admins');
+      expect(identityMap.link).not.toHaveBeenCalled();
+      await handleLinkCommand('<@U123ABC> 43', 'U1', adminClient({ is_owner: true }));
+      expect(identityMap.link).toHaveBeenCalled();
+    });
+
+    it('explains unknown, ambiguous and unescaped arguments', async () => {
+      expect(await handleLinkCommand('', 'UADMIN', adminClient())).toContain('Usage');
+      expect(await handleLinkCommand('@bob 43', 'UADMIN', adminClient())).toContain('Escape channels, users, and links');
+      expect(await handleLinkCommand('<@U123ABC> zed', 'UADMIN', adminClient())).toContain('No active Monday.com user matches "zed"');
+      expect(await handleLinkCommand('<@U123ABC> Bob', 'UADMIN', adminClient())).toContain('matches 2 Monday.com users');
+      expect(identityMap.link).not.toHaveBeenCalled();
+    });
+
+    it('shows the link in effect', async () => {
+      jest.spyOn(identityMap, 'get').mockReturnValue({ mondayUserId: '42', source: 'config' });
+
+      expect(await handleLinkCommand('<@U123ABC>', 'UADMIN', adminClient()))
+        .toBe('<@U123ABC> is linked to Alice Smith (alice@example.com), from config/identityMap.json.');
+    });
+
+    it('removes a link', async () => {
+      jest.spyOn(identityMap, 'unlink').mockReturnValueOnce(true).mockReturnValueOnce(false);
+      jest.spyOn(identityMap, 'get').mockReturnValue(null);
+
+      expect(await handleLinkCommand('<@U123ABC> clear', 'UADMIN', adminClient())).toContain('matched by email again');
+      expect(await handleLinkCommand('<@U123ABC> clear', 'UADMIN', adminClient())).toContain('has no link to remove');
+    });
+  });
+
+  describe('registerLinkCommand()', () => {
+    it('acknowledges immediately and replies ephemerally', async () => {
+      let handler;
+      registerLinkCommand({ command: jest.fn((name, fn) => { handler = fn; }) });
+      const ack = createMockAck();
+      const respond = createMockRespond();
+
+      handler({
+        command: createSlackCommandPayload({ command: '/monday-link', text: '<@U123ABC> 42' }),
+        ack,
+        respond,
+        client: adminClient()
+      });
+      expect(ack).toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(respond).toHaveBeenCalledWith({ text: expect.stringContaining('Linked <@U123ABC> to Alice Smith'), response_type: 'ephemeral' });
+    });
+  });
+});
@@ -1,4 +1,6 @@
-const { formatSlackMessage, createTaskBlock } = require('../messageFormatter');
+const { formatSlackMessage, createTaskBlock, nestSubitems, formatDueDate, pageSection, parsePages, fitBlockKit, renderMessage } = require('../messageFormatter');
+const { loadTemplates } = require('../messageTemplates');
+const templateConfig = require('../../config/messageTemplates.json');
 
 describe('messageFormatter', () => {
   const emptyTasks = { overdue: [], dueToday: [], upcoming: [], noDueDate: [] };
@@ -112,5 +114,161 @@ describe('messageFormatter', () => {
       const text = JSON.stringify(blocks);
       expect(text).toContain('Project Alpha');
     });
+
+    it('marks subitems and names their parent when shown on their own', () => {
+      const subitem = { ...sampleTask, id: '999', name: 'Write migration', boardId: '555', parentId: '111', parentName: 'Fix login bug' };
+      const [section] = createTaskBlock(subitem);
+      expect(section.text.text).toContain('↳ *Write migration*');
+      expect(section.text.text).toContain('Project Alpha › Fix login bug');
+      expect(section.accessory.action_id).toBe('task_action_complete_999_555');
+    });
+  });
+
+  describe('preference options', () => {
+    const undated = { ...sampleTask, id: '333', name: 'Someday task', dueDate: null };
+
+    it('lists tasks without a due date only when showNoDueDate is set', () => {
+      const tasks = { ...emptyTasks, noDueDate: [undated, { ...sampleTask, dueDate: '2099-01-01' }] };
+      expect(JSON.stringify(formatSlackMessage(tasks, 'John').blocks)).not.toContain('No Due Date');
+
+      const text = JSON.stringify(formatSlackMessage(tasks, 'John', { showNoDueDate: true }).blocks);
+      expect(text).toContain('No Due Date (1)');
+      expect(text).toContain('Someday task');
+    });
+
+    it('names the upcoming window when it is not a week', () => {
+      const tasks = { ...emptyTasks, upcoming: [sampleTask] };
+      expect(JSON.stringify(formatSlackMessage(tasks, 'John', { upcomingDays: 14 }).blocks)).toContain('Upcoming (next 14 days)');
+      expect(JSON.stringify(formatSlackMessage(emptyTasks, 'John', { upcomingDays: 3 }).blocks)).toContain('No tasks due in the next 3 days!');
+    });
+  });
+
+  describe('formatDueDate()', () => {
+    it('shows the due date itself in any timezone', () => {
+      expect(formatDueDate(sampleTask, 'America/Los_Angeles')).toBe('Feb 20');
+      expect(formatDueDate(sampleTask, 'Asia/Tokyo')).toBe('Feb 20');
+      expect(formatDueDate({ ...sampleTask, dueDate: null })).toBe('No date');
+    });
+
+    it('converts date-and-time values to the local date and time', () => {
+      const task = { ...sampleTask, dueDate: '2026-02-21', dueTime: '02:00:00' };
+      expect(formatDueDate(task, 'America/Los_Angeles')).toBe('Feb 20, 6:00 PM');
+    });
+  });
+
+  describe('paging', () => {
+    const manyTasks = Array.from({ length: 12 }, (_, i) => ({ ...sampleTask, id: String(i), name: `Task ${i}` }));
+    const options = { actionPrefix: 'digest_page' };
+
+    it('shows the first page and a "Show more" button for the next', () => {
+      const { entries, pager } = pageSection(manyTasks, 'overdue', options);
+
+      expect(entries.map(e => e.task.id)).toEqual(['0', '1', '2', '3', '4']);
+      expect(pager.text.text).toBe('_…and 7 more_');
+      expect(pager.accessory).toMatchObject({ action_id: 'digest_page_overdue', value: '{"overdue":1}' });
+    });
+
+    it('pages through the section and back to the first page', () => {
+      const second = pageSection(manyTasks, 'overdue', { ...options, pages: { overdue: 1, upcoming: 2 } });
+      expect(second.entries[0].task.id).toBe('5');
+      expect(second.pager.text.text).toBe('_Showing 6–10 of 12, and 2 more_');
+      expect(JSON.parse(second.pager.accessory.value)).toEqual({ overdue: 2, upcoming: 2 });
+
+      const last = pageSection(manyTasks, 'overdue', { ...options, pages: { overdue: 2 } });
+      expect(last.entries.map(e => e.task.id)).toEqual(['10', '11']);
+      expect(last.pager.text.text).toBe('_Showing 11–12 of 12_');
+      expect(last.pager.accessory.text.text).toBe('↩ Back to first');
+      expect(JSON.parse(last.pager.accessory.value)).toEqual({ overdue: 0 });
+    });
+
+    it('shows the last page when the section shrank', () => {
+      expect(pageSection(manyTasks.slice(0, 7), 'overdue', { ...options, pages: { overdue: 4 } }).entries).toHaveLength(2);
+    });
+
+    it('has no button for a single page', () => {
+      expect(pageSection(manyTasks.slice(0, 5), 'overdue', options).pager).toBeNull();
+    });
+
+    it('names the parent of a subitem that opens a page', () => {
+      const tasks = [...manyTasks.slice(0, 4), sampleTask, { ...sampleTask, id: '999', parentId: '111', parentName: 'Fix login bug' }];
+      const { entries } = pageSection(tasks, 'overdue', { ...options, pages: { overdue: 1 } });
+      expect(entries).toEqual([{ task: expect.objectContaining({ id: '999' }), nested: false }]);
+    });
+
+    it('renders "Show more" in every long digest section', () => {
+      const tasks = { ...emptyTasks, overdue: manyTasks, dueToday: manyTasks };
+      const actionIds = formatSlackMessage(tasks, 'John').blocks.map(b => b.accessory?.action_id).filter(id => id?.startsWith('digest_page'));
+      expect(actionIds).toEqual(['digest_page_overdue', 'digest_page_dueToday']);
+    });
+
+    it('reads pages from a button value', () => {
+      expect(parsePages('{"overdue":2,"upcoming":-1,"dueToday":"x"}')).toEqual({ overdue: 2 });
+      expect(parsePages('not json')).toEqual({});
+    });
+  });
+
+  describe('fitBlockKit()', () => {
+    it('keeps messages within 50 blocks', () => {
+      const blocks = Array.from({ length: 60 }, () => ({ type: 'divider' }));
+      const fitted = fitBlockKit(blocks);
+
+      expect(fitted).toHaveLength(50);
+      expect(fitted[49].elements[0].text).toContain("didn't fit");
+    });
+
+    it('shortens section and header texts past Slack limits', () => {
+      const [section, header] = fitBlockKit([
+        { type: 'section', text: { type: 'mrkdwn', text: 'x'.repeat(3500) } },
+        { type: 'header', text: { type: 'plain_text', text: 'y'.repeat(200) } }
+      ]);
+
+      expect(section.text.text).toHaveLength(3000);
+      expect(section.text.text.endsWith('…')).toBe(true);
+      expect(header.text.text).toHaveLength(150);
+    });
+
+    it('keeps every section of a full digest within the limit', () => {
+      const many = Array.from({ length: 20 }, (_, i) => ({ ...sampleTask, id: String(i), dueDate: null }));
+      const tasks = { overdue: many, dueToday: many, upcoming: many, noDueDate: many };
+      const { blocks } = formatSlackMessage(tasks, 'John', { showNoDueDate: true });
+      const pagers = blocks.map(b => b.accessory?.action_id).filter(id => id?.startsWith('digest_page'));
+
+      expect(blocks.length).toBeLessThanOrEqual(50);
+      expect(pagers).toEqual(['digest_page_overdue', 'digest_page_dueToday', 'digest_page_upcoming', 'digest_page_noDueDate']);
+      expect(blocks.filter(b => b.accessory?.action_id?.startsWith('task_action_complete'))).toHaveLength(20);
+      expect(JSON.stringify(blocks)).not.toContain("didn't fit");
+    });
+
+    it('lists fewer tasks per page when dropping context lines is not enough', () => {
+      const many = Array.from({ length: 20 }, (_, i) => ({ ...sampleTask, id: String(i) }));
+      const tasks = { ...emptyTasks, overdue: many, dueToday: many, upcoming: many };
+      const small = loadTemplates({ ...templateConfig, limits: { ...templateConfig.limits, maxBlocks: 20 } }).digest;
+      const { blocks } = renderMessage(small, { userName: 'John' }, { tasks, options: {}, actionPrefix: 'digest_page' });
+
+      expect(blocks.length).toBeLessThanOrEqual(20);
+      expect(blocks.filter(b => b.accessory?.action_id?.startsWith('digest_page'))).toHaveLength(3);
+      expect(blocks.find(b => b.accessory?.action_id === 'digest_page_overdue').text.text).toMatch(/…and \d+ more/);
+    });
+  });
+
+  describe('nestSubitems()', () => {
+    const subitem = { ...sampleTask, id: '999', name: 'Write migration', boardId: '555', parentId: '111', parentName: 'Fix login bug' };
+
+    it('places subitems directly under their listed parent', () => {
+      const other = { ...sampleTask, id: '222', name: 'Other' };
+      const entries = nestSubitems([subitem, sampleTask, other]);
+      expect(entries.map(e => [e.task.id, e.nested])).toEqual([['111', false], ['999', true], ['222', false]]);
+    });
+
+    it('keeps subitems top-level when the parent is not listed', () => {
+      expect(nestSubitems([subitem])).toEqual([{ task: subitem, nested: false }]);
+    });
+
+    it('renders nested subitems in the digest', () => {
+      const result = formatSlackMessage({ ...emptyTasks, dueToday: [sampleTask, subitem] }, 'John');
+      const texts = result.blocks.filter(b => b.type === 'section').map(b => b.text.text);
+      const parentIndex = texts.findIndex(t => t.includes('*Fix login bug*'));
+      expect(texts[parentIndex + 1]).toContain('↳ *Write migration*');
+    });
   });
 });
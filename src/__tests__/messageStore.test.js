@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { MessageStore } = require('../messageStore');
+const { useTempStore, describePersistence } = require('./helpers/fileStore');
+
+describe('messageStore', () => {
+  const files = useTempStore('digest-messages.json', filePath => new MessageStore({ filePath }));
+
+  describePersistence(files, {
+    write: store => store.set('42-Mon Feb 16 2026', { channelId: 'D1', messageTs: '1700.1', date: 'Mon Feb 16 2026' }),
+    has: store => store.get('42-Mon Feb 16 2026')?.messageTs === '1700.1'
+  });
+
+  it('writes through a temp file and leaves only the store file behind', () => {
+    const store = files.create();
+    const rename = jest.spyOn(fs, 'renameSync');
+
+    store.set('key', { channelId: 'D1', messageTs: '1' });
+
+    expect(rename).toHaveBeenCalledWith(files.filePath + '.tmp', files.filePath);
+    expect(fs.readdirSync(files.dir)).toEqual(['digest-messages.json']);
+    rename.mockRestore();
+  });
+
+  it('deletes entries from memory and disk', () => {
+    const store = files.create();
+    store.set('key', { channelId: 'D1', messageTs: '1' });
+    store.delete('key');
+
+    expect(files.create().get('key')).toBeUndefined();
+  });
+
+  it('finds the entries whose digest lists an item', () => {
+    const store = files.create();
+    store.set('42-Mon Feb 16 2026', { channelId: 'D1', messageTs: '1', date: 'Mon Feb 16 2026', userId: '42', itemIds: ['1001'] });
+    store.set('42-Tue Feb 17 2026', { channelId: 'D1', messageTs: '2', date: 'Tue Feb 17 2026', userId: '42', itemIds: ['1001'] });
+    store.set('legacy', { channelId: 'D2', messageTs: '3', date: 'Tue Feb 17 2026' });
+
+    expect(store.findByItem(1001).map(e => e.messageTs)).toEqual(['1', '2']);
+    expect(store.findByItem('1001', 'Tue Feb 17 2026').map(e => e.messageTs)).toEqual(['2']);
+    expect(store.findByItem('1002')).toEqual([]);
+  });
+
+  it('prunes entries older than the retention period', () => {
+    const store = new MessageStore({ filePath: files.filePath, retentionDays: 7 });
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    store.set('old', { channelId: 'D1', messageTs: '1', lastUpdated: daysAgo(10) });
+    store.set('recent', { channelId: 'D1', messageTs: '2', lastUpdated: daysAgo(1) });
+
+    expect(store.prune()).toBe(1);
+    expect(store.get('old')).toBeUndefined();
+    expect(files.create().get('recent')).toBeDefined();
+  });
+
+  it('prunes stale entries when loading', () => {
+    fs.writeFileSync(files.filePath, JSON.stringify({
+      stale: { channelId: 'D1', messageTs: '1', lastUpdated: '2020-01-01T00:00:00Z' }
+    }));
+
+    expect(files.create().size).toBe(0);
+  });
+
+  it('prunes on a timer once started', () => {
+    jest.useFakeTimers();
+    const store = files.create();
+    const prune = jest.spyOn(store, 'prune');
+
+    store.startPruning(1000);
+    store.startPruning(1000);
+    jest.advanceTimersByTime(2000);
+    store.stopPruning();
+    jest.advanceTimersByTime(2000);
+
+    expect(prune).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,102 @@
+const { templates, loadTemplates, fill } = require('../messageTemplates');
+const { renderMessage, formatSlackMessage } = require('../messageFormatter');
+const config = require('../../config/messageTemplates.json');
+
+describe('messageTemplates', () => {
+  // The shipped file with one template replaced
+  const withTemplate = (name, template) => ({ ...config, [name]: template });
+
+  describe('fill()', () => {
+    it('fills placeholders and empties unknown ones', () => {
+      expect(fill('{userName}\'s Tasks{missing}', { userName: 'Alice' })).toBe('Alice\'s Tasks');
+    });
+
+    it('uses the fallback text for empty values', () => {
+      expect(fill('Status: {status|No Status}', { status: '' })).toBe('Status: No Status');
+      expect(fill('Status: {status|No Status}', { status: 'Done' })).toBe('Status: Done');
+    });
+
+    it('leaves out a bracketed part when a placeholder in it is empty', () => {
+      const text = 'Status: {status}[ • Priority: {priority}]';
+
+      expect(fill(text, { status: 'Done', priority: 'High' })).toBe('Status: Done • Priority: High');
+      expect(fill(text, { status: 'Done', priority: null })).toBe('Status: Done');
+      expect(fill('[Priority: {priority|none}]', {})).toBe('Priority: none');
+      expect(fill('[not a group]', {})).toBe('[not a group]');
+    });
+  });
+
+  describe('loadTemplates()', () => {
+    it('loads the shipped templates with shared limits', () => {
+      expect(Object.keys(templates)).toEqual(['paging', 'digest', 'taskList', 'assignment']);
+      expect(templates.taskList.limits).toMatchObject({ pageSize: 5, maxBlocks: 50 });
+    });
+
+    it('lets a template override the shared limits', () => {
+      const loaded = loadTemplates(withTemplate('taskList', { ...config.taskList, limits: { pageSize: 10 } }));
+
+      expect(loaded.taskList.limits.pageSize).toBe(10);
+      expect(loaded.digest.limits.pageSize).toBe(5);
+    });
+
+    it('rejects a missing template', () => {
+      expect(() => loadTemplates(withTemplate('assignment', undefined)))
+        .toThrow('Message template "assignment" needs a list of "blocks"');
+    });
+
+    it('rejects unknown block types, sections and button actions', () => {
+      expect(() => loadTemplates(withTemplate('assignment', { blocks: [{ type: 'image' }] })))
+        .toThrow('Unknown block type "image" in template "assignment", block 1');
+      expect(() => loadTemplates(withTemplate('digest', { ...config.digest, blocks: [{ type: 'tasks', section: 'later', title: '' }] })))
+        .toThrow('Unknown section "later"');
+      expect(() => loadTemplates(withTemplate('assignment', { blocks: [{ type: 'actions', buttons: [{ text: 'Go', action: 'delete' }] }] })))
+        .toThrow('Unknown button action "delete"');
+    });
+
+    it('rejects tasks blocks in a template without a task layout', () => {
+      expect(() => loadTemplates(withTemplate('assignment', { blocks: [{ type: 'tasks', section: 'overdue', title: 'Overdue' }] })))
+        .toThrow('template "assignment", block 1 lists tasks, so it needs a "task" layout');
+    });
+
+    it('rejects limits Slack would not accept', () => {
+      expect(() => loadTemplates({ ...config, limits: { maxBlocks: 60 } })).toThrow('Invalid maxBlocks in limits: 60');
+      expect(() => loadTemplates({ ...config, limits: { pageSize: 0 } })).toThrow('Invalid pageSize in limits: 0');
+      expect(() => loadTemplates({ ...config, paging: {} })).toThrow('Missing paging labels');
+    });
+  });
+
+  describe('rendering', () => {
+    const tasks = {
+      overdue: [{ id: '1', name: 'Late', boardId: '9', boardName: 'Ops', dueDate: '2026-01-01', status: 'Stuck' }],
+      dueToday: [],
+      upcoming: [],
+      noDueDate: []
+    };
+
+    it('draws a custom template in its own order and wording', () => {
+      const custom = loadTemplates(withTemplate('digest', {
+        text: 'Hi {userName}',
+        task: { text: '• {name} ({status})', button: { text: 'Done', action: 'complete' } },
+        blocks: [
+          { type: 'tasks', section: 'overdue', title: '*Late: {count}*' },
+          { type: 'section', text: 'Hello {userName}' },
+          { type: 'context', text: 'Only with undated tasks', when: 'showNoDueDate' }
+        ]
+      })).digest;
+
+      const message = renderMessage(custom, { userName: 'Alice' }, { tasks, options: {} });
+
+      expect(message.text).toBe('Hi Alice');
+      expect(message.blocks.map(block => block.text.text)).toEqual(['*Late: 1*', '• Late (Stuck)', 'Hello Alice']);
+      expect(message.blocks[1].accessory.action_id).toBe('task_action_complete_1_9');
+    });
+
+    it('renders the shipped digest template', () => {
+      const message = formatSlackMessage(tasks, 'Alice');
+
+      expect(message.text).toBe('Alice\'s Tasks');
+      expect(message.blocks[0].text.text).toBe('📋 Alice\'s Tasks for Today');
+      expect(message.blocks[3].text.text).toBe('*🔴 Overdue (1)*');
+    });
+  });
+});
@@ -16,7 +16,8 @@ function createMockSlackClient(overrides = {}) {
     },
     chat: {
       postMessage: jest.fn().mockResolvedValue({ ok: true, ts: '1234567890.123456' }),
-      postEphemeral: jest.fn().mockResolvedValue({ ok: true })
+      postEphemeral: jest.fn().mockResolvedValue({ ok: true }),
+      update: jest.fn().mockResolvedValue({ ok: true })
     },
     conversations: {
       open: jest.fn().mockResolvedValue({ channel: { id: 'D123456' } })
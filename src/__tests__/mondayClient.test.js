@@ -0,0 +1,229 @@
+const nock = require('nock');
+const mondayClient = require('../mondayClient');
+const { MondayClient, MondayApiError, getOperationName } = require('../mondayClient');
+const { ComplexityScheduler } = require('../utils/complexityScheduler');
+const errorHandler = require('../utils/errorHandler');
+const performanceMonitor = require('../utils/performanceMonitor');
+const { cache } = require('../utils/cacheManager');
+
+describe('mondayClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new MondayClient({ apiKey: 'test-key', scheduler: new ComplexityScheduler() });
+    errorHandler.baseDelay = 1; // speed up retries
+    errorHandler.errorCounts.clear();
+    cache.clear();
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    errorHandler.baseDelay = 1000;
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    cache.stopCleanup();
+  });
+
+  it('exports a shared singleton instance', () => {
+    expect(mondayClient).toBeInstanceOf(MondayClient);
+  });
+
+  describe('query()', () => {
+    it('returns the data field of the response', async () => {
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { users: [{ id: 1 }] } });
+      const data = await client.query('query { users { id } }');
+      expect(data).toEqual({ users: [{ id: 1 }] });
+    });
+
+    it('sends the API key and variables', async () => {
+      let sentBody;
+      nock('https://api.monday.com', { reqheaders: { authorization: 'test-key' } })
+        .post('/v2', body => { sentBody = body; return true; })
+        .reply(200, { data: { items: [] } });
+
+      await client.query('query GetItems($ids: [ID!]) { items(ids: $ids) { id } }', { variables: { ids: ['1'] } });
+      expect(sentBody.variables).toEqual({ ids: ['1'] });
+    });
+
+    it('throws a CLIENT MondayApiError for GraphQL errors without retrying', async () => {
+      const scope = nock('https://api.monday.com').post('/v2').reply(200, {
+        errors: [{ message: 'Field does not exist' }]
+      });
+
+      await expect(client.query('query { nope }')).rejects.toMatchObject({
+        name: 'MondayApiError',
+        category: 'CLIENT',
+        operation: 'nope'
+      });
+      expect(scope.isDone()).toBe(true);
+    });
+
+    it('does not retry authentication failures', async () => {
+      nock('https://api.monday.com').post('/v2').once().reply(401, { error_message: 'Not Authenticated' });
+
+      const error = await client.query('query { me { id } }').catch(e => e);
+      expect(error).toBeInstanceOf(MondayApiError);
+      expect(error.category).toBe('AUTH');
+      expect(error.status).toBe(401);
+    });
+
+    it('retries server errors and succeeds', async () => {
+      nock('https://api.monday.com').post('/v2').reply(500, {});
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { boards: [] } });
+
+      const data = await client.query('query { boards { id } }');
+      expect(data).toEqual({ boards: [] });
+    });
+
+    it('treats complexity errors as rate limits and retries them', async () => {
+      jest.spyOn(client.scheduler, 'recordRateLimit').mockImplementation(() => {}); // skip the budget wait
+      nock('https://api.monday.com').post('/v2').reply(200, {
+        errors: [{ message: 'Complexity budget exhausted', extensions: { code: 'ComplexityException' } }]
+      });
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { boards: [] } });
+
+      await expect(client.query('query { boards { id } }')).resolves.toEqual({ boards: [] });
+    });
+
+    it('reports exhausted retries with the underlying category', async () => {
+      nock('https://api.monday.com').post('/v2').times(3).reply(503, {});
+
+      const error = await client.query('query { boards { id } }').catch(e => e);
+      expect(error.message).toMatch(/failed after 3 attempts/);
+      expect(error.category).toBe('SERVER');
+    });
+
+    it('serves cached responses when cache is enabled', async () => {
+      const scope = nock('https://api.monday.com').post('/v2').once().reply(200, { data: { users: [] } });
+
+      await client.query('query { users { id } }', { cache: true });
+      const second = await client.query('query { users { id } }', { cache: true });
+
+      expect(second).toEqual({ users: [] });
+      expect(scope.isDone()).toBe(true);
+      expect(client.getStats().cacheHits).toBe(1);
+    });
+
+    it('records timing in performanceMonitor', async () => {
+      const before = (performanceMonitor.metrics.timing.mondayFetch || []).length;
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { users: [] } });
+
+      await client.query('query { users { id } }');
+      expect(performanceMonitor.metrics.timing.mondayFetch.length).toBe(Math.min(before + 1, performanceMonitor.maxHistorySize));
+    });
+  });
+
+  describe('complexity budget', () => {
+    it('asks for complexity and strips it from the returned data', async () => {
+      let sentQuery;
+      nock('https://api.monday.com')
+        .post('/v2', body => { sentQuery = body.query; return true; })
+        .reply(200, { data: { complexity: { before: 1000, after: 990, reset_in_x_seconds: 50 }, users: [] } });
+
+      const data = await client.query('query GetUsers { users { id } }');
+      expect(sentQuery).toContain('complexity { before after reset_in_x_seconds }');
+      expect(data).toEqual({ users: [] });
+      expect(client.getStats().complexity).toMatchObject({ remaining: 990, usedLastMinute: 10 });
+    });
+
+    it('schedules calls with the requested priority', async () => {
+      const schedule = jest.spyOn(client.scheduler, 'schedule');
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { boards: [] } });
+
+      await client.query('query { boards { id } }', { priority: 'batch' });
+      expect(schedule).toHaveBeenCalledWith(expect.any(Function), 'batch');
+    });
+
+    it('records rate limits with the reset time from the error', async () => {
+      const recordRateLimit = jest.spyOn(client.scheduler, 'recordRateLimit').mockImplementation(() => {});
+      nock('https://api.monday.com').post('/v2').reply(200, {
+        errors: [{ message: 'Complexity budget exhausted, reset in 12 seconds', extensions: { code: 'ComplexityException' } }]
+      });
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { boards: [] } });
+
+      await client.query('query { boards { id } }');
+      expect(recordRateLimit).toHaveBeenCalledWith(12);
+    });
+  });
+
+  describe('paginateItems()', () => {
+    it('follows cursors until next_items_page returns none', async () => {
+      const cursors = [];
+      nock('https://api.monday.com').post('/v2').reply(200, {
+        data: { boards: [{ items_page: { cursor: 'c1', items: [{ id: '1' }] } }] }
+      });
+      nock('https://api.monday.com')
+        .post('/v2', body => { cursors.push(body.variables.cursor); return true; })
+        .times(2)
+        .reply(200, (uri, body) => ({
+          data: { next_items_page: body.variables.cursor === 'c1'
+            ? { cursor: 'c2', items: [{ id: '2' }] }
+            : { cursor: null, items: [{ id: '3' }] } }
+        }));
+
+      const result = await client.paginateItems('123');
+      expect(result).toEqual({ items: [{ id: '1' }, { id: '2' }, { id: '3' }], truncated: false });
+      expect(cursors).toEqual(['c1', 'c2']);
+    });
+
+    it('stops at the safety cap and reports truncation', async () => {
+      nock('https://api.monday.com').post('/v2').reply(200, {
+        data: { boards: [{ items_page: { cursor: 'c1', items: [{ id: '1' }, { id: '2' }] } }] }
+      });
+
+      const result = await client.paginateItems('123', { pageSize: 2, maxItems: 2 });
+      expect(result).toEqual({ items: [{ id: '1' }, { id: '2' }], truncated: true });
+    });
+  });
+
+  describe('paginateBoards()', () => {
+    it('requests pages until a short page is returned', async () => {
+      const pages = [];
+      nock('https://api.monday.com')
+        .post('/v2', body => { pages.push(body.variables.page); return true; })
+        .times(2)
+        .reply(200, (uri, body) => ({
+          data: { boards: body.variables.page === 1 ? [{ id: '1' }, { id: '2' }] : [{ id: '3' }] }
+        }));
+
+      const result = await client.paginateBoards({ workspaceIds: ['9'], pageSize: 2 });
+      expect(result).toEqual({ boards: [{ id: '1' }, { id: '2' }, { id: '3' }], truncated: false });
+      expect(pages).toEqual([1, 2]);
+    });
+
+    it('reports truncation when the page cap is reached', async () => {
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { boards: [{ id: '1' }] } });
+
+      const result = await client.paginateBoards({ pageSize: 1, maxPages: 1 });
+      expect(result).toEqual({ boards: [{ id: '1' }], truncated: true });
+    });
+  });
+
+  describe('getStats()', () => {
+    it('breaks down calls and failures by operation', async () => {
+      nock('https://api.monday.com').post('/v2').reply(200, { data: { users: [] } });
+      nock('https://api.monday.com').post('/v2').reply(200, { errors: [{ message: 'bad' }] });
+
+      await client.query('query GetUsers { users { id } }');
+      await client.query('mutation { create_item(board_id: 1, item_name: "x") { id } }').catch(() => {});
+
+      const stats = client.getStats();
+      expect(stats.requests).toBe(2);
+      expect(stats.failures).toBe(1);
+      expect(stats.operations.GetUsers.calls).toBe(1);
+      expect(stats.operations.create_item.failures).toBe(1);
+    });
+  });
+
+  describe('getOperationName()', () => {
+    it('prefers the named operation', () => {
+      expect(getOperationName('query GetBoards { boards { id } }')).toBe('GetBoards');
+    });
+
+    it('falls back to the first root field', () => {
+      expect(getOperationName('mutation { change_column_value(item_id: 1) { id } }')).toBe('change_column_value');
+    });
+  });
+});
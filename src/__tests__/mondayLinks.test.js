@@ -0,0 +1,72 @@
+const mondayLinks = require('../mondayLinks');
+const { MondayLinks } = require('../mondayLinks');
+const { createTaskBlock } = require('../messageFormatter');
+
+describe('mondayLinks', () => {
+  const makeClient = (impl) => ({ query: jest.fn(impl) });
+
+  it('exports a shared singleton instance', () => {
+    expect(mondayLinks).toBeInstanceOf(MondayLinks);
+  });
+
+  it('builds board, item and update links from the configured slug', () => {
+    const links = new MondayLinks({ slug: 'acme' });
+    expect(links.baseUrl()).toBe('https://acme.monday.com');
+    expect(links.boardUrl('123')).toBe('https://acme.monday.com/boards/123');
+    expect(links.itemUrl('123', '456')).toBe('https://acme.monday.com/boards/123/pulses/456');
+    expect(links.updateUrl('123', '456', '789')).toBe('https://acme.monday.com/boards/123/pulses/456/posts/789');
+  });
+
+  it('falls back to monday.com until a slug is known', () => {
+    const links = new MondayLinks({ slug: null });
+    expect(links.itemUrl('1', '2')).toBe('https://monday.com/boards/1/pulses/2');
+  });
+
+  it('rejects slugs that are not valid subdomains', () => {
+    expect(() => new MondayLinks({ slug: 'evil.com/x' })).toThrow(/Invalid Monday.com account slug/);
+  });
+
+  describe('resolveSlug()', () => {
+    it('discovers the slug once with the account query', async () => {
+      const client = makeClient(async () => ({ account: { slug: 'Acme-Co' } }));
+      const links = new MondayLinks({ slug: null, client });
+
+      await Promise.all([links.resolveSlug(), links.resolveSlug()]);
+      await links.resolveSlug();
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][0]).toContain('account { slug }');
+      expect(links.baseUrl()).toBe('https://acme-co.monday.com');
+    });
+
+    it('skips discovery when a slug is configured', async () => {
+      const client = makeClient(async () => ({}));
+      const links = new MondayLinks({ slug: 'acme', client });
+
+      await expect(links.resolveSlug()).resolves.toBe('acme');
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    it('keeps the fallback and allows a retry when discovery fails', async () => {
+      const client = makeClient(async () => { throw new Error('Not Authenticated'); });
+      const links = new MondayLinks({ slug: null, client });
+
+      await expect(links.resolveSlug()).resolves.toBeNull();
+      expect(links.baseUrl()).toBe('https://monday.com');
+
+      client.query.mockResolvedValueOnce({ account: { slug: 'acme' } });
+      await expect(links.resolveSlug()).resolves.toBe('acme');
+    });
+  });
+
+  it('is used for task links in digest messages', () => {
+    const original = mondayLinks.slug;
+    mondayLinks.setSlug('acme');
+
+    const blocks = createTaskBlock({ id: '111', boardId: '222', name: 'Task', status: 'Working', dueDate: null });
+    const context = blocks.find(b => b.type === 'context');
+    expect(context.elements[0].text).toContain('https://acme.monday.com/boards/222/pulses/111');
+
+    mondayLinks.slug = original;
+  });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const { createMockMondayRouter, parseRootFields, parseArgs } = require('../mock/mondayMockServer');
+const { MondayClient } = require('../mondayClient');
+const { ComplexityScheduler } = require('../utils/complexityScheduler');
+const fixtures = require('./mocks/mondayApi');
+
+describe('mondayMockServer', () => {
+  let server, client, router;
+
+  beforeEach(async () => {
+    router = createMockMondayRouter({ fixtures });
+    const app = express();
+    app.use(router);
+    server = await new Promise(resolve => {
+      const s = app.listen(0, () => resolve(s));
+    });
+    client = new MondayClient({
+      apiKey: 'mock',
+      apiUrl: `http://127.0.0.1:${server.address().port}/v2`,
+      scheduler: new ComplexityScheduler()
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('query parsing', () => {
+    it('finds root fields with their arguments and selections', () => {
+      const fields = parseRootFields('query Q($id: ID!) { complexity { after } items(ids: [$id]) { id board { id } } }');
+      expect(fields.map(f => f.name)).toEqual(['complexity', 'items']);
+      expect(fields[1].args).toBe('ids: [$id]');
+    });
+
+    it('resolves variables and literals in arguments', () => {
+      expect(parseArgs('ids: [$id], limit: 5, name: "a, b", kind: person', { id: '7' }))
+        .toEqual({ ids: ['7'], limit: 5, name: 'a, b', kind: 'person' });
+    });
+  });
+
+  it('serves users from the fixtures', async () => {
+    const data = await client.query('query GetUsers { users { id name email enabled is_guest } }');
+    expect(data.users.map(u => u.name)).toEqual(['John Doe', 'Jane Smith', 'Disabled User']);
+  });
+
+  it('pages board items and applies query_params rules', async () => {
+    const { items } = await client.paginateItems('1234567', {
+      pageSize: 1,
+      queryParams: {
+        rules: [{ column_id: 'status', compare_value: [1], operator: 'not_any_of' }],
+        operator: 'and'
+      }
+    });
+    expect(items.map(i => i.id)).toEqual(['111']);
+
+    const all = await client.paginateItems('1234567', { pageSize: 1 });
+    expect(all.items.map(i => i.id)).toEqual(['111', '222']);
+  });
+
+  it('lists boards by workspace with paging', async () => {
+    const { boards } = await client.paginateBoards({ pageSize: 1 });
+    expect(boards.map(b => b.id)).toEqual(['1234567', '7654321']);
+  });
+
+  it('creates items and changes column values in memory', async () => {
+    const created = await client.query(
+      'mutation CreateItem($boardId: ID!, $itemName: String!, $columnValues: JSON) { create_item(board_id: $boardId, item_name: $itemName, column_values: $columnValues) { id board { id } } }',
+      { variables: { boardId: '1234567', itemName: 'New task', columnValues: JSON.stringify({ date: { date: '2026-05-01' } }) } }
+    );
+    expect(created.create_item.board.id).toBe('1234567');
+
+    await client.query(
+      'mutation ChangeColumnValue($boardId: ID!, $itemId: ID!, $columnId: String!, $value: JSON!) { change_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) { id } }',
+      { variables: { boardId: '1234567', itemId: created.create_item.id, columnId: 'status', value: JSON.stringify({ index: 1 }) } }
+    );
+    await client.query('mutation CreateUpdate($itemId: ID!, $body: String!) { create_update(item_id: $itemId, body: $body) { id } }', {
+      variables: { itemId: created.create_item.id, body: 'Looks good' }
+    });
+
+    const { items } = await client.query('query GetItem($itemId: ID!) { items(ids: [$itemId]) { id column_values { id value } updates { body } } }', {
+      variables: { itemId: created.create_item.id }
+    });
+    expect(items[0].column_values).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'date', value: '{"date":"2026-05-01"}' }),
+      expect.objectContaining({ id: 'status', value: '{"index":1}' })
+    ]));
+    expect(items[0].updates[0].body).toBe('Looks good');
+  });
+
+  it('reports complexity so the scheduler sees a healthy budget', async () => {
+    await client.query('query { users { id } }');
+    expect(client.getStats().complexity.remaining).toBeGreaterThan(0);
+  });
+
+  it('returns GraphQL errors for unknown fields and missing items', async () => {
+    await expect(client.query('query { workspaces { id } }')).rejects.toMatchObject({ category: 'CLIENT' });
+    await expect(client.query('query { items(ids: [1]) { id } }')).resolves.toEqual({ items: [] });
+    await expect(client.query('mutation { create_update(item_id: 1, body: "x") { id } }'))
+      .rejects.toThrow(/Item 1 not found/);
+  });
+});
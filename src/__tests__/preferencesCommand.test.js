@@ -0,0 +1,157 @@
+const { registerPreferencesCommand, buildPreferencesModal, parsePreferencesSubmission } = require('../preferencesCommand');
+const userPreferences = require('../userPreferences');
+const { DEFAULT_PREFERENCES } = require('../userPreferences');
+const { createMockSlackClient, createMockAck, createMockRespond, createSlackCommandPayload } = require('./mocks/slackApi');
+
+describe('preferencesCommand', () => {
+  const boards = [
+    { id: '1234567', name: 'Project Alpha', workspace: { id: 12742680, name: 'Engineering' } },
+    { id: '7654321', name: 'Project Beta', workspace: { id: 12691809, name: 'Design' } }
+  ];
+
+  // Selected options as Slack sends them back in view.state.values
+  function submittedValues(view) {
+    const values = {};
+    for (const block of view.blocks) {
+      const { action_id: actionId, initial_option: single, initial_options: multiple } = block.element;
+      values[block.block_id] = {
+        [actionId]: block.element.type === 'static_select'
+          ? { selected_option: single }
+          : { selected_options: multiple || [] }
+      };
+    }
+    return values;
+  }
+
+  describe('buildPreferencesModal()', () => {
+    it('shows the current preferences as initial values', () => {
+      const prefs = { ...DEFAULT_PREFERENCES, weekdaysOnly: true, deliveryHour: 9, upcomingDays: 14, boardIds: ['7654321'] };
+      const view = buildPreferencesModal(prefs, boards, '42');
+      const block = id => view.blocks.find(b => b.block_id === id).element;
+
+      expect(view.private_metadata).toBe('42');
+      expect(block('digest_block').initial_options.map(o => o.value)).toEqual(['weekdays_only']);
+      expect(block('hour_block').initial_option.value).toBe('9');
+      expect(block('upcoming_block').initial_option.value).toBe('14');
+      expect(block('boards_block').initial_options.map(o => o.text.text)).toEqual(['Project Beta']);
+      expect(block('workspaces_block').options[0].text.text).toBe('Engineering');
+    });
+
+    it('omits initial_options when nothing is selected', () => {
+      const view = buildPreferencesModal(DEFAULT_PREFERENCES, boards, '42');
+      expect(view.blocks.find(b => b.block_id === 'digest_block').element.initial_options).toBeUndefined();
+      expect(view.blocks.find(b => b.block_id === 'hour_block').element.initial_option.value).toBe('default');
+    });
+  });
+
+  describe('parsePreferencesSubmission()', () => {
+    it('round-trips the modal state back to the same preferences', () => {
+      const prefs = {
+        ...DEFAULT_PREFERENCES,
+        optOut: true,
+        showNoDueDate: true,
+        deliveryHour: 6,
+        upcomingDays: 3,
+        workspaceIds: ['12691809'],
+        boardIds: ['1234567']
+      };
+      const view = buildPreferencesModal(prefs, boards, '42');
+      expect(parsePreferencesSubmission(submittedValues(view))).toEqual(prefs);
+    });
+
+    it('keeps chosen boards past the first 100 selected', () => {
+      const many = Array.from({ length: 150 }, (_, i) => ({ id: String(1000 + i), name: `Board ${i}` }));
+      const prefs = { ...DEFAULT_PREFERENCES, boardIds: ['1001', '1149'] };
+      const view = buildPreferencesModal(prefs, many, '42');
+      const boardsBlock = view.blocks.find(b => b.block_id === 'boards_block');
+
+      expect(boardsBlock.element.options).toHaveLength(100);
+      expect(boardsBlock.hint.text).toBe('Showing 100 of 150 boards, starting with the ones you chose');
+      expect(parsePreferencesSubmission(submittedValues(view)).boardIds).toEqual(['1001', '1149']);
+    });
+
+    it('maps the default hour to null', () => {
+      const view = buildPreferencesModal(DEFAULT_PREFERENCES, boards, '42');
+      expect(parsePreferencesSubmission(submittedValues(view)).deliveryHour).toBeNull();
+    });
+  });
+
+  describe('registerPreferencesCommand()', () => {
+    let handlers;
+
+    beforeEach(() => {
+      handlers = {};
+      registerPreferencesCommand({
+        command: jest.fn((name, fn) => { handlers[name] = fn; }),
+        view: jest.fn((id, fn) => { handlers[id] = fn; })
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('opens a loading modal immediately, then reports a missing Monday.com account', async () => {
+      const client = createMockSlackClient({
+        users: { info: jest.fn().mockRejectedValue(new Error('user_not_found')) },
+        views: {
+          open: jest.fn().mockResolvedValue({ view: { id: 'V1' } }),
+          update: jest.fn().mockResolvedValue({ ok: true })
+        }
+      });
+      const ack = createMockAck();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      handlers['/monday-prefs']({
+        command: createSlackCommandPayload({ command: '/monday-prefs' }),
+        ack,
+        respond: createMockRespond(),
+        client
+      });
+      expect(ack).toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(client.views.open).toHaveBeenCalledWith(expect.objectContaining({ trigger_id: 'trigger123' }));
+      expect(client.views.update).toHaveBeenCalledWith(expect.objectContaining({ view_id: 'V1' }));
+      expect(JSON.stringify(client.views.update.mock.calls[0][0].view)).toContain('Could not find your Monday.com account');
+    });
+
+    it('saves a valid submission and confirms by DM', async () => {
+      const set = jest.spyOn(userPreferences, 'set').mockReturnValue({ ...DEFAULT_PREFERENCES });
+      const view = buildPreferencesModal(DEFAULT_PREFERENCES, boards, '42');
+      const client = createMockSlackClient();
+      const ack = createMockAck();
+
+      await handlers.monday_prefs_modal({
+        ack,
+        body: { user: { id: 'U123456' } },
+        view: { ...view, state: { values: submittedValues(view) } },
+        client
+      });
+
+      expect(set).toHaveBeenCalledWith('42', expect.objectContaining({ optOut: false, upcomingDays: 7 }));
+      expect(ack).toHaveBeenCalledWith();
+      expect(client.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'U123456' }));
+    });
+
+    it('returns a validation error to the modal instead of saving', async () => {
+      jest.spyOn(userPreferences, 'set').mockImplementation(() => { throw new Error('deliveryHour must be an hour from 0 to 23'); });
+      const view = buildPreferencesModal(DEFAULT_PREFERENCES, boards, '42');
+      const client = createMockSlackClient();
+      const ack = createMockAck();
+
+      await handlers.monday_prefs_modal({
+        ack,
+        body: { user: { id: 'U123456' } },
+        view: { ...view, state: { values: submittedValues(view) } },
+        client
+      });
+
+      expect(ack).toHaveBeenCalledWith({
+        response_action: 'errors',
+        errors: { digest_block: 'deliveryHour must be an hour from 0 to 23' }
+      });
+      expect(client.chat.postMessage).not.toHaveBeenCalled();
+    });
+  });
+});
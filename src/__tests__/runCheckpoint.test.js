@@ -0,0 +1,112 @@
+const { RunCheckpoint } = require('../runCheckpoint');
+const { useTempStore, describePersistence } = require('./helpers/fileStore');
+
+describe('runCheckpoint', () => {
+  const today = 'Mon Mar 02 2026';
+  const tomorrow = 'Tue Mar 03 2026';
+
+  const files = useTempStore('run-checkpoint.json', filePath => new RunCheckpoint({ filePath }));
+
+  describePersistence(files, {
+    write: checkpoint => {
+      checkpoint.begin('run_1', today);
+      checkpoint.markDelivered('42', 'sent');
+    },
+    has: checkpoint => checkpoint.isDelivered('42', today)
+  });
+
+  it('writes each delivered user to disk immediately', () => {
+    const checkpoint = files.create();
+    checkpoint.begin('run_1', today);
+    checkpoint.markDelivered(42, 'sent');
+
+    const reloaded = files.create();
+    expect(reloaded.isDelivered('42', today)).toBe(true);
+    expect(reloaded.isDelivered('43', today)).toBe(false);
+  });
+
+  it('reports a run cut off by a restart as unfinished', () => {
+    const checkpoint = files.create();
+    checkpoint.begin('run_1', today);
+    checkpoint.markDelivered('42', 'sent');
+
+    const unfinished = files.create().getUnfinished(today);
+    expect(unfinished).toMatchObject({ runId: 'run_1' });
+    expect(Object.keys(unfinished.delivered)).toEqual(['42']);
+    expect(files.create().getUnfinished(tomorrow)).toBeNull();
+  });
+
+  it('does not report finished or failed runs as unfinished', () => {
+    const checkpoint = files.create();
+    checkpoint.begin('run_1', today);
+    checkpoint.finish();
+    expect(files.create().getUnfinished(today)).toBeNull();
+
+    checkpoint.begin('run_2', today);
+    checkpoint.finish('failed');
+    expect(files.create().getUnfinished(today)).toBeNull();
+  });
+
+  it('keeps delivered users when a run for the same day starts again', () => {
+    const checkpoint = files.create();
+    checkpoint.begin('run_1', today);
+    checkpoint.markDelivered('42', 'sent');
+
+    expect(checkpoint.begin('run_2', today)).toBe(1);
+    expect(checkpoint.isDelivered('42', today)).toBe(true);
+  });
+
+  it('starts empty on a new day or when restarting', () => {
+    const checkpoint = files.create();
+    checkpoint.begin('run_1', today);
+    checkpoint.markDelivered('42', 'sent');
+
+    expect(checkpoint.begin('run_2', today, { restart: true })).toBe(0);
+    checkpoint.markDelivered('42', 'updated');
+    expect(checkpoint.begin('run_3', tomorrow)).toBe(0);
+    expect(checkpoint.isDelivered('42', tomorrow)).toBe(false);
+  });
+
+  describe('runs limited to some emails', () => {
+    it('add their users to an interrupted full run without finishing it', () => {
+      const checkpoint = files.create();
+      checkpoint.begin('run_1', today);
+      checkpoint.markDelivered('42', 'sent');
+
+      // The server restarted; a ?users= run comes in before the full run resumes
+      const restarted = files.create();
+      restarted.markDelivered('43', 'sent', today);
+
+      const unfinished = files.create().getUnfinished(today);
+      expect(unfinished).toMatchObject({ runId: 'run_1', status: 'running' });
+      expect(Object.keys(unfinished.delivered)).toEqual(['42', '43']);
+    });
+
+    it('start the day\'s checkpoint without a pending run', () => {
+      const checkpoint = files.create();
+      checkpoint.begin('run_1', today);
+      checkpoint.finish();
+
+      checkpoint.markDelivered('42', 'sent', tomorrow);
+
+      expect(checkpoint.isDelivered('42', tomorrow)).toBe(true);
+      expect(checkpoint.getUnfinished(tomorrow)).toBeNull();
+      expect(checkpoint.begin('run_2', tomorrow)).toBe(1);
+    });
+
+    it('forget only the requested users when forced', () => {
+      const checkpoint = files.create();
+      checkpoint.begin('run_1', today);
+      checkpoint.markDelivered('42', 'sent');
+      checkpoint.markDelivered('43', 'sent');
+
+      checkpoint.forget(['42'], today);
+      checkpoint.forget(['43'], tomorrow);
+
+      const reloaded = files.create();
+      expect(reloaded.isDelivered('42', today)).toBe(false);
+      expect(reloaded.isDelivered('43', today)).toBe(true);
+      expect(reloaded.getUnfinished(today)).toMatchObject({ runId: 'run_1' });
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const { RunHistory } = require('../runHistory');
+const { useTempStore, describePersistence } = require('./helpers/fileStore');
+
+describe('runHistory', () => {
+  const alice = { id: 42, name: 'Alice', email: 'Alice@example.com' };
+  const bob = { id: 43, name: 'Bob', email: 'bob@example.com' };
+
+  const files = useTempStore('run-history.json', filePath => new RunHistory({ filePath }));
+
+  describePersistence(files, {
+    write: history => history.start({ trigger: 'api' }),
+    has: history => history.size > 0
+  });
+
+  it('records a run with its trigger, counters and per-user outcomes', () => {
+    const history = files.create();
+    const run = history.start({ trigger: 'scheduler' });
+    history.recordUser(run.id, alice, { status: 'sent', taskCount: 3, durationMs: 120 });
+    history.recordUser(run.id, bob, { status: 'skipped', reason: 'users_not_found' });
+    history.finish(run.id, { counters: { usersProcessed: 1, messagesSent: 1 } });
+
+    const saved = files.create().get(run.id);
+    expect(saved).toMatchObject({
+      trigger: 'scheduler',
+      status: 'completed',
+      counters: { usersProcessed: 1, messagesSent: 1 },
+      error: null
+    });
+    expect(saved.durationMs).toEqual(expect.any(Number));
+    expect(saved.users).toEqual([
+      { userId: '42', name: 'Alice', email: 'Alice@example.com', status: 'sent', taskCount: 3, durationMs: 120 },
+      { userId: '43', name: 'Bob', email: 'bob@example.com', status: 'skipped', reason: 'users_not_found' }
+    ]);
+  });
+
+  it('records a failed run with its error', () => {
+    const history = files.create();
+    const run = history.start();
+    history.finish(run.id, { error: new Error('Monday.com is down') });
+
+    expect(history.get(run.id)).toMatchObject({ trigger: 'api', status: 'failed', error: 'Monday.com is down' });
+  });
+
+  it('marks runs cut off by a restart as interrupted', () => {
+    const run = files.create().start();
+    expect(files.create().get(run.id).status).toBe('interrupted');
+  });
+
+  describe('list()', () => {
+    it('returns summaries newest first, without per-user outcomes', () => {
+      const history = files.create();
+      const first = history.start();
+      const second = history.start();
+      history.recordUser(second.id, alice, { status: 'sent' });
+
+      const runs = history.list();
+      expect(runs.map(r => r.id)).toEqual([second.id, first.id]);
+      expect(runs[0].users).toBeUndefined();
+      expect(runs[0].userCount).toBe(1);
+      expect(history.list({ limit: 1 })).toHaveLength(1);
+    });
+
+    it('filters by user id or email and includes that user outcome', () => {
+      const history = files.create();
+      const withAlice = history.start();
+      history.recordUser(withAlice.id, alice, { status: 'failed', error: 'channel_not_found' });
+      const withoutAlice = history.start();
+      history.recordUser(withoutAlice.id, bob, { status: 'sent' });
+
+      const byEmail = history.list({ user: 'alice@EXAMPLE.com' });
+      expect(byEmail.map(r => r.id)).toEqual([withAlice.id]);
+      expect(byEmail[0].user).toMatchObject({ status: 'failed', error: 'channel_not_found' });
+      expect(history.list({ user: '42' }).map(r => r.id)).toEqual([withAlice.id]);
+    });
+  });
+
+  it('prunes runs older than the retention period', () => {
+    const history = new RunHistory({ filePath: files.filePath, retentionDays: 7 });
+    const old = history.start();
+    const recent = history.start();
+    old.startedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+
+    expect(history.prune()).toBe(1);
+    expect(history.get(old.id)).toBeUndefined();
+    expect(history.get(recent.id)).toBeDefined();
+
+    // Starting a run prunes too
+    const stale = history.start();
+    stale.startedAt = old.startedAt;
+    history.start();
+    expect(history.get(stale.id)).toBeUndefined();
+  });
+});
@@ -1,10 +1,19 @@
-const { registerTasksCommand, organizeTasks, formatTaskMessage, getUserTasksFromBoard, getAllBoards } = require('../tasksCommand');
+const { registerTasksCommand, registerTaskListPaging, organizeTasks, formatTaskMessage, getUserTasksFromBoard, getAllBoards, getOpenTasksByAssignee, getCompletedTasksByAssignee } = require('../tasksCommand');
 const { createMockSlackClient, createMockAck, createMockRespond, createSlackCommandPayload } = require('./mocks/slackApi');
 const nock = require('nock');
+const errorHandler = require('../utils/errorHandler');
 
 describe('tasksCommand', () => {
   let mockAck, mockRespond, mockClient, commandPayload;
 
+  beforeAll(() => {
+    errorHandler.baseDelay = 1; // Monday.com calls retry through the shared client
+  });
+
+  afterAll(() => {
+    errorHandler.baseDelay = 1000;
+  });
+
   beforeEach(() => {
     mockAck = createMockAck();
     mockRespond = createMockRespond();
@@ -158,6 +167,11 @@ describe('tasksCommand', () => {
       expect(result.noDueDate.length).toBe(2);
     });
 
+    it('uses the upcoming window from preferences', () => {
+      const result = organizeTasks([makeTask(nextMonthFuture.toISOString().split('T')[0])], { upcomingDays: 30 });
+      expect(result.upcoming.length).toBe(1);
+    });
+
     it('returns empty categories for empty input', () => {
       const result = organizeTasks([]);
       expect(result.overdue).toEqual([]);
@@ -165,6 +179,32 @@ describe('tasksCommand', () => {
       expect(result.upcoming).toEqual([]);
       expect(result.noDueDate).toEqual([]);
     });
+
+    it("uses calendar days in the recipient's timezone", () => {
+      // 21:00 on March 2nd in Los Angeles, already March 3rd in UTC
+      const now = new Date('2026-03-03T05:00:00Z');
+      const tasks = [makeTask('2026-03-02'), makeTask('2026-03-03')];
+
+      const west = organizeTasks(tasks, { timeZone: 'America/Los_Angeles', now });
+      expect(west.dueToday.map(t => t.dueDate)).toEqual(['2026-03-02']);
+      expect(west.upcoming.map(t => t.dueDate)).toEqual(['2026-03-03']);
+
+      const utc = organizeTasks(tasks, { timeZone: 'UTC', now });
+      expect(utc.overdue.map(t => t.dueDate)).toEqual(['2026-03-02']);
+      expect(utc.dueToday.map(t => t.dueDate)).toEqual(['2026-03-03']);
+    });
+
+    it('respects the time of date-and-time values', () => {
+      const now = new Date('2026-03-03T05:00:00Z');
+      const passed = { ...makeTask('2026-03-03'), dueTime: '02:00:00' };   // 18:00 on March 2nd in Los Angeles
+      const evening = { ...makeTask('2026-03-03'), dueTime: '20:00:00' };  // 12:00 on March 3rd in Los Angeles
+
+      const west = organizeTasks([passed, evening], { timeZone: 'America/Los_Angeles', now });
+      expect(west.overdue).toEqual([passed]);
+      expect(west.upcoming).toEqual([evening]);
+
+      expect(organizeTasks([evening], { timeZone: 'UTC', now }).dueToday).toEqual([evening]);
+    });
   });
 
   describe('formatTaskMessage()', () => {
@@ -213,6 +253,39 @@ describe('tasksCommand', () => {
       const text = JSON.stringify(msg.blocks);
       expect(text).toContain('Monday');
     });
+
+    it('pages long sections with "Show more"', () => {
+      const many = Array.from({ length: 8 }, (_, i) => ({ ...task, id: String(i), name: `Task ${i}` }));
+      const first = formatTaskMessage({ ...emptyTasks, dueToday: many }, 'John');
+      const pager = first.blocks.find(b => b.accessory?.action_id === 'tasks_page_dueToday');
+      expect(pager.text.text).toBe('_…and 3 more_');
+
+      const second = JSON.stringify(formatTaskMessage({ ...emptyTasks, dueToday: many }, 'John', { pages: JSON.parse(pager.accessory.value) }).blocks);
+      expect(second).toContain('Task 7');
+      expect(second).not.toContain('Task 0');
+    });
+  });
+
+  describe('registerTaskListPaging()', () => {
+    it('replaces the /tasks reply with the requested page', async () => {
+      let handler;
+      registerTaskListPaging({ action: jest.fn((id, fn) => { handler = fn; }) });
+      const respond = jest.fn().mockResolvedValue(undefined);
+      const client = createMockSlackClient({
+        users: { info: jest.fn().mockResolvedValue({ user: { profile: { email: 'nobody@example.com' } } }) }
+      });
+      const mondayClient = require('../mondayClient');
+      jest.spyOn(mondayClient, 'query').mockResolvedValue({ users: [] });
+
+      await handler({ action: { value: '{"overdue":1}' }, ack: mockAck, body: { user: { id: 'U1' } }, respond, client });
+
+      expect(mockAck).toHaveBeenCalled();
+      expect(respond).toHaveBeenCalledWith(expect.objectContaining({
+        text: expect.stringContaining('Could not find your Monday.com account'),
+        replace_original: true
+      }));
+      jest.restoreAllMocks();
+    });
   });
 
   describe('getUserTasksFromBoard()', () => {
@@ -285,6 +358,105 @@ describe('tasksCommand', () => {
       });
     });
 
+    it('passes the board ID as a GraphQL variable', async () => {
+      let sentBody;
+      nock('https://api.monday.com')
+        .post('/v2', body => { sentBody = body; return true; })
+        .reply(200, { data: { boards: [{ items_page: { items: [] } }] } });
+
+      await getUserTasksFromBoard(board, 42);
+      expect(sentBody.variables).toMatchObject({ boardId: '1234567' });
+      expect(sentBody.query).not.toContain('1234567');
+    });
+
+    it('filters by assignee and open status on the server with query_params', async () => {
+      let sentBody;
+      nock('https://api.monday.com')
+        .post('/v2', body => { sentBody = body; return true; })
+        .reply(200, { data: { boards: [{ items_page: { items: [mockItems[0]] } }] } });
+
+      await getUserTasksFromBoard(board, 42);
+      expect(sentBody.query).toContain('query_params: $queryParams');
+      expect(sentBody.variables.queryParams).toEqual({
+        rules: [
+          { column_id: 'person', compare_value: ['person-42'], operator: 'any_of' },
+          { column_id: 'status', compare_value: [1], operator: 'not_any_of' }
+        ],
+        operator: 'and'
+      });
+    });
+
+    it('leaves out the status rule when the status column has no done labels', async () => {
+      let sentBody;
+      nock('https://api.monday.com')
+        .post('/v2', body => { sentBody = body; return true; })
+        .reply(200, { data: { boards: [{ items_page: { items: [] } }] } });
+      const columns = board.columns.map(c => (c.type === 'status' ? { ...c, settings_str: '{"done_colors":[]}' } : c));
+
+      await getUserTasksFromBoard({ ...board, columns }, 42);
+      expect(sentBody.variables.queryParams.rules).toEqual([
+        { column_id: 'person', compare_value: ['person-42'], operator: 'any_of' }
+      ]);
+    });
+
+    it('uses the columns mapped for the board instead of the first of each type', async () => {
+      const columnMapping = require('../columnMapping');
+      jest.spyOn(columnMapping, 'getMapping').mockReturnValue({ assignee: 'reviewer', priority: 'prio' });
+      const mappedBoard = {
+        ...board,
+        columns: [
+          ...board.columns,
+          { id: 'reviewer', title: 'Reviewer', type: 'people', settings_str: '{}' },
+          { id: 'prio', title: 'Priority', type: 'status', settings_str: '{}' }
+        ]
+      };
+      const item = {
+        id: '444',
+        name: 'Review PR',
+        column_values: [
+          ...mockItems[2].column_values,
+          { id: 'reviewer', text: 'John Doe', value: '{"personsAndTeams":[{"id":42,"kind":"person"}]}', type: 'people' },
+          { id: 'prio', text: 'High', value: '{"index":2}', type: 'status' }
+        ]
+      };
+      let sentBody;
+      nock('https://api.monday.com')
+        .post('/v2', body => { sentBody = body; return true; })
+        .reply(200, { data: { boards: [{ items_page: { items: [item] } }] } });
+
+      const tasks = await getUserTasksFromBoard(mappedBoard, 42);
+
+      expect(sentBody.variables.queryParams.rules[0].column_id).toBe('reviewer');
+      expect(tasks).toEqual([expect.objectContaining({ id: '444', priority: 'High' })]);
+      columnMapping.getMapping.mockRestore();
+    });
+
+    it('follows next_items_page cursors to collect every item', async () => {
+      nock('https://api.monday.com').post('/v2').reply(200, {
+        data: { boards: [{ items_page: { cursor: 'page-2', items: [mockItems[0]] } }] }
+      });
+      nock('https://api.monday.com')
+        .post('/v2', body => body.variables.cursor === 'page-2')
+        .reply(200, { data: { next_items_page: { cursor: null, items: [mockItems[2]] } } });
+
+      const tasks = await getUserTasksFromBoard(board, 42);
+      expect(tasks.map(t => t.id)).toEqual(['111']);
+      expect(nock.isDone()).toBe(true);
+    });
+
+    it('adds a run warning when the item cap stops pagination', async () => {
+      const mondayClient = require('../mondayClient');
+      jest.spyOn(mondayClient, 'paginateItems').mockResolvedValue({ items: [mockItems[0]], truncated: true });
+      const warnings = [];
+
+      await getUserTasksFromBoard(board, 42, { warnings });
+      await getUserTasksFromBoard(board, 7, { warnings });
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatchObject({ type: 'item_cap', boardId: '1234567' });
+      mondayClient.paginateItems.mockRestore();
+    });
+
     it('returns empty array when board has no people or status column', async () => {
       const boardNoCols = { id: '999', name: 'No Cols', columns: [{ id: 'text', title: 'Text', type: 'text', settings_str: '{}' }] };
       const tasks = await getUserTasksFromBoard(boardNoCols, 42);
@@ -292,7 +464,7 @@ describe('tasksCommand', () => {
     });
 
     it('returns empty array on API error', async () => {
-      nock('https://api.monday.com').post('/v2').reply(500, { errors: ['server error'] });
+      nock('https://api.monday.com').post('/v2').times(errorHandler.maxRetries).reply(500, { errors: ['server error'] });
       const tasks = await getUserTasksFromBoard(board, 42);
       expect(tasks).toEqual([]);
     });
@@ -306,6 +478,201 @@ describe('tasksCommand', () => {
     });
   });
 
+  describe('subitems', () => {
+    const board = {
+      id: '1234567',
+      name: 'Project Alpha',
+      columns: [
+        { id: 'status', title: 'Status', type: 'status', settings_str: '{"done_colors":[1]}' },
+        { id: 'person', title: 'Owner', type: 'people', settings_str: '{}' },
+        { id: 'subitems', title: 'Subitems', type: 'subtasks', settings_str: '{"boardIds":[5555]}' }
+      ]
+    };
+    const subitemColumns = [
+      { id: 'status_sub', title: 'Status', type: 'status', settings_str: '{"done_colors":[1]}' },
+      { id: 'person_sub', title: 'Owner', type: 'people', settings_str: '{}' }
+    ];
+    const subitem = {
+      id: '901',
+      name: 'Write migration',
+      parent_item: { id: '111', name: 'My Task' },
+      column_values: [
+        { id: 'status_sub', text: 'Working', value: '{"index":0}', type: 'status' },
+        { id: 'person_sub', text: '', value: '{"personsAndTeams":[{"id":42,"kind":"person"}]}', type: 'people' }
+      ]
+    };
+    const byOperation = (name) => (body) => body.query.includes(name);
+
+    beforeEach(() => {
+      require('../utils/cacheManager').cache.clear();
+    });
+
+    it('reads the subitem board and filters subitems like items', async () => {
+      let subitemRequest;
+      nock('https://api.monday.com')
+        .post('/v2', byOperation('GetSubitemBoard'))
+        .reply(200, { data: { boards: [{ id: '5555', name: 'Subitems of Project Alpha', columns: subitemColumns }] } });
+      nock('https://api.monday.com')
+        .post('/v2', body => body.variables.boardId === '1234567' && body.query.includes('items_page'))
+        .reply(200, { data: { boards: [{ items_page: { items: [] } }] } });
+      nock('https://api.monday.com')
+        .post('/v2', body => {
+          if (body.variables.boardId !== '5555') return false;
+          subitemRequest = body;
+          return true;
+        })
+        .reply(200, { data: { boards: [{ items_page: { items: [subitem] } }] } });
+
+      const tasks = await getUserTasksFromBoard(board, 42);
+
+      expect(subitemRequest.query).toContain('parent_item { id name }');
+      expect(subitemRequest.variables.queryParams.rules[0]).toEqual(
+        { column_id: 'person_sub', compare_value: ['person-42'], operator: 'any_of' }
+      );
+      expect(tasks).toEqual([expect.objectContaining({
+        id: '901',
+        boardId: '5555',
+        boardName: 'Project Alpha',
+        parentId: '111',
+        parentName: 'My Task'
+      })]);
+    });
+
+    it('indexes subitems by assignee in the daily run', async () => {
+      nock('https://api.monday.com')
+        .post('/v2', byOperation('GetSubitemBoard'))
+        .reply(200, { data: { boards: [{ id: '5555', name: 'Subitems', columns: subitemColumns }] } });
+      nock('https://api.monday.com')
+        .post('/v2', body => body.variables.boardId === '1234567')
+        .reply(200, { data: { boards: [{ items_page: { items: [] } }] } });
+      nock('https://api.monday.com')
+        .post('/v2', body => body.variables.boardId === '5555')
+        .reply(200, { data: { boards: [{ items_page: { items: [subitem] } }] } });
+
+      const index = await getOpenTasksByAssignee([board]);
+      expect(index.get('42')).toEqual([expect.objectContaining({ id: '901', parentId: '111' })]);
+    });
+
+    it('leaves subitem boards out of the board listing', async () => {
+      const workspacesConfig = require('../../config/workspaces.json');
+      nock('https://api.monday.com')
+        .post('/v2')
+        .times(workspacesConfig.workspaceIds.length)
+        .reply(200, { data: { boards: [
+          { id: '1', name: 'Board', type: 'board', columns: [] },
+          { id: '2', name: 'Subitems of Board', type: 'sub_items_board', columns: [] }
+        ] } });
+
+      const boards = await getAllBoards();
+      expect(boards.every(b => b.type === 'board')).toBe(true);
+    });
+
+    it('shows subitems under their parent in /tasks output', () => {
+      const parent = { id: '111', name: 'My Task', boardName: 'Project Alpha', boardId: '1234567', dueDate: null, status: 'Working' };
+      const child = { ...parent, id: '901', name: 'Write migration', boardId: '5555', parentId: '111', parentName: 'My Task' };
+      const result = formatTaskMessage({ overdue: [], dueToday: [child, parent], upcoming: [], noDueDate: [] }, 'John');
+      const texts = result.blocks.filter(b => b.type === 'section').map(b => b.text.text);
+      const parentIndex = texts.findIndex(t => t.startsWith('*My Task*'));
+      expect(texts[parentIndex + 1]).toContain('↳ *Write migration*');
+    });
+  });
+
+  describe('getOpenTasksByAssignee()', () => {
+    const board = {
+      id: '1234567',
+      name: 'Project Alpha',
+      columns: [
+        { id: 'status', title: 'Status', type: 'status', settings_str: '{"done_colors":[1]}' },
+        { id: 'person', title: 'Owner', type: 'people', settings_str: '{}' }
+      ]
+    };
+    const item = (id, personIds, statusIndex = 0) => ({
+      id,
+      name: `Task ${id}`,
+      column_values: [
+        { id: 'status', text: 'Working', value: JSON.stringify({ index: statusIndex }), type: 'status' },
+        {
+          id: 'person',
+          text: '',
+          value: JSON.stringify({ personsAndTeams: personIds.map(pid => ({ id: pid, kind: 'person' })) }),
+          type: 'people'
+        }
+      ]
+    });
+
+    it('reads each board once and indexes open tasks by assignee', async () => {
+      const bodies = [];
+      nock('https://api.monday.com')
+        .post('/v2', body => { bodies.push(body); return true; })
+        .twice()
+        .reply(200, {
+          data: { boards: [{ items_page: { items: [item('1', [42, 7]), item('2', [7]), item('3', [42], 1)] } }] }
+        });
+
+      const index = await getOpenTasksByAssignee([board, { ...board, id: '999', name: 'Project Beta' }]);
+
+      expect(bodies).toHaveLength(2);
+      expect(bodies[0].variables.queryParams.rules).toEqual([
+        { column_id: 'status', compare_value: [1], operator: 'not_any_of' }
+      ]);
+      expect(index.get('42').map(t => t.id)).toEqual(['1', '1']);
+      expect(index.get('7').map(t => `${t.boardName}:${t.id}`)).toEqual([
+        'Project Alpha:1', 'Project Alpha:2', 'Project Beta:1', 'Project Beta:2'
+      ]);
+    });
+
+    it('reads every item of a board whose status column has no done labels', async () => {
+      let sentBody;
+      nock('https://api.monday.com')
+        .post('/v2', body => { sentBody = body; return true; })
+        .reply(200, { data: { boards: [{ items_page: { items: [item('1', [42])] } }] } });
+      const noDone = { ...board, columns: [{ ...board.columns[0], settings_str: '{"done_colors":[]}' }, board.columns[1]] };
+
+      const index = await getOpenTasksByAssignee([noDone]);
+      expect(sentBody.variables.queryParams).toBeNull();
+      expect(index.get('42').map(t => t.id)).toEqual(['1']);
+    });
+
+    it('skips boards without status or people columns and boards that fail', async () => {
+      nock('https://api.monday.com').post('/v2').reply(200, { errors: [{ message: 'bad board' }] });
+      const noCols = { id: '5', name: 'Docs', columns: [] };
+
+      const index = await getOpenTasksByAssignee([noCols, board]);
+      expect(index.size).toBe(0);
+    });
+
+    describe('getCompletedTasksByAssignee()', () => {
+      it('indexes done items updated since the given time', async () => {
+        const bodies = [];
+        const updated = (i, at) => ({ ...i, updated_at: at });
+        nock('https://api.monday.com')
+          .post('/v2', body => { bodies.push(body); return true; })
+          .reply(200, { data: { boards: [{ items_page: { items: [
+            updated(item('1', [42], 1), '2026-03-05T10:00:00Z'),
+            updated(item('2', [42], 1), '2026-02-20T10:00:00Z'),
+            updated(item('3', [42], 0), '2026-03-05T10:00:00Z')
+          ] } }] } });
+
+        const index = await getCompletedTasksByAssignee([board], new Date('2026-03-01T00:00:00Z'));
+
+        expect(bodies[0].variables.queryParams.rules).toEqual([
+          { column_id: 'status', compare_value: [1], operator: 'any_of' }
+        ]);
+        expect(index.get('42')).toEqual([expect.objectContaining({ id: '1', completedAt: '2026-03-05T10:00:00Z' })]);
+      });
+
+      it('skips status columns without done labels', async () => {
+        const noDone = { ...board, columns: [{ ...board.columns[0], settings_str: '{"done_colors":[]}' }, board.columns[1]] };
+        const paginate = jest.spyOn(require('../mondayClient'), 'paginateItems');
+
+        const index = await getCompletedTasksByAssignee([noDone], new Date());
+        expect(index.size).toBe(0);
+        expect(paginate).not.toHaveBeenCalled();
+        paginate.mockRestore();
+      });
+    });
+  });
+
   describe('organizeTasks() — sorting', () => {
     const makeTask = (dueDate, name) => ({ id: '1', name: name || 'T', boardName: 'B', boardId: '1', dueDate, status: 'X' });
     const past1 = new Date(); past1.setDate(past1.getDate() - 5);
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const {
+  UserPreferences,
+  DEFAULT_PREFERENCES,
+  validatePreferences,
+  matchesBoardFilters,
+  wantsDigest
+} = require('../userPreferences');
+const { useTempStore, describePersistence } = require('./helpers/fileStore');
+
+describe('userPreferences', () => {
+  const files = useTempStore('user-preferences.json', filePath => new UserPreferences({ filePath }));
+
+  describe('UserPreferences', () => {
+    describePersistence(files, {
+      write: store => store.set(42, { upcomingDays: 14 }),
+      has: store => store.get('42').upcomingDays === 14
+    });
+
+    it('returns defaults for users without preferences', () => {
+      expect(files.create().get('42')).toEqual(DEFAULT_PREFERENCES);
+    });
+
+    it('merges updates and persists them across instances', () => {
+      const store = files.create();
+      store.set(42, { weekdaysOnly: true });
+      store.set(42, { upcomingDays: 14, boardIds: ['123', 123] });
+
+      expect(files.create().get('42')).toEqual({
+        ...DEFAULT_PREFERENCES,
+        weekdaysOnly: true,
+        upcomingDays: 14,
+        boardIds: ['123']
+      });
+    });
+
+    it('saves nothing when a preference is invalid', () => {
+      const store = files.create();
+      expect(() => store.set('42', { optOut: true, upcomingDays: 0 })).toThrow(/upcomingDays/);
+      expect(store.get('42').optOut).toBe(false);
+      expect(fs.existsSync(files.filePath)).toBe(false);
+    });
+
+    it('resets a user back to defaults', () => {
+      const store = files.create();
+      store.set('42', { optOut: true });
+      store.reset('42');
+      expect(files.create().get('42').optOut).toBe(false);
+    });
+  });
+
+  describe('validatePreferences()', () => {
+    it('accepts every preference', () => {
+      const prefs = {
+        optOut: true,
+        deliveryHour: 7,
+        weekdaysOnly: true,
+        workspaceIds: ['12742680'],
+        boardIds: [],
+        showNoDueDate: true,
+        upcomingDays: 30
+      };
+      expect(validatePreferences(prefs)).toEqual(prefs);
+      expect(validatePreferences({ deliveryHour: null })).toEqual({ deliveryHour: null });
+    });
+
+    it('rejects invalid values and unknown keys', () => {
+      expect(() => validatePreferences({ deliveryHour: 24 })).toThrow(/0 to 23/);
+      expect(() => validatePreferences({ optOut: 'yes' })).toThrow(/true or false/);
+      expect(() => validatePreferences({ boardIds: ['abc'] })).toThrow(/numeric IDs/);
+      expect(() => validatePreferences({ boardIds: '123' })).toThrow(/numeric IDs/);
+      expect(() => validatePreferences({ theme: 'dark' })).toThrow(/Unknown preference "theme"/);
+    });
+  });
+
+  describe('matchesBoardFilters()', () => {
+    const task = { boardId: '555', parentBoardId: '100', workspaceId: '1' };
+
+    it('matches everything when no filters are set', () => {
+      expect(matchesBoardFilters(task, DEFAULT_PREFERENCES)).toBe(true);
+    });
+
+    it('matches subitems by their parent board', () => {
+      expect(matchesBoardFilters(task, { ...DEFAULT_PREFERENCES, boardIds: ['100'] })).toBe(true);
+      expect(matchesBoardFilters(task, { ...DEFAULT_PREFERENCES, boardIds: ['555'] })).toBe(false);
+    });
+
+    it('filters by workspace', () => {
+      expect(matchesBoardFilters(task, { ...DEFAULT_PREFERENCES, workspaceIds: ['2'] })).toBe(false);
+    });
+  });
+
+  describe('wantsDigest()', () => {
+    it('honors opt-out and weekdays only', () => {
+      expect(wantsDigest(DEFAULT_PREFERENCES, 6)).toBe(true);
+      expect(wantsDigest({ ...DEFAULT_PREFERENCES, optOut: true }, 1)).toBe(false);
+      expect(wantsDigest({ ...DEFAULT_PREFERENCES, weekdaysOnly: true }, 0)).toBe(false);
+      expect(wantsDigest({ ...DEFAULT_PREFERENCES, weekdaysOnly: true }, 5)).toBe(true);
+    });
+  });
+});
@@ -2,8 +2,10 @@
  * Unit tests for date utilities
  */
 
+const { execFileSync } = require('child_process');
 const {
   addDays,
+  addCalendarDays,
   startOfDay,
   endOfDay,
   isToday,
@@ -19,25 +21,60 @@ const {
 describe('Date Utils', () => {
   describe('addDays', () => {
     it('should add days correctly', () => {
-      const date = new Date('2024-01-15');
-      const result = addDays(date, 5);
-      expect(result.getDate()).toBe(20);
+      const date = new Date('2024-01-15T12:00:00Z');
+      const result = addDays(date, 5, 'UTC');
+      expect(result.toISOString()).toBe('2024-01-20T12:00:00.000Z');
     });
     
     it('should handle month boundaries', () => {
-      const date = new Date('2024-01-30');
-      const result = addDays(date, 3);
-      expect(result.getMonth()).toBe(1); // February
-      expect(result.getDate()).toBe(2);
+      const date = new Date('2024-01-30T12:00:00Z');
+      const result = addDays(date, 3, 'UTC');
+      expect(result.toISOString()).toBe('2024-02-02T12:00:00.000Z');
     });
     
     it('should handle negative days', () => {
-      const date = new Date('2024-01-15');
-      const result = addDays(date, -5);
-      expect(result.getDate()).toBe(10);
+      const date = new Date('2024-01-15T12:00:00Z');
+      const result = addDays(date, -5, 'UTC');
+      expect(result.toISOString()).toBe('2024-01-10T12:00:00.000Z');
+    });
+
+    it('should keep the wall-clock time across a DST change', () => {
+      // Noon in New York the day before clocks go forward
+      const date = new Date('2024-03-09T17:00:00Z');
+      const result = addDays(date, 1, 'America/New_York');
+      expect(result.toISOString()).toBe('2024-03-10T16:00:00.000Z');
     });
   });
   
+  describe('addCalendarDays', () => {
+    it('moves a due date by calendar days', () => {
+      expect(addCalendarDays('2026-03-02', 1)).toBe('2026-03-03');
+      expect(addCalendarDays('2026-02-28', 1)).toBe('2026-03-01');
+      expect(addCalendarDays('2026-12-31', 1)).toBe('2027-01-01');
+      expect(addCalendarDays('2026-03-08', -1)).toBe('2026-03-07');
+    });
+
+    it('moves a due date on a server west of UTC', () => {
+      // The timezone is read once per process, so this runs in a Node process of its own
+      const script = `
+        const { addCalendarDays } = require(${JSON.stringify(require.resolve('../../utils/date-utils'))});
+        console.log(JSON.stringify([new Date('2026-03-02').getDate(), addCalendarDays('2026-03-02', 1)]));
+      `;
+      const output = execFileSync(process.execPath, ['-e', script], {
+        env: { ...process.env, TZ: 'America/Los_Angeles' },
+        encoding: 'utf8'
+      });
+
+      // 2026-03-02 parsed as a Date is still March 1st there
+      expect(JSON.parse(output)).toEqual([1, '2026-03-03']);
+    });
+
+    it('rejects invalid dates', () => {
+      expect(addCalendarDays('2026-02-30', 1)).toBeNull();
+      expect(addCalendarDays('', 1)).toBeNull();
+    });
+  });
+
   describe('startOfDay', () => {
     it('should set time to start of day', () => {
       const date = new Date('2024-01-15T15:30:45.123Z');
@@ -108,11 +145,14 @@ describe('Date Utils', () => {
   
   describe('formatDate', () => {
     it('should format dates correctly', () => {
-      const date = new Date('2024-01-15');
-      const formatted = formatDate(date);
-      expect(formatted).toContain('Jan');
-      expect(formatted).toContain('15');
-      expect(formatted).toContain('2024');
+      const date = new Date('2024-01-15T12:00:00Z');
+      expect(formatDate(date, 'UTC')).toBe('Jan 15, 2024');
+    });
+
+    it('should format the calendar day in the given timezone', () => {
+      const date = new Date('2024-01-15T03:00:00Z');
+      expect(formatDate(date, 'America/Los_Angeles')).toBe('Jan 14, 2024');
+      expect(formatDate(date, 'UTC')).toBe('Jan 15, 2024');
     });
     
     it('should handle null dates', () => {
@@ -128,7 +168,7 @@ describe('Date Utils', () => {
   describe('toISODateString', () => {
     it('should return ISO date string', () => {
       const date = new Date('2024-01-15T12:30:00Z');
-      expect(toISODateString(date)).toBe('2024-01-15');
+      expect(toISODateString(date, 'UTC')).toBe('2024-01-15');
     });
     
     it('should handle invalid dates', () => {
@@ -166,6 +206,39 @@ describe('Date Utils', () => {
     });
   });
   
+  describe('with a timeZone', () => {
+    const now = new Date('2026-03-03T05:00:00Z'); // 21:00 on March 2nd in Los Angeles
+    const la = 'America/Los_Angeles';
+
+    it('parses dates as the start of that day in the timezone', () => {
+      expect(parseDate('2026-03-02', la).toISOString()).toBe('2026-03-02T08:00:00.000Z');
+      expect(parseDate('2026-03-09 09:30', la).toISOString()).toBe('2026-03-09T16:30:00.000Z'); // after the DST change
+      expect(parseDate('2026-03-02T10:00:00Z', la).toISOString()).toBe('2026-03-02T10:00:00.000Z');
+      expect(parseDate('2026-02-30', la)).toBeNull();
+    });
+
+    it('compares calendar days in the timezone', () => {
+      expect(toISODateString(now, la)).toBe('2026-03-02');
+      expect(isToday('2026-03-02', la, now)).toBe(true);
+      expect(isOverdue('2026-03-02', 'UTC', now)).toBe(true);
+      expect(isOverdue('2026-03-02', la, now)).toBe(false);
+      expect(isWithinDays('2026-03-09', 7, la, now)).toBe(true);
+      expect(isWithinDays('2026-03-10', 7, la, now)).toBe(false);
+    });
+
+    it('finds the start and end of the local day across DST changes', () => {
+      expect(startOfDay(now, la).toISOString()).toBe('2026-03-02T08:00:00.000Z');
+      expect(endOfDay(new Date('2026-03-08T12:00:00Z'), la).toISOString()).toBe('2026-03-09T06:59:59.999Z');
+      expect(addDays(new Date('2026-03-07T17:00:00Z'), 2, la).toISOString()).toBe('2026-03-09T16:00:00.000Z');
+      expect(daysBetween('2026-03-01', '2026-03-10', la)).toBe(9);
+    });
+
+    it('formats the local date', () => {
+      expect(formatDate(now, la)).toBe('Mar 2, 2026');
+      expect(formatDate(now, 'UTC')).toBe('Mar 3, 2026');
+    });
+  });
+
   describe('cleanupOldDates', () => {
     it('should remove old entries from Map', () => {
       const store = new Map();
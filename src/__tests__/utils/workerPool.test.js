@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the bounded-concurrency worker pool
+ */
+
+const { runPool } = require('../../utils/workerPool');
+
+describe('runPool', () => {
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('never runs more than `concurrency` workers at once', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await runPool(Array.from({ length: 10 }, (_, i) => i), async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+    }, { concurrency: 3 });
+
+    expect(peak).toBe(3);
+  });
+
+  it('returns results in input order with values and timings', async () => {
+    const results = await runPool([30, 10, 20], async (ms) => {
+      await delay(ms);
+      return ms * 2;
+    }, { concurrency: 3 });
+
+    expect(results.map(r => r.value)).toEqual([60, 20, 40]);
+    results.forEach(r => {
+      expect(r.ok).toBe(true);
+      expect(r.durationMs).toEqual(expect.any(Number));
+    });
+  });
+
+  it('isolates failures so the other items still run', async () => {
+    const onResult = jest.fn();
+    const results = await runPool(['a', 'b', 'c'], async (item) => {
+      if (item === 'b') throw new Error('boom');
+      return item.toUpperCase();
+    }, { concurrency: 2, onResult });
+
+    expect(results.map(r => r.ok)).toEqual([true, false, true]);
+    expect(results[1].error.message).toBe('boom');
+    expect(results[2].value).toBe('C');
+    expect(onResult).toHaveBeenCalledTimes(3);
+  });
+
+  it('processes one at a time by default and handles empty lists', async () => {
+    const order = [];
+    await runPool([1, 2], async (n) => {
+      order.push(`start ${n}`);
+      await delay(1);
+      order.push(`end ${n}`);
+    });
+
+    expect(order).toEqual(['start 1', 'end 1', 'start 2', 'end 2']);
+    await expect(runPool([], async () => {})).resolves.toEqual([]);
+  });
+});
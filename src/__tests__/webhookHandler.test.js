@@ -100,6 +100,17 @@ describe('webhookHandler', () => {
       const text = JSON.stringify(result.blocks);
       expect(text).toContain('Project Alpha');
     });
+
+    it('shows the due date as the calendar day in the recipient\'s timezone', () => {
+      expect(JSON.stringify(formatTaskNotification(mockTask, 'John Doe', 'America/Los_Angeles').blocks)).toContain('Feb 20');
+      expect(JSON.stringify(formatTaskNotification(mockTask, 'John Doe', 'Asia/Tokyo').blocks)).toContain('Feb 20');
+    });
+
+    it('shows a due time converted to the recipient\'s timezone', () => {
+      const timed = { ...mockTask, column_values: [{ type: 'date', value: '{"date":"2026-02-20","time":"23:30:00"}', id: 'date' }] };
+      const text = JSON.stringify(formatTaskNotification(timed, 'John Doe', 'Asia/Tokyo').blocks);
+      expect(text).toContain('Feb 21, 8:30 AM');
+    });
   });
 
   describe('sendSlackNotification()', () => {
@@ -113,12 +124,28 @@ describe('webhookHandler', () => {
       // sendSlackNotification calls slack.users.lookupByEmail which uses the WebClient
       // The WebClient token is set in env. For test we mock at nock level.
       // Since the module-level slack client uses real WebClient, we test error handling
-      const result = await sendSlackNotification('notfound@example.com', { blocks: [] }).catch(e => {
+      const result = await sendSlackNotification({ id: '404', email: 'notfound@example.com' }, { blocks: [] }).catch(e => {
         // May throw or return false
         return false;
       });
       expect(typeof result === 'boolean').toBe(true);
     });
+
+    it('builds the message in the recipient\'s Slack timezone', async () => {
+      const identityMap = require('../identityMap');
+      jest.spyOn(identityMap, 'findSlackUserId').mockResolvedValue('U123');
+      let posted;
+      nock('https://slack.com')
+        .post('/api/users.info').reply(200, { ok: true, user: { id: 'U123', tz: 'Asia/Tokyo' } })
+        .post('/api/conversations.open').reply(200, { ok: true, channel: { id: 'D123' } })
+        .post('/api/chat.postMessage', body => { posted = body; return true; }).reply(200, { ok: true });
+      const build = jest.fn(timeZone => ({ text: `Due in ${timeZone}`, blocks: [] }));
+
+      await expect(sendSlackNotification({ id: '42', email: 'john@example.com' }, build)).resolves.toBe(true);
+      expect(build).toHaveBeenCalledWith('Asia/Tokyo');
+      expect(posted.text).toBe('Due in Asia/Tokyo');
+      identityMap.findSlackUserId.mockRestore();
+    });
   });
 
   describe('processWebhookEvent()', () => {
@@ -172,6 +199,29 @@ describe('webhookHandler', () => {
       // Should not throw
       await expect(processWebhookEvent(event)).resolves.toBeUndefined();
     }, 10000);
+
+    it('skips people columns other than the mapped assignee column', async () => {
+      const columnMapping = require('../columnMapping');
+      jest.spyOn(columnMapping, 'getMapping').mockReturnValue({ assignee: 'owner' });
+      const event = {
+        columnType: 'people',
+        columnId: 'reviewer',
+        pulseId: '111',
+        boardId: '1234567',
+        value: { personsAndTeams: [{ id: 42, kind: 'person' }] },
+        previousValue: { personsAndTeams: [] }
+      };
+
+      nock('https://api.monday.com').post('/v2').reply(200, {
+        data: { items: [{ id: '111', name: 'Test Task', board: { id: '1234567', name: 'Alpha' }, column_values: [] }] }
+      });
+      const userLookup = nock('https://api.monday.com').post('/v2').reply(200, { data: { users: [] } });
+
+      await processWebhookEvent(event);
+
+      expect(userLookup.isDone()).toBe(false);
+      columnMapping.getMapping.mockRestore();
+    });
   });
 
   describe('handleWebhook()', () => {
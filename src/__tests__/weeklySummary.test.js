@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  WeeklySummary,
+  registerWeeklySummary,
+  loadConfig,
+  buildTeamSummary,
+  formatTeamSummary,
+  buildDetailsModal
+} = require('../weeklySummary');
+const { createMockSlackClient, createMockAck } = require('./mocks/slackApi');
+
+describe('weeklySummary', () => {
+  // Days from the real today in UTC, the timezone buildTeamSummary counts in by default
+  const isoDay = (offset) => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const users = [
+    { id: '42', name: 'Alice', email: 'alice@example.com' },
+    { id: '43', name: 'Bob', email: 'bob@example.com' }
+  ];
+  const boards = [
+    { id: '100', name: 'Project Alpha', workspace: { id: 1, name: 'Engineering' } },
+    { id: '200', name: 'Launch', workspace: { id: 2, name: 'Marketing' } }
+  ];
+  const task = (id, boardId, dueDate, extra = {}) => ({
+    id,
+    name: `Task ${id}`,
+    boardId,
+    boardName: boards.find(b => b.id === boardId)?.name || 'Project Alpha',
+    workspaceId: boardId === '200' ? '2' : '1',
+    dueDate,
+    ...extra
+  });
+
+  const data = () => ({
+    boards,
+    openByAssignee: new Map([
+      ['42', [
+        task('1', '100', isoDay(-3)),
+        task('2', '100', isoDay(0)),
+        task('3', '200', isoDay(4)),
+        task('4', '200', isoDay(30)),
+        // A subitem counts towards its parent board
+        task('5', '555', isoDay(-1), { boardName: 'Project Alpha', parentBoardId: '100' })
+      ]]
+    ]),
+    completedByAssignee: new Map([
+      ['43', [task('6', '200', null, { completedAt: new Date().toISOString() })]]
+    ])
+  });
+
+  describe('loadConfig()', () => {
+    const base = { channel: '#leads', day: 1, hour: 9, timezone: 'Europe/Berlin', members: ['Alice@Example.com'] };
+
+    it('reads the config file and lowercases member emails', () => {
+      expect(loadConfig(base, {})).toEqual({ ...base, members: ['alice@example.com'] });
+    });
+
+    it('lets environment variables override the file', () => {
+      const env = { WEEKLY_SUMMARY_CHANNEL: 'C123', WEEKLY_SUMMARY_DAY: '5', WEEKLY_SUMMARY_HOUR: '16', WEEKLY_SUMMARY_TZ: 'UTC' };
+      expect(loadConfig(base, env)).toMatchObject({ channel: 'C123', day: 5, hour: 16, timezone: 'UTC' });
+    });
+
+    it('rejects invalid settings', () => {
+      expect(() => loadConfig({ ...base, day: 7 }, {})).toThrow(/day/);
+      expect(() => loadConfig({ ...base, hour: 24 }, {})).toThrow(/hour/);
+      expect(() => loadConfig({ ...base, timezone: 'Mars/Olympus' }, {})).toThrow(RangeError);
+      expect(() => loadConfig({ ...base, members: ['bob'] }, {})).toThrow(/member email: bob/);
+    });
+  });
+
+  describe('buildTeamSummary()', () => {
+    it('counts overdue, due this week and completed last week per person and board', () => {
+      const summary = buildTeamSummary(users, data());
+
+      expect(summary.totals).toEqual({ overdue: 2, dueThisWeek: 2, completedLastWeek: 1 });
+      const alice = summary.people.find(p => p.userId === '42');
+      expect(alice).toMatchObject({ overdue: 2, dueThisWeek: 2, completedLastWeek: 0 });
+      expect(alice.boards).toEqual([
+        expect.objectContaining({ boardId: '100', workspaceName: 'Engineering', overdue: 2, dueThisWeek: 1 }),
+        expect.objectContaining({ boardId: '200', workspaceName: 'Marketing', overdue: 0, dueThisWeek: 1 })
+      ]);
+      expect(summary.people.find(p => p.userId === '43').boards).toEqual([
+        expect.objectContaining({ boardId: '200', completedLastWeek: 1 })
+      ]);
+    });
+
+    it('lists people with the most overdue tasks first', () => {
+      expect(buildTeamSummary([...users].reverse(), data()).people.map(p => p.name)).toEqual(['Alice', 'Bob']);
+    });
+
+    it('dates the summary in the configured timezone', () => {
+      const now = new Date('2026-03-01T23:30:00Z');
+      expect(buildTeamSummary([], data(), { now, timezone: 'Asia/Tokyo' }).weekOf).toBe('2026-03-02');
+    });
+  });
+
+  describe('formatTeamSummary()', () => {
+    it('posts one line per person with a details button', () => {
+      const summary = buildTeamSummary(users, data());
+      const [blocks] = formatTeamSummary(summary);
+      const alice = blocks.find(b => b.accessory?.action_id === 'weekly_summary_details_42');
+
+      expect(alice.text.text).toContain('🔴 2 overdue • 📅 2 due this week • ✅ 0 completed last week');
+      expect(alice.accessory.value).toBe(`${summary.id}:42`);
+    });
+
+    it('splits large teams so no message exceeds 50 blocks', () => {
+      const team = Array.from({ length: 120 }, (_, i) => ({ id: String(i), name: `Person ${i}`, email: `p${i}@x.com` }));
+      const messages = formatTeamSummary(buildTeamSummary(team, data()));
+
+      expect(messages.length).toBe(3);
+      messages.forEach(blocks => expect(blocks.length).toBeLessThanOrEqual(50));
+      expect(messages.flat().filter(b => b.accessory)).toHaveLength(120);
+    });
+  });
+
+  describe('buildDetailsModal()', () => {
+    it('groups the breakdown by workspace', () => {
+      const summary = buildTeamSummary(users, data());
+      const view = buildDetailsModal(summary.people.find(p => p.userId === '42'), summary);
+      const texts = view.blocks.map(b => b.text?.text || b.elements?.[0].text).filter(Boolean);
+
+      expect(view.type).toBe('modal');
+      expect(texts).toEqual([
+        expect.stringContaining('*Alice*'),
+        '*🏢 Engineering*',
+        expect.stringContaining('*Project Alpha*: 🔴 2 overdue'),
+        '*🏢 Marketing*',
+        expect.stringContaining('*Launch*: 🔴 0 overdue • 📅 1 due this week')
+      ]);
+    });
+  });
+
+  describe('WeeklySummary', () => {
+    let dir, filePath, slack;
+    const config = { channel: 'C123', day: 1, hour: 9, timezone: 'Europe/Berlin', members: [] };
+
+    const makeSummary = ({ team = users, ...options } = {}) => {
+      const weekly = new WeeklySummary({ slack, getUsers: async () => team, config, filePath, ...options });
+      // The task dates in data() are relative to the real today, whatever time the test posts at
+      jest.spyOn(weekly, 'generate').mockImplementation(async () => buildTeamSummary(team, data()));
+      return weekly;
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weekly-summary-'));
+      filePath = path.join(dir, 'weekly-summary.json');
+      slack = createMockSlackClient();
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('posts on the configured day and hour, once per week', async () => {
+      const weekly = makeSummary();
+
+      // Monday 08:00 in Berlin: too early
+      expect(await weekly.tick(new Date('2026-03-02T07:00:00Z'))).toBeNull();
+      // Monday 09:00 in Berlin
+      expect(await weekly.tick(new Date('2026-03-02T08:00:00Z'))).not.toBeNull();
+      expect(slack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C123' }));
+
+      // Later that day, and after a restart
+      expect(await weekly.tick(new Date('2026-03-02T10:00:00Z'))).toBeNull();
+      expect(await makeSummary().tick(new Date('2026-03-02T11:00:00Z'))).toBeNull();
+      expect(slack.chat.postMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the posted summary for the details buttons across restarts', async () => {
+      const summary = await makeSummary().post(new Date('2026-03-02T08:00:00Z'));
+      const reloaded = makeSummary();
+
+      expect(reloaded.getPerson(summary.id, '42')).toMatchObject({ name: 'Alice', overdue: 2 });
+      expect(reloaded.getPerson('summary_old', '42')).toBeNull();
+    });
+
+    it('backs off after a failed post and gives up after maxAttempts', async () => {
+      slack.chat.postMessage.mockRejectedValue(new Error('channel_not_found'));
+      const weekly = makeSummary({ retryDelayMs: 5 * 60 * 1000, maxAttempts: 3 });
+      const at = (time) => new Date(`2026-03-02T${time}:00Z`);
+
+      await expect(weekly.tick(at('08:00'))).rejects.toThrow('channel_not_found');
+      expect(await weekly.tick(at('08:04'))).toBeNull();
+      await expect(weekly.tick(at('08:05'))).rejects.toThrow('channel_not_found');
+      // The second retry waits twice as long
+      expect(await weekly.tick(at('08:14'))).toBeNull();
+      await expect(weekly.tick(at('08:15'))).rejects.toThrow('channel_not_found');
+
+      expect(await weekly.tick(at('12:00'))).toBeNull();
+      expect(weekly.generate).toHaveBeenCalledTimes(3);
+    });
+
+    it('resumes a split post at the first message not posted', async () => {
+      const team = Array.from({ length: 120 }, (_, i) => ({ id: String(i), name: `Person ${i}`, email: `p${i}@x.com` }));
+      slack.chat.postMessage
+        .mockResolvedValueOnce({ ok: true, ts: '1700.1' })
+        .mockRejectedValueOnce(new Error('ratelimited'));
+      const first = makeSummary({ team });
+      await expect(first.tick(new Date('2026-03-02T08:00:00Z'))).rejects.toThrow('ratelimited');
+
+      // After a restart, the saved summary is posted on from message two
+      const resumed = makeSummary({ team });
+      const summary = await resumed.tick(new Date('2026-03-02T08:05:00Z'));
+
+      expect(resumed.generate).not.toHaveBeenCalled();
+      expect(summary.id).toBe(first.state.summary.id);
+      const calls = slack.chat.postMessage.mock.calls.map(([message]) => message);
+      expect(calls).toHaveLength(4);
+      expect(calls.slice(2).map(message => message.thread_ts)).toEqual(['1700.1', '1700.1']);
+      expect(calls[3].blocks).toEqual(formatTeamSummary(summary)[2]);
+      expect(resumed.state).toMatchObject({ lastPostedDate: '2026-03-02', progress: null });
+    });
+
+    it('does not post without a channel', async () => {
+      const weekly = new WeeklySummary({ slack, getUsers: async () => users, config: { ...config, channel: null }, filePath });
+      expect(weekly.isDue(new Date('2026-03-02T08:00:00Z'))).toBe(false);
+      await expect(weekly.post()).rejects.toThrow(/No weekly summary channel/);
+    });
+
+    it('opens the details modal from the button', async () => {
+      const weekly = makeSummary();
+      const summary = await weekly.post(new Date('2026-03-02T08:00:00Z'));
+      let handler;
+      registerWeeklySummary({ action: jest.fn((id, fn) => { handler = fn; }) }, weekly);
+
+      const client = createMockSlackClient();
+      const ack = createMockAck();
+      await handler({
+        action: { value: `${summary.id}:42` },
+        ack,
+        body: { trigger_id: 'trigger123', user: { id: 'U1' }, channel: { id: 'C123' } },
+        client
+      });
+
+      expect(ack).toHaveBeenCalled();
+      expect(client.views.open).toHaveBeenCalledWith(expect.objectContaining({ trigger_id: 'trigger123' }));
+      expect(JSON.stringify(client.views.open.mock.calls[0][0].view)).toContain('Alice');
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Column value codec for Monday.com column types
+ *
+ * Monday.com returns column values as JSON strings whose shape depends on the
+ * column type, and expects type-specific JSON back in mutations. This module is
+ * the one place that knows those shapes:
+ * - decode() turns a `column_values` entry into a typed JS value
+ * - encode() turns a JS value into the JSON a mutation expects
+ *
+ * Malformed or unsupported values throw ColumnValueError naming the column.
+ *
+ * @module columnCodec
+ */
+
+const { safeJsonParse, validateDate } = require('./utils/validation');
+
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+const MALFORMED = Symbol('malformed');
+
+/**
+ * @typedef {Object} StatusValue
+ * @property {number|null} index - Label index, null when unset
+ * @property {string|null} label - Label text, null when unset
+ *
+ * @typedef {Object} PeopleValue
+ * @property {string[]} personIds
+ * @property {string[]} teamIds
+ *
+ * @typedef {Object} DateValue
+ * @property {string|null} date - YYYY-MM-DD
+ * @property {string|null} time - HH:MM:SS (UTC), null for date-only values
+ *
+ * @typedef {Object} TimelineValue
+ * @property {string|null} from - YYYY-MM-DD
+ * @property {string|null} to - YYYY-MM-DD
+ *
+ * @typedef {Object} DropdownValue
+ * @property {number[]} ids
+ * @property {string[]} labels
+ *
+ * @typedef {Object} LinkValue
+ * @property {string|null} url
+ * @property {string|null} text
+ */
+
+class ColumnValueError extends Error {
+  constructor(message, { columnId, columnType, value } = {}) {
+    super(message);
+    this.name = 'ColumnValueError';
+    this.columnId = columnId;
+    this.columnType = columnType;
+    this.value = value;
+  }
+}
+
+function fail(message, context) {
+  const where = context.columnId ? ` column "${context.columnId}"` : ' column';
+  throw new ColumnValueError(`${context.columnType}${where}: ${message}`, context);
+}
+
+// Parse the raw JSON of a column value; null/empty means "no value"
+function parseRaw(raw, context) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw !== 'string') return raw;
+
+  const parsed = safeJsonParse(raw, MALFORMED);
+  if (parsed === MALFORMED) fail(`malformed JSON value ${JSON.stringify(raw)}`, context);
+  return parsed;
+}
+
+function checkDate(date, context) {
+  if (!validateDate(date)) fail(`invalid date "${date}", expected YYYY-MM-DD`, context);
+  return date;
+}
+
+const statusCodec = {
+  decode(raw, text, context) {
+    const parsed = parseRaw(raw, context);
+    const index = parsed?.index ?? null;
+    if (index !== null && !Number.isInteger(index)) fail(`invalid status index ${JSON.stringify(index)}`, context);
+
+    const label = text || (index !== null ? context.settings?.labels?.[index] : null) || null;
+    return { index, label };
+  },
+  encode(input, context) {
+    if (Number.isInteger(input)) return { index: input };
+    if (typeof input === 'string' && input.trim()) return { label: input.trim() };
+    if (Number.isInteger(input?.index)) return { index: input.index };
+    if (typeof input?.label === 'string' && input.label.trim()) return { label: input.label.trim() };
+    return fail('expected a label index or label text', context);
+  }
+};
+
+const codecs = {
+  status: statusCodec,
+
+  // Priority columns are status columns with priority labels
+  priority: statusCodec,
+
+  people: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      const entries = parsed?.personsAndTeams || [];
+      return {
+        personIds: entries.filter(p => p.kind === 'person').map(p => String(p.id)),
+        teamIds: entries.filter(p => p.kind === 'team').map(p => String(p.id))
+      };
+    },
+    encode(input, context) {
+      const personIds = Array.isArray(input) ? input : input?.personIds;
+      if (!Array.isArray(personIds)) fail('expected an array of person IDs', context);
+
+      const personsAndTeams = personIds.map(id => {
+        const numericId = Number(id);
+        if (!Number.isInteger(numericId) || numericId <= 0) fail(`invalid person ID ${JSON.stringify(id)}`, context);
+        return { id: numericId, kind: 'person' };
+      });
+      const teams = (input?.teamIds || []).map(id => ({ id: Number(id), kind: 'team' }));
+
+      return { personsAndTeams: [...personsAndTeams, ...teams] };
+    }
+  },
+
+  date: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      return { date: parsed?.date || null, time: parsed?.time || null };
+    },
+    encode(input, context) {
+      if (input instanceof Date) {
+        if (Number.isNaN(input.getTime())) fail('invalid Date', context);
+        const [date, time] = input.toISOString().split('T');
+        return { date, time: time.slice(0, 8) };
+      }
+
+      const { date, time } = typeof input === 'string' ? { date: input } : (input || {});
+      checkDate(date, context);
+      if (time === undefined || time === null) return { date };
+      if (!TIME_PATTERN.test(time)) fail(`invalid time "${time}", expected HH:MM:SS`, context);
+      return { date, time: time.length === 5 ? `${time}:00` : time };
+    }
+  },
+
+  timeline: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      return { from: parsed?.from || null, to: parsed?.to || null };
+    },
+    encode(input, context) {
+      const { from, to } = input || {};
+      checkDate(from, context);
+      checkDate(to, context);
+      if (from > to) fail(`timeline starts (${from}) after it ends (${to})`, context);
+      return { from, to };
+    }
+  },
+
+  dropdown: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      return {
+        ids: (parsed?.ids || []).map(Number),
+        labels: text ? text.split(',').map(l => l.trim()).filter(Boolean) : []
+      };
+    },
+    encode(input, context) {
+      const values = Array.isArray(input) ? input : (input?.ids || input?.labels);
+      if (!Array.isArray(values) || values.length === 0) fail('expected dropdown IDs or labels', context);
+      if (values.every(Number.isInteger)) return { ids: values };
+      if (values.every(v => typeof v === 'string')) return { labels: values };
+      return fail('dropdown values must be all IDs or all labels', context);
+    }
+  },
+
+  text: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      if (parsed === null) return text || null;
+      return typeof parsed === 'string' ? parsed : (text || null);
+    },
+    encode(input, context) {
+      if (typeof input !== 'string') fail('expected a string', context);
+      return input;
+    }
+  },
+
+  long_text: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      return parsed?.text ?? text ?? null;
+    },
+    encode(input, context) {
+      if (typeof input !== 'string') fail('expected a string', context);
+      return { text: input };
+    }
+  },
+
+  numbers: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      if (parsed === null || parsed === '') return null;
+      const number = Number(parsed);
+      if (!Number.isFinite(number)) fail(`invalid number ${JSON.stringify(parsed)}`, context);
+      return number;
+    },
+    encode(input, context) {
+      const number = typeof input === 'string' && input.trim() !== '' ? Number(input) : input;
+      if (typeof number !== 'number' || !Number.isFinite(number)) fail(`invalid number ${JSON.stringify(input)}`, context);
+      return String(number);
+    }
+  },
+
+  checkbox: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      return parsed?.checked === true || parsed?.checked === 'true';
+    },
+    encode(input, context) {
+      if (typeof input !== 'boolean') fail('expected true or false', context);
+      // Monday.com clears a checkbox with a null value
+      return input ? { checked: 'true' } : null;
+    }
+  },
+
+  link: {
+    decode(raw, text, context) {
+      const parsed = parseRaw(raw, context);
+      return { url: parsed?.url || null, text: parsed?.text || null };
+    },
+    encode(input, context) {
+      const { url, text } = typeof input === 'string' ? { url: input } : (input || {});
+      if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url)) fail(`invalid URL ${JSON.stringify(url)}`, context);
+      return { url, text: text || url };
+    }
+  }
+};
+
+// Type names used by older API versions
+const ALIASES = {
+  color: 'status',
+  'multiple-person': 'people',
+  timerange: 'timeline',
+  'long-text': 'long_text',
+  numeric: 'numbers',
+  boolean: 'checkbox'
+};
+
+function getCodec(columnType, context) {
+  const codec = codecs[ALIASES[columnType] || columnType];
+  if (!codec) fail('unsupported column type', context);
+  return codec;
+}
+
+/**
+ * Parse a column's `settings_str`
+ *
+ * @param {Object} column - Board column ({ settings_str })
+ * @returns {Object} Settings, `{}` when missing or malformed
+ */
+function parseSettings(column) {
+  return safeJsonParse(column?.settings_str, {}) || {};
+}
+
+/**
+ * Decode a `column_values` entry
+ *
+ * @param {Object} columnValue - `{ id, type, text, value }` from Monday.com
+ * @param {Object} [column] - Board column, used for status label lookup
+ * @returns {StatusValue|PeopleValue|DateValue|TimelineValue|DropdownValue|LinkValue|string|number|boolean|null}
+ * @throws {ColumnValueError} For malformed values or unsupported types
+ */
+function decode(columnValue, column) {
+  const columnType = columnValue.type || column?.type;
+  const context = { columnId: columnValue.id, columnType, value: columnValue.value, settings: column && parseSettings(column) };
+  return getCodec(columnType, context).decode(columnValue.value, columnValue.text, context);
+}
+
+/**
+ * Encode a JS value as the JSON Monday.com expects for a column type
+ *
+ * @param {string} columnType - e.g. 'status', 'people', 'date'
+ * @param {*} input - Value in the shape decode() returns (or a shorthand, e.g. a date string)
+ * @param {string} [columnId] - Used in error messages
+ * @returns {Object|string|null} Value for change_column_value / column_values
+ * @throws {ColumnValueError} When the input does not fit the column type
+ */
+function encode(columnType, input, columnId) {
+  const context = { columnId, columnType, value: input };
+  return getCodec(columnType, context).encode(input, context);
+}
+
+/**
+ * Decode an item's value for a column, or null when the item has no entry for it
+ *
+ * @param {Object} item - Item with `column_values`
+ * @param {Object} column - Board column ({ id, type, settings_str })
+ */
+function decodeColumn(item, column) {
+  const columnValue = item.column_values.find(cv => cv.id === column.id);
+  return columnValue ? decode({ type: column.type, ...columnValue }, column) : null;
+}
+
+// Label indexes that count as done for a status column (defaults to the green label, 1)
+function getDoneIndexes(statusColumn) {
+  return parseSettings(statusColumn).done_colors || [1];
+}
+
+// Status labels as [{ index, label }]
+function getStatusLabels(statusColumn) {
+  return Object.entries(parseSettings(statusColumn).labels || {})
+    .map(([index, label]) => ({ index: Number(index), label }));
+}
+
+module.exports = {
+  ColumnValueError,
+  decode,
+  encode,
+  decodeColumn,
+  parseSettings,
+  getDoneIndexes,
+  getStatusLabels,
+  supportedTypes: Object.keys(codecs)
+};
@@ -0,0 +1,144 @@
+/**
+ * ColumnMapping - Decides which board columns mean assignee, status, due date and priority
+ *
+ * Boards can have several columns of the same type ("Stage" and "QA" status
+ * columns, an "Owner" and a "Reviewer" people column), so picking the first
+ * column of a type reads the wrong one. config/columnMappings.json maps a
+ * board ID, or a board name pattern, to the column IDs for each role:
+ *
+ *   {
+ *     "boards":   { "1234567": { "assignee": "person", "status": "stage", "dueDate": "date4" } },
+ *     "patterns": [{ "match": "^Sprint", "columns": { "assignee": "owner", "priority": "priority" } }]
+ *   }
+ *
+ * Board IDs win over patterns, and patterns are tried in order. Subitem boards
+ * have their own column IDs, so they are matched by board ID only. Roles that
+ * are not mapped, or mapped to a column the board doesn't have, fall back to the
+ * first column of the role's type.
+ *
+ * @module columnMapping
+ */
+
+const path = require('path');
+const baseLogger = require('./utils/logger');
+
+// Column types each role falls back to (including older type names)
+const ROLES = {
+  assignee: ['people', 'multiple-person'],
+  status: ['status', 'color'],
+  dueDate: ['date'],
+  priority: ['priority']
+};
+
+function loadConfig() {
+  return require(path.join(__dirname, '../config/columnMappings.json'));
+}
+
+// Check one board's role -> column ID map; `source` names it in error messages
+function validateColumns(columns, source) {
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new Error(`Column mapping for ${source} must be an object of role -> column ID`);
+  }
+
+  for (const [role, columnId] of Object.entries(columns)) {
+    if (!ROLES[role]) {
+      throw new Error(`Unknown column role "${role}" in mapping for ${source} (expected ${Object.keys(ROLES).join(', ')})`);
+    }
+    if (typeof columnId !== 'string' || !columnId) {
+      throw new Error(`Column ID for "${role}" in mapping for ${source} must be a non-empty string`);
+    }
+  }
+
+  return { ...columns };
+}
+
+class ColumnMapping {
+  /**
+   * @param {Object} [config] - Parsed mapping config (defaults to config/columnMappings.json)
+   * @param {Object} [config.boards] - Board ID -> { role: columnId }
+   * @param {Array<{match: string, columns: Object}>} [config.patterns] - Board name patterns
+   * @throws {Error} If a mapping uses an unknown role or an invalid pattern
+   */
+  constructor(config = loadConfig()) {
+    this.logger = baseLogger.child({ component: 'columnMapping' });
+    this.boards = new Map();
+    this.patterns = [];
+    this.warned = new Set();
+
+    for (const [boardId, columns] of Object.entries(config.boards || {})) {
+      this.boards.set(String(boardId), validateColumns(columns, `board ${boardId}`));
+    }
+
+    for (const entry of config.patterns || []) {
+      let pattern;
+      try {
+        pattern = new RegExp(entry.match, 'i');
+      } catch (error) {
+        throw new Error(`Invalid board name pattern "${entry.match}": ${error.message}`);
+      }
+      this.patterns.push({ pattern, columns: validateColumns(entry.columns, `pattern "${entry.match}"`) });
+    }
+  }
+
+  /**
+   * Configured role -> column ID map for a board
+   *
+   * @param {Object} board - { id, name, type? }; subitem boards have type 'sub_items_board'
+   * @returns {Object|null} Mapping, or null when the board isn't configured
+   */
+  getMapping(board) {
+    const byId = this.boards.get(String(board.id));
+    if (byId) return byId;
+    if (board.type === 'sub_items_board' || !board.name) return null;
+
+    const match = this.patterns.find(({ pattern }) => pattern.test(board.name));
+    return match ? match.columns : null;
+  }
+
+  /**
+   * Pick the column for each role from a board's columns
+   *
+   * Works with board `columns` and with item `column_values`, since both carry
+   * `id` and `type`.
+   *
+   * @param {Object} board - { id, name, type? }
+   * @param {Array<Object>} columns - Columns to choose from
+   * @returns {{assignee: Object|undefined, status: Object|undefined, dueDate: Object|undefined, priority: Object|undefined}}
+   */
+  resolve(board, columns) {
+    const mapping = this.getMapping(board) || {};
+    const resolved = {};
+
+    for (const [role, types] of Object.entries(ROLES)) {
+      const columnId = mapping[role];
+      const mapped = columnId && columns.find(c => c.id === columnId);
+
+      if (columnId && !mapped) {
+        this.warnMissing(board, role, columnId);
+      }
+
+      resolved[role] = mapped || columns.find(c => types.includes(c.type));
+    }
+
+    return resolved;
+  }
+
+  // Log a stale mapping once per board and role rather than on every item
+  warnMissing(board, role, columnId) {
+    const key = `${board.id}:${role}`;
+    if (this.warned.has(key)) return;
+    this.warned.add(key);
+    this.logger.warn('Mapped column not found on board; using the first column of its type', {
+      boardId: board.id,
+      boardName: board.name,
+      role,
+      columnId
+    });
+  }
+}
+
+// Singleton instance
+const columnMapping = new ColumnMapping();
+
+module.exports = columnMapping;
+module.exports.ColumnMapping = ColumnMapping;
@@ -0,0 +1,77 @@
+/**
+ * digestBuilder - Builds one user's daily digest
+ *
+ * Shared by the daily run, which posts the digest to Slack, and by the dry-run
+ * preview (`POST /trigger?dryRun=true`), which returns it as JSON instead, so
+ * both go through exactly the same filtering, categorization and formatting.
+ *
+ * @module digestBuilder
+ */
+
+const { organizeTasks } = require('./tasksCommand');
+const { formatSlackMessage } = require('./messageFormatter');
+const { matchesBoardFilters } = require('./userPreferences');
+const { validateEmail } = require('./utils/validation');
+
+/**
+ * Build a user's digest from the open tasks of a run
+ *
+ * @param {Object} user - Monday user ({ id, name, email })
+ * @param {Map<string, Array<Object>>} tasksByAssignee - From getOpenTasksByAssignee
+ * @param {Object} prefs - The user's preferences (userPreferences.get), optionally with
+ *   the section `pages` to show (see messageFormatter.pageSection)
+ * @param {string} [timeZone] - The user's Slack timezone, which decides what is
+ *   overdue, due today and upcoming (default: the server's)
+ * @returns {{tasks: Array<Object>, organizedTasks: Object, message: Object}}
+ *   The tasks after board filters, their categories and the Block Kit payload
+ */
+function buildUserDigest(user, tasksByAssignee, prefs, timeZone) {
+  const tasks = (tasksByAssignee.get(String(user.id)) || [])
+    .filter(task => matchesBoardFilters(task, prefs));
+  const options = { ...prefs, timeZone };
+  const organizedTasks = organizeTasks(tasks, options);
+  const message = formatSlackMessage(organizedTasks, user.name, options);
+  return { tasks, organizedTasks, message };
+}
+
+/**
+ * Parse a comma-separated list of emails (the `users` query parameter)
+ *
+ * @param {string|Array<string>|undefined} value
+ * @returns {Array<string>|null} Lowercased, de-duplicated emails, or null when empty
+ * @throws {Error} If any entry is not an email address
+ */
+function parseEmailList(value) {
+  if (value === undefined || value === null) return null;
+
+  const emails = [].concat(value)
+    .flatMap(part => String(part).split(','))
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalid = emails.filter(email => !validateEmail(email));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid email address: ${invalid.join(', ')}`);
+  }
+
+  return emails.length > 0 ? [...new Set(emails)] : null;
+}
+
+/**
+ * Narrow users to the given emails (case-insensitive)
+ *
+ * @param {Array<Object>} users - Monday users
+ * @param {Array<string>|null} emails - From parseEmailList; null keeps everyone
+ * @returns {{users: Array<Object>, unmatched: Array<string>}} Matching users, and
+ *   emails that matched no active user
+ */
+function selectUsersByEmail(users, emails) {
+  if (!emails) return { users, unmatched: [] };
+
+  const wanted = new Set(emails);
+  const selected = users.filter(user => wanted.has(String(user.email).toLowerCase()));
+  const found = new Set(selected.map(user => String(user.email).toLowerCase()));
+  return { users: selected, unmatched: emails.filter(email => !found.has(email)) };
+}
+
+module.exports = { buildUserDigest, parseEmailList, selectUsersByEmail };
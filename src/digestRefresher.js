@@ -0,0 +1,152 @@
+/**
+ * DigestRefresher - Keeps today's digest DMs current as tasks change
+ *
+ * A digest lists tasks as they were when it was posted. When a Monday webhook
+ * or a Slack action (complete, postpone, the update modal) changes an item, the
+ * digests that list the item, and those of people just assigned to it, are
+ * rebuilt and edited in place with chat.update. A user's refresh waits until no
+ * change has come in for DIGEST_REFRESH_DEBOUNCE_SECONDS, so a burst of changes
+ * costs one rebuild and one edit.
+ *
+ * Only digests posted today (see messageStore) are edited; a change never
+ * sends anyone a new DM.
+ *
+ * @module digestRefresher
+ */
+
+const messageStore = require('./messageStore');
+const baseLogger = require('./utils/logger');
+
+const DEFAULT_DEBOUNCE_SECONDS = 10;
+
+const logger = baseLogger.child({ component: 'digestRefresher' });
+
+/**
+ * messageStore key of a user's digest, as the daily run records it
+ *
+ * @param {string|number} userId - Monday user ID
+ * @param {string} [date] - `Date#toDateString()` of the day (default: today)
+ * @returns {string}
+ */
+function digestKey(userId, date = new Date().toDateString()) {
+  return `${userId}-${date}`;
+}
+
+class DigestRefresher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.slack - Slack WebClient (chat.update)
+   * @param {Function} options.render - async (mondayUserId, { pages }) => { text, blocks, itemIds }:
+   *   the user's digest as the daily run would build it now, showing the given section
+   *   pages, or null when they have none
+   * @param {Object} [options.store] - Posted digests (default: the messageStore singleton)
+   * @param {number} [options.debounceMs] - Quiet period before a refresh
+   *   (default: DIGEST_REFRESH_DEBOUNCE_SECONDS, or 10 seconds)
+   */
+  constructor(options) {
+    const seconds = parseInt(process.env.DIGEST_REFRESH_DEBOUNCE_SECONDS, 10);
+    this.slack = options.slack;
+    this.render = options.render;
+    this.store = options.store || messageStore;
+    this.debounceMs = options.debounceMs ?? (Number.isNaN(seconds) ? DEFAULT_DEBOUNCE_SECONDS : seconds) * 1000;
+    this.timers = new Map();
+  }
+
+  /**
+   * Schedule a refresh of the digests a change to a Monday item affects
+   *
+   * @param {string|number} itemId
+   * @param {Object} [options]
+   * @param {Array<string|number>} [options.userIds] - Monday users whose digest may not
+   *   list the item yet, e.g. people just assigned to it
+   * @returns {Array<string>} Monday user IDs whose digest will be refreshed
+   */
+  taskChanged(itemId, { userIds = [] } = {}) {
+    const today = new Date().toDateString();
+    const listing = this.store.findByItem(itemId, today).map(entry => String(entry.userId));
+    const assigned = userIds.map(String).filter(id => this.store.get(digestKey(id, today)));
+    const affected = [...new Set([...listing, ...assigned])];
+    affected.forEach(userId => this.schedule(userId));
+    return affected;
+  }
+
+  /**
+   * Schedule refreshes for a Monday webhook event; everyone in a people column
+   * value counts as assigned
+   *
+   * @param {Object} [event] - The webhook payload's `event`
+   * @returns {Array<string>} Monday user IDs whose digest will be refreshed
+   */
+  handleWebhookEvent(event) {
+    if (!event?.pulseId) return [];
+    const people = (event.value?.personsAndTeams || [])
+      .filter(p => p.kind === 'person')
+      .map(p => p.id);
+    return this.taskChanged(event.pulseId, { userIds: people });
+  }
+
+  /**
+   * Refresh a user's digest once no change has come in for the debounce period
+   *
+   * @param {string} userId - Monday user ID
+   */
+  schedule(userId) {
+    clearTimeout(this.timers.get(userId));
+    const timer = setTimeout(() => {
+      this.timers.delete(userId);
+      this.refresh(userId).catch(error => logger.error(`Failed to refresh digest for user ${userId}`, error));
+    }, this.debounceMs);
+    // Pending refreshes don't keep the process alive
+    timer.unref();
+    this.timers.set(userId, timer);
+  }
+
+  /**
+   * Rebuild a user's digest and edit today's posted message
+   *
+   * @param {string} userId - Monday user ID
+   * @returns {Promise<{status: string, reason?: string}>} 'updated', or 'skipped' with a reason
+   */
+  async refresh(userId) {
+    const key = digestKey(userId);
+    const stored = this.store.get(key);
+    if (!stored) return { status: 'skipped', reason: 'no_digest_today' };
+
+    // Stay on the pages the user moved to with "Show more"
+    const digest = await this.render(userId, { pages: stored.pages || undefined });
+    if (!digest) return { status: 'skipped', reason: 'not_an_active_monday_user' };
+
+    try {
+      await this.slack.chat.update({
+        channel: stored.channelId,
+        ts: stored.messageTs,
+        blocks: digest.blocks,
+        text: digest.text
+      });
+    } catch (error) {
+      // Deleted in Slack; stop tracking it so the next run posts a fresh digest
+      if (error.data?.error === 'message_not_found') {
+        this.store.delete(key);
+        return { status: 'skipped', reason: 'message_not_found' };
+      }
+      throw error;
+    }
+
+    this.store.set(key, { ...stored, itemIds: digest.itemIds, lastUpdated: new Date().toISOString() });
+    logger.info('Refreshed digest', { userId, tasks: digest.itemIds.length });
+    return { status: 'updated' };
+  }
+
+  /** Number of users with a refresh waiting */
+  get pending() {
+    return this.timers.size;
+  }
+
+  /** Cancel all waiting refreshes */
+  stop() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+}
+
+module.exports = { DigestRefresher, digestKey };
@@ -0,0 +1,320 @@
+/**
+ * DigestScheduler - Sends each user's daily digest at a local hour
+ *
+ * Checks once a minute which users have reached DIGEST_LOCAL_HOUR in their
+ * own Slack timezone (`tz` from `users.info`) and hands those users to the
+ * digest run. The local date of each user's last delivered digest is kept in
+ * data/digest-schedule.json, so after a restart:
+ *
+ * - users whose hour passed while the service was down are caught up, as long
+ *   as it is still within DIGEST_CATCH_UP_HOURS of their local hour (a late
+ *   hour's window runs on past midnight)
+ * - users who already got today's digest are not sent another
+ *
+ * A user whose digest fails is retried after 5 minutes, then 10, and given up
+ * on for the day after 3 attempts, so a failing user doesn't cost a full board
+ * scan every minute.
+ *
+ * @module digestScheduler
+ */
+
+const path = require('path');
+const { cache } = require('./utils/cacheManager');
+const userPreferences = require('./userPreferences');
+const { wantsDigest } = userPreferences;
+const identityMap = require('./identityMap');
+const { addCalendarDays } = require('./utils/date-utils');
+const { JsonFile } = require('./utils/jsonFile');
+
+const STATE_FILE = path.join(__dirname, '../data/digest-schedule.json');
+const TIMEZONE_TTL = 24 * 60 * 60 * 1000;
+const RETRY_DELAY_MS = 5 * 60 * 1000; // doubled after each failed attempt
+const MAX_ATTEMPTS = 3;
+
+// Logger
+const logger = {
+  info: (msg, data = {}) => {
+    console.log(JSON.stringify({
+      level: 'info',
+      message: msg,
+      data,
+      timestamp: new Date().toISOString()
+    }));
+  },
+  warn: (msg, data = {}) => {
+    console.log(JSON.stringify({
+      level: 'warn',
+      message: msg,
+      data,
+      timestamp: new Date().toISOString()
+    }));
+  },
+  error: (msg, error = {}) => {
+    console.error(JSON.stringify({
+      level: 'error',
+      message: msg,
+      error: error.message || error,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    }));
+  }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Local calendar date, weekday and hour of an instant in an IANA timezone
+ *
+ * @param {Date} now
+ * @param {string} timeZone - e.g. "America/Los_Angeles"
+ * @returns {{date: string, weekday: number, hour: number}} date as YYYY-MM-DD, weekday 0 = Sunday
+ * @throws {RangeError} For unknown timezones
+ */
+function getLocalTime(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour)
+  };
+}
+
+/**
+ * The digest a local time falls in: the local date and weekday of the delivery
+ * hour it follows, when that was less than `catchUpHours` ago. The window wraps
+ * past midnight, so 01:00 is within a 22:00 window of the day before.
+ *
+ * @param {number} hour - Delivery hour (0-23)
+ * @param {{date: string, weekday: number, hour: number}} local - From getLocalTime
+ * @param {number} catchUpHours
+ * @returns {{date: string, weekday: number}|null} null outside the window
+ */
+function getDigestDay(hour, local, catchUpHours) {
+  if ((local.hour - hour + 24) % 24 >= catchUpHours) return null;
+  if (local.hour >= hour) return { date: local.date, weekday: local.weekday };
+  return {
+    date: addCalendarDays(local.date, -1),
+    weekday: (local.weekday + 6) % 7
+  };
+}
+
+class DigestScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.slack - Slack WebClient (users.lookupByEmail, users.info)
+   * @param {Function} options.getUsers - async () => Monday users ({ id, name, email })
+   * @param {Function} options.runDigest - async (users, { onDelivered(user), localDates }) => void,
+   *   where localDates maps each user's ID to the local date (YYYY-MM-DD) being sent
+   * @param {Function} [options.getPreferences] - (mondayUserId) => preferences
+   *   (defaults to the userPreferences store)
+   * @param {number} [options.hour] - Local hour to send at (DIGEST_LOCAL_HOUR, default 8)
+   * @param {number} [options.catchUpHours] - How long after that hour a missed digest
+   *   is still sent (DIGEST_CATCH_UP_HOURS, default 4)
+   * @param {string} [options.defaultTimezone] - Used when a user's tz is unknown
+   *   (DIGEST_DEFAULT_TZ, default UTC)
+   * @param {string} [options.filePath] - Where last-sent dates are persisted
+   * @param {Object} [options.identityMap] - Finds each user's Slack account
+   *   (defaults to the identityMap store)
+   * @param {number} [options.retryDelayMs] - Wait after a user's first failed digest,
+   *   doubled after each further failure (default 5 minutes)
+   * @param {number} [options.maxAttempts] - Failed digests per user and day before
+   *   giving up until the next day (default 3)
+   */
+  constructor(options) {
+    this.slack = options.slack;
+    this.getUsers = options.getUsers;
+    this.runDigest = options.runDigest;
+    this.getPreferences = options.getPreferences || (id => userPreferences.get(id));
+    this.identityMap = options.identityMap || identityMap;
+    this.hour = options.hour ?? parseIntOr(process.env.DIGEST_LOCAL_HOUR, 8);
+    this.catchUpHours = options.catchUpHours ?? parseIntOr(process.env.DIGEST_CATCH_UP_HOURS, 4);
+    this.defaultTimezone = options.defaultTimezone || process.env.DIGEST_DEFAULT_TZ || 'UTC';
+    this.filePath = options.filePath || STATE_FILE;
+    this.file = new JsonFile(this.filePath, { name: 'digest schedule state', logger });
+    this.retryDelayMs = options.retryDelayMs ?? RETRY_DELAY_MS;
+    this.maxAttempts = options.maxAttempts ?? MAX_ATTEMPTS;
+
+    if (!Number.isInteger(this.hour) || this.hour < 0 || this.hour > 23) {
+      throw new Error(`Invalid digest hour: ${this.hour} (expected 0-23)`);
+    }
+
+    this.lastSent = {};
+    // Failed attempts per user: { date, attempts, retryAt }. Kept in memory, so a
+    // restart gives failing users a fresh set of attempts.
+    this.failures = new Map();
+    this.ticking = false;
+    this._interval = null;
+    this._load();
+  }
+
+  /** Load last-sent dates from disk on startup */
+  _load() {
+    this.lastSent = this.file.read() || {};
+  }
+
+  /** Persist last-sent dates atomically */
+  _save() {
+    this.file.write(this.lastSent);
+  }
+
+  /**
+   * Slack timezone of a Monday user, via their linked Slack account and cached for a day
+   *
+   * @param {Object} user - Monday user
+   * @returns {Promise<string|null>} IANA timezone, or null if the user isn't in Slack
+   */
+  async getTimezone(user) {
+    const key = `slackTz:${user.id}`;
+    const cached = cache.get(key);
+    if (cached) return cached.tz;
+
+    let tz = null;
+    const slackUserId = await this.identityMap.findSlackUserId(user, this.slack);
+    if (slackUserId) {
+      const info = await this.slack.users.info({ user: slackUserId });
+      tz = info.user.tz || this.defaultTimezone;
+    }
+
+    cache.set(key, { tz }, TIMEZONE_TTL);
+    return tz;
+  }
+
+  /**
+   * Local date of the digest a user is due at this local time (honoring opt-out,
+   * weekdays only, their own hour and the retry backoff)
+   *
+   * @param {Object} user - Monday user
+   * @param {{date: string, weekday: number, hour: number}} local - From getLocalTime
+   * @param {number} [now] - Current time in ms, for the retry backoff
+   * @returns {string|null} YYYY-MM-DD, or null when nothing is due
+   */
+  getDueDate(user, local, now = Date.now()) {
+    const prefs = this.getPreferences(user.id);
+    const day = getDigestDay(prefs.deliveryHour ?? this.hour, local, this.catchUpHours);
+    if (!day || !wantsDigest(prefs, day.weekday) || this.lastSent[user.id] === day.date) return null;
+
+    const failure = this.failures.get(String(user.id));
+    if (failure?.date === day.date && (failure.attempts >= this.maxAttempts || now < failure.retryAt)) return null;
+    return day.date;
+  }
+
+  /** Whether a user should get a digest at this local time */
+  isDue(user, local, now) {
+    return this.getDueDate(user, local, now) !== null;
+  }
+
+  markSent(user, localDate) {
+    this.failures.delete(String(user.id));
+    this.lastSent[user.id] = localDate;
+    this._save();
+  }
+
+  /** Hold off retrying a user whose digest failed, and give up for the day after maxAttempts */
+  markFailed(user, localDate, now = Date.now()) {
+    const previous = this.failures.get(String(user.id));
+    const attempts = previous?.date === localDate ? previous.attempts + 1 : 1;
+    this.failures.set(String(user.id), {
+      date: localDate,
+      attempts,
+      retryAt: now + this.retryDelayMs * 2 ** (attempts - 1)
+    });
+    if (attempts >= this.maxAttempts) {
+      logger.warn(`Giving up on ${user.name}'s digest for ${localDate} after ${attempts} failed attempts`);
+    }
+  }
+
+  /**
+   * Send digests to every user whose local hour has come
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Array<Object>>} Users the digest was run for
+   */
+  async tick(now = new Date()) {
+    // A long run (many users due at once) must not overlap the next tick
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    try {
+      const due = [];
+      const localDates = new Map();
+
+      for (const user of await this.getUsers()) {
+        try {
+          const tz = await this.getTimezone(user);
+          if (!tz) continue;
+
+          let local;
+          try {
+            local = getLocalTime(now, tz);
+          } catch (error) {
+            local = getLocalTime(now, this.defaultTimezone);
+          }
+
+          const date = this.getDueDate(user, local, now.getTime());
+          if (date) {
+            due.push(user);
+            localDates.set(String(user.id), date);
+          }
+        } catch (error) {
+          logger.error(`Failed to check digest schedule for ${user.name}`, error);
+        }
+      }
+
+      if (due.length === 0) return [];
+
+      logger.info(`⏰ Sending scheduled digests to ${due.length} user(s)`);
+      const delivered = new Set();
+      try {
+        await this.runDigest(due, {
+          localDates,
+          onDelivered: user => {
+            delivered.add(String(user.id));
+            this.markSent(user, localDates.get(String(user.id)));
+          }
+        });
+      } finally {
+        // Users the run didn't deliver to, including when the whole run failed
+        for (const user of due.filter(u => !delivered.has(String(u.id)))) {
+          this.markFailed(user, localDates.get(String(user.id)), now.getTime());
+        }
+      }
+      return due;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Check every minute; the timer doesn't keep the process alive
+  start(intervalMs = 60 * 1000) {
+    if (this._interval) return;
+    const run = () => this.tick().catch(error => logger.error('Digest scheduler tick failed', error));
+    this._interval = setInterval(run, intervalMs);
+    this._interval.unref();
+    run();
+  }
+
+  stop() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+}
+
+function parseIntOr(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+module.exports = { DigestScheduler, getLocalTime };
@@ -0,0 +1,192 @@
+/**
+ * EndOfDayRecap - Evening DM of what each person finished and what slipped
+ *
+ * The morning digest only looks forward. The recap, sent at RECAP_LOCAL_HOUR
+ * in each user's Slack timezone to users who turned on `eveningRecap` in
+ * /monday-prefs, lists:
+ *
+ * - completed today: items in a done status whose `updated_at` falls on the
+ *   user's local date (Monday.com has no completion timestamp, so an item
+ *   finished earlier and edited today is listed too)
+ * - slipping: open items due today, which become overdue tomorrow, each with
+ *   a one-click Postpone button (the same `task_action_postpone_` action as
+ *   the digest)
+ *
+ * Scheduling reuses DigestScheduler with its own state file; this module
+ * builds and sends the DMs for the users it hands over.
+ *
+ * @module endOfDayRecap
+ */
+
+const baseLogger = require('./utils/logger');
+const { getAllBoards, getOpenTasksByAssignee, getCompletedTasksByAssignee } = require('./tasksCommand');
+const { getLocalTime } = require('./digestScheduler');
+const { describeTask, getDueAt, fitBlockKit } = require('./messageFormatter');
+const { parseDate, toISODateString } = require('./utils/date-utils');
+const userPreferences = require('./userPreferences');
+const { matchesBoardFilters } = userPreferences;
+const identityMap = require('./identityMap');
+const mondayLinks = require('./mondayLinks');
+
+const MAX_LISTED = 15; // per section, keeps the DM well under Slack's 50 blocks
+
+const logger = baseLogger.child({ component: 'endOfDayRecap' });
+
+/**
+ * Pick one user's completed and slipping tasks for their local date
+ *
+ * @param {Object} data
+ * @param {Array<Object>} data.open - The user's open tasks
+ * @param {Array<Object>} data.completed - The user's done tasks with `completedAt`
+ * @param {string} localDate - YYYY-MM-DD in the user's timezone
+ * @param {string} timeZone - The user's IANA timezone
+ * @returns {{completed: Array<Object>, slipped: Array<Object>}}
+ */
+function buildRecap({ open, completed }, localDate, timeZone) {
+  return {
+    completed: completed.filter(task => getLocalTime(new Date(task.completedAt), timeZone).date === localDate),
+    slipped: open.filter(task => task.dueDate && toISODateString(getDueAt(task, timeZone), timeZone) === localDate)
+  };
+}
+
+function taskLine(task) {
+  const { title, location } = describeTask(task);
+  return `${title} • 📍 <${mondayLinks.itemUrl(task.boardId, task.id)}|${location}>`;
+}
+
+/**
+ * Block Kit DM for a recap
+ *
+ * @param {string} userName
+ * @param {{completed: Array<Object>, slipped: Array<Object>}} recap
+ * @returns {{text: string, blocks: Array<Object>}}
+ */
+function formatRecapMessage(userName, { completed, slipped }) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: `🌙 ${userName}'s End-of-Day Recap`, emoji: true } },
+    { type: 'divider' },
+    { type: 'section', text: { type: 'mrkdwn', text: `*✅ Completed today (${completed.length})*` } }
+  ];
+
+  if (completed.length === 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: 'Nothing marked done today.' }] });
+  } else {
+    // One section per task, so long names and links can't push a section past Slack's limit
+    completed.slice(0, MAX_LISTED).forEach(task => {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `• ${taskLine(task)}` } });
+    });
+    if (completed.length > MAX_LISTED) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `_...and ${completed.length - MAX_LISTED} more_` }] });
+    }
+  }
+
+  if (slipped.length > 0) {
+    blocks.push(
+      { type: 'divider' },
+      { type: 'section', text: { type: 'mrkdwn', text: `*⚠️ Due today, still open (${slipped.length})*\nThese will be overdue tomorrow.` } }
+    );
+    slipped.slice(0, MAX_LISTED).forEach(task => {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${taskLine(task)}\nStatus: ${task.status}` },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: '📅 Postpone', emoji: true },
+          action_id: `task_action_postpone_${task.id}_${task.boardId}`
+        }
+      });
+    });
+    if (slipped.length > MAX_LISTED) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `...and ${slipped.length - MAX_LISTED} more. Use \`/tasks\` to see them all.` }] });
+    }
+  }
+
+  return { text: `${userName}'s End-of-Day Recap`, blocks: fitBlockKit(blocks) };
+}
+
+class EndOfDayRecap {
+  /**
+   * @param {Object} options
+   * @param {Object} options.slack - Slack WebClient (conversations.open, chat.postMessage)
+   * @param {Function} options.getTimezone - async (user) => IANA timezone (DigestScheduler#getTimezone)
+   * @param {Function} [options.getPreferences] - (mondayUserId) => preferences
+   * @param {Object} [options.identityMap] - Finds each user's Slack account
+   */
+  constructor(options) {
+    this.slack = options.slack;
+    this.getTimezone = options.getTimezone;
+    this.getPreferences = options.getPreferences || (id => userPreferences.get(id));
+    this.identityMap = options.identityMap || identityMap;
+  }
+
+  /**
+   * Build and DM the recap to each user; users with nothing to report get no DM
+   *
+   * @param {Array<Object>} users - Monday users whose recap is due
+   * @param {Object} [options]
+   * @param {Function} [options.onDelivered] - Called with each user that is done
+   * @param {Map<string, string>} [options.localDates] - Monday user ID => YYYY-MM-DD the
+   *   recap is for (the scheduler's day, which is yesterday when catching up after
+   *   midnight); users without one get today in their timezone
+   * @param {Date} [options.now]
+   * @returns {Promise<{sent: number, empty: number, failed: number}>}
+   */
+  async run(users, { onDelivered, localDates = new Map(), now = new Date() } = {}) {
+    const result = { sent: 0, empty: 0, failed: 0 };
+    const recipients = [];
+    for (const user of users) {
+      try {
+        const timeZone = (await this.getTimezone(user)) || process.env.DIGEST_DEFAULT_TZ || 'UTC';
+        const localDate = localDates.get(String(user.id)) || getLocalTime(now, timeZone).date;
+        recipients.push({ user, timeZone, localDate });
+      } catch (error) {
+        result.failed++;
+        logger.error(`Failed to send end-of-day recap to ${user.name}`, error);
+      }
+    }
+
+    if (recipients.length > 0) {
+      const fetchOptions = { priority: 'batch' };
+      const boards = await getAllBoards(fetchOptions);
+      const openByAssignee = await getOpenTasksByAssignee(boards, fetchOptions);
+      // From the start of the earliest recap day; each user is narrowed to their own date below
+      const since = new Date(Math.min(...recipients.map(({ localDate, timeZone }) => parseDate(localDate, timeZone).getTime())));
+      const completedByAssignee = await getCompletedTasksByAssignee(boards, since, fetchOptions);
+
+      for (const { user, timeZone, localDate } of recipients) {
+        try {
+          const prefs = this.getPreferences(user.id);
+          const mine = tasks => (tasks.get(String(user.id)) || []).filter(task => matchesBoardFilters(task, prefs));
+          const recap = buildRecap(
+            { open: mine(openByAssignee), completed: mine(completedByAssignee) },
+            localDate,
+            timeZone
+          );
+
+          if (recap.completed.length === 0 && recap.slipped.length === 0) {
+            result.empty++;
+          } else {
+            await this.send(user, formatRecapMessage(user.name, recap));
+            result.sent++;
+          }
+          if (onDelivered) onDelivered(user);
+        } catch (error) {
+          result.failed++;
+          logger.error(`Failed to send end-of-day recap to ${user.name}`, error);
+        }
+      }
+    }
+
+    logger.info('End-of-day recaps done', result);
+    return result;
+  }
+
+  async send(user, message) {
+    const slackUserId = await this.identityMap.findSlackUserId(user, this.slack);
+    if (!slackUserId) throw new Error(`No Slack account linked to ${user.email}`);
+    const { channel } = await this.slack.conversations.open({ users: slackUserId });
+    await this.slack.chat.postMessage({ channel: channel.id, ...message });
+  }
+}
+
+module.exports = { EndOfDayRecap, buildRecap, formatRecapMessage };
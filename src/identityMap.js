@@ -0,0 +1,224 @@
+/**
+ * IdentityMap - Which Monday.com user each Slack user is
+ *
+ * Digests, /tasks, /monday-prefs and assignment notifications all need to get
+ * from a Slack user to a Monday user or back. Matching by identical email
+ * fails for people who use different addresses in the two tools, so links
+ * come from three sources, strongest first:
+ *
+ * - manual: set with `/monday-link @slackuser <monday user>`
+ * - config: config/identityMap.json (`{ "links": { "<Slack ID>": "<Monday ID>" } }`)
+ * - email: found automatically the first time the emails match, then reused
+ *
+ * Manual and email links are persisted to data/identity-map.json with an
+ * atomic write, like user preferences. The Monday user list is fetched through
+ * the shared cache, so a linked user costs no Slack call and at most one
+ * Monday call per cache period.
+ *
+ * @module identityMap
+ */
+
+const path = require('path');
+const mondayClient = require('./mondayClient');
+const baseLogger = require('./utils/logger');
+const { JsonFile } = require('./utils/jsonFile');
+const { validateId } = require('./utils/validation');
+
+const MAP_FILE = path.join(__dirname, '../data/identity-map.json');
+const USERS_QUERY = 'query GetUsers { users { id name email enabled is_guest } }';
+const USERS_CACHE_TTL = 60 * 60 * 1000; // 1 hour, like the daily run's user list
+const SLACK_ID_PATTERN = /^[UW][A-Z0-9]+$/;
+
+const logger = baseLogger.child({ component: 'identityMap' });
+
+/**
+ * Read and check config/identityMap.json
+ *
+ * @param {Object} [config] - Parsed config/identityMap.json
+ * @returns {Map<string, string>} Slack user ID => Monday user ID
+ * @throws {Error} For an invalid Slack or Monday user ID
+ */
+function loadOverrides(config = require(path.join(__dirname, '../config/identityMap.json'))) {
+  const overrides = new Map();
+  for (const [slackUserId, mondayUserId] of Object.entries(config.links || {})) {
+    if (!SLACK_ID_PATTERN.test(slackUserId)) {
+      throw new Error(`Invalid Slack user ID in identity map: ${slackUserId}`);
+    }
+    const id = validateId(mondayUserId);
+    if (!id) throw new Error(`Invalid Monday.com user ID for ${slackUserId}: ${mondayUserId}`);
+    overrides.set(slackUserId, id);
+  }
+  return overrides;
+}
+
+/**
+ * Slack user ID from a command argument: a mention (`<@U123|name>`) or a bare ID
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+function parseSlackUser(text) {
+  const match = /^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/.exec(text) || /^([UW][A-Z0-9]+)$/.exec(text);
+  return match ? match[1] : null;
+}
+
+/**
+ * Enabled Monday.com users, from the shared cache when fresh
+ *
+ * @returns {Promise<Array<Object>>} { id, name, email }
+ */
+async function getMondayUsers() {
+  const data = await mondayClient.query(USERS_QUERY, { cache: true, cacheTTL: USERS_CACHE_TTL });
+  return data.users.filter(u => u.enabled);
+}
+
+class IdentityMap {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Where manual and email links are persisted
+   * @param {Map<string, string>} [options.overrides] - Links from the config file (loadOverrides)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || MAP_FILE;
+    this.file = new JsonFile(this.filePath, { name: 'identity map', logger });
+    this.overrides = options.overrides || loadOverrides();
+    this.entries = new Map();
+    this._load();
+  }
+
+  /** Load links from disk on startup */
+  _load() {
+    const saved = this.file.read();
+    this.entries = new Map(Object.entries(saved || {}));
+    if (saved) logger.info(`Loaded ${this.entries.size} identity links from disk`);
+  }
+
+  /** Persist links to disk atomically */
+  _save() {
+    this.file.write(Object.fromEntries(this.entries));
+  }
+
+  /**
+   * The link in effect for a Slack user
+   *
+   * @param {string} slackUserId
+   * @returns {{mondayUserId: string, source: string}|null} source is 'manual', 'config' or 'email'
+   */
+  get(slackUserId) {
+    const entry = this.entries.get(slackUserId);
+    if (entry && entry.source === 'manual') return { mondayUserId: entry.mondayUserId, source: 'manual' };
+    if (this.overrides.has(slackUserId)) return { mondayUserId: this.overrides.get(slackUserId), source: 'config' };
+    return entry ? { mondayUserId: entry.mondayUserId, source: entry.source } : null;
+  }
+
+  /**
+   * Slack user linked to a Monday user; manual and config links win over email ones
+   *
+   * @param {string|number} mondayUserId
+   * @returns {string|null}
+   */
+  getSlackUserId(mondayUserId) {
+    let byEmail = null;
+    for (const slackUserId of new Set([...this.entries.keys(), ...this.overrides.keys()])) {
+      const link = this.get(slackUserId);
+      if (link.mondayUserId !== String(mondayUserId)) continue;
+      if (link.source !== 'email') return slackUserId;
+      byEmail = byEmail || slackUserId;
+    }
+    return byEmail;
+  }
+
+  /**
+   * Link a Slack user to a Monday user
+   *
+   * @param {string} slackUserId
+   * @param {string|number} mondayUserId
+   * @param {Object} [options]
+   * @param {string} [options.source='manual'] - 'manual' or 'email'
+   * @param {string} [options.linkedBy] - Slack user who set a manual link
+   */
+  link(slackUserId, mondayUserId, { source = 'manual', linkedBy } = {}) {
+    const entry = { mondayUserId: String(mondayUserId), source, updatedAt: new Date().toISOString() };
+    if (linkedBy) entry.linkedBy = linkedBy;
+    this.entries.set(slackUserId, entry);
+    this._save();
+  }
+
+  /**
+   * Remove a Slack user's manual or email link (config links stay)
+   *
+   * @param {string} slackUserId
+   * @returns {boolean} Whether there was a link to remove
+   */
+  unlink(slackUserId) {
+    const deleted = this.entries.delete(slackUserId);
+    if (deleted) this._save();
+    return deleted;
+  }
+
+  /**
+   * Monday user for a Slack user: the linked one, else the one with the same email
+   *
+   * @param {string} slackUserId
+   * @param {Object} slack - Slack WebClient (users.info)
+   * @returns {Promise<Object|null>} Monday user ({ id, name, email })
+   */
+  async findMondayUser(slackUserId, slack) {
+    const link = this.get(slackUserId);
+    if (link) {
+      const user = (await getMondayUsers()).find(u => String(u.id) === link.mondayUserId);
+      if (user) return user;
+      if (link.source !== 'email') {
+        logger.warn('Linked Monday.com user not found or disabled', { slackUserId, ...link });
+        return null;
+      }
+      // The matched Monday user is gone; match by email again
+      this.unlink(slackUserId);
+    }
+
+    const { user: slackUser } = await slack.users.info({ user: slackUserId });
+    const email = slackUser.profile?.email?.toLowerCase();
+    if (!email) return null;
+
+    const user = (await getMondayUsers()).find(u => u.email?.toLowerCase() === email);
+    if (!user) return null;
+    this.link(slackUserId, user.id, { source: 'email' });
+    return user;
+  }
+
+  /**
+   * Slack user ID for a Monday user: the linked one, else the one with the same email
+   *
+   * @param {Object} mondayUser - { id, email }
+   * @param {Object} slack - Slack WebClient (users.lookupByEmail)
+   * @returns {Promise<string|null>} null when nobody in Slack matches
+   */
+  async findSlackUserId(mondayUser, slack) {
+    const linked = this.getSlackUserId(mondayUser.id);
+    if (linked) return linked;
+    if (!mondayUser.email) return null;
+
+    try {
+      const { user } = await slack.users.lookupByEmail({ email: mondayUser.email });
+      // A Slack user linked to someone else on purpose keeps that link
+      const existing = this.get(user.id);
+      if (existing && existing.source !== 'email') return null;
+      this.link(user.id, mondayUser.id, { source: 'email' });
+      return user.id;
+    } catch (error) {
+      if (error.data?.error === 'users_not_found') return null;
+      throw error;
+    }
+  }
+
+  /** Number of persisted links */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = new IdentityMap();
+module.exports.IdentityMap = IdentityMap;
+module.exports.loadOverrides = loadOverrides;
+module.exports.parseSlackUser = parseSlackUser;
+module.exports.getMondayUsers = getMondayUsers;
@@ -0,0 +1,124 @@
+/**
+ * /monday-link - Link a Slack user to their Monday.com account by hand
+ *
+ *   /monday-link @slackuser <Monday user ID, email or name>
+ *   /monday-link @slackuser          shows the link in effect
+ *   /monday-link @slackuser clear    removes a manual link
+ *
+ * For people whose Slack and Monday.com emails differ (see identityMap). A
+ * link decides whose tasks /tasks shows and who gets a Monday user's DMs, so
+ * only Slack workspace admins and owners may use it. The command needs
+ * "Escape channels, users, and links" turned on so mentions arrive as IDs.
+ *
+ * @module linkCommand
+ */
+
+const baseLogger = require('./utils/logger');
+const identityMap = require('./identityMap');
+const { parseSlackUser, getMondayUsers } = require('./identityMap');
+const { validateId } = require('./utils/validation');
+
+const USAGE = 'Usage: `/monday-link @slackuser <Monday.com user ID, email or name>`\n' +
+  '`/monday-link @slackuser` shows the current link and `/monday-link @slackuser clear` removes it.';
+
+const SOURCE_LABELS = {
+  manual: 'set with /monday-link',
+  config: 'from config/identityMap.json',
+  email: 'matched by email'
+};
+
+const logger = baseLogger.child({ component: 'linkCommand' });
+
+/**
+ * Monday.com users a command argument names
+ *
+ * @param {Array<Object>} users - Enabled Monday users
+ * @param {string} query - Monday user ID, email or full name (case-insensitive)
+ * @returns {Array<Object>} Matching users; more than one only for a shared name
+ */
+function matchMondayUsers(users, query) {
+  const needle = query.trim().toLowerCase();
+  if (validateId(needle)) return users.filter(u => String(u.id) === needle);
+  if (needle.includes('@')) return users.filter(u => u.email?.toLowerCase() === needle);
+  return users.filter(u => u.name?.toLowerCase() === needle);
+}
+
+/**
+ * Carry out a /monday-link command
+ *
+ * @param {string} text - Command text
+ * @param {string} requestedBy - Slack user ID of whoever ran it
+ * @param {Object} client - Slack WebClient (users.info)
+ * @returns {Promise<string>} Reply for the user
+ */
+async function handleLinkCommand(text, requestedBy, client) {
+  const { user: requester } = await client.users.info({ user: requestedBy });
+  if (!requester.is_admin && !requester.is_owner) {
+    return '🔒 Only Slack workspace admins can link accounts. Ask an admin to run `/monday-link` for you.';
+  }
+
+  const [mention, ...rest] = text.trim().split(/\s+/).filter(Boolean);
+  if (!mention) return USAGE;
+  const slackUserId = parseSlackUser(mention);
+  if (!slackUserId) {
+    return `❌ "${mention}" is not a Slack user. Mention them with @, or turn on "Escape channels, users, and links" for /monday-link.\n${USAGE}`;
+  }
+
+  const target = rest.join(' ');
+  if (!target) {
+    const link = identityMap.get(slackUserId);
+    if (!link) return `<@${slackUserId}> is not linked yet. They are matched by email the first time they are needed.`;
+    const user = (await getMondayUsers()).find(u => String(u.id) === link.mondayUserId);
+    const name = user ? `${user.name} (${user.email})` : `user ${link.mondayUserId}, who is not an active Monday.com user`;
+    return `<@${slackUserId}> is linked to ${name}, ${SOURCE_LABELS[link.source]}.`;
+  }
+
+  if (target.toLowerCase() === 'clear') {
+    if (!identityMap.unlink(slackUserId)) return `<@${slackUserId}> has no link to remove.`;
+    return identityMap.get(slackUserId)
+      ? `✅ Removed the link for <@${slackUserId}>. The link in config/identityMap.json applies again.`
+      : `✅ Removed the link for <@${slackUserId}>. They will be matched by email again.`;
+  }
+
+  const matches = matchMondayUsers(await getMondayUsers(), target);
+  if (matches.length === 0) return `❌ No active Monday.com user matches "${target}".`;
+  if (matches.length > 1) {
+    return `❌ "${target}" matches ${matches.length} Monday.com users. Use their email or user ID instead.`;
+  }
+
+  const [mondayUser] = matches;
+  identityMap.link(slackUserId, mondayUser.id, { linkedBy: requestedBy });
+  logger.info('Linked Slack user to Monday.com user', { slackUserId, mondayUserId: mondayUser.id, linkedBy: requestedBy });
+  return `✅ Linked <@${slackUserId}> to ${mondayUser.name} (${mondayUser.email}).`;
+}
+
+// Register /monday-link
+function registerLinkCommand(slackApp) {
+  slackApp.command('/monday-link', ({ command, ack, respond, client }) => {
+    // CRITICAL: Synchronous function for INSTANT acknowledgment
+    const ackPromise = ack();
+
+    setImmediate(async () => {
+      try {
+        const text = await handleLinkCommand(command.text || '', command.user_id, client);
+        await respond({ text, response_type: 'ephemeral' });
+      } catch (error) {
+        logger.error('Error in /monday-link command', error);
+        await respond({
+          text: '❌ Sorry, there was an error linking the account. Please try again.',
+          response_type: 'ephemeral'
+        });
+      }
+    });
+
+    return ackPromise;
+  });
+
+  logger.info('/monday-link command registered');
+}
+
+module.exports = {
+  registerLinkCommand,
+  handleLinkCommand,
+  matchMondayUsers
+};
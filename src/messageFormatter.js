@@ -1,84 +1,350 @@
-// Helper function to create task block with interactive buttons
-function createTaskBlock(task) {
-  const dueDate = task.dueDate 
-    ? new Date(task.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-    : 'No date';
-  
-  return [
-    {
+const mondayLinks = require('./mondayLinks');
+const { parseDate } = require('./utils/date-utils');
+const { templates, fill } = require('./messageTemplates');
+
+const PAGE_SIZE = templates.digest.limits.pageSize; // tasks per section page of the digest
+const DIGEST_PAGE_ACTION = 'digest_page'; // + `_${section}`, handled in unified-server
+
+// Slack limits per message (https://api.slack.com/reference/block-kit/blocks)
+const MAX_BLOCKS = 50;
+const MAX_SECTION_TEXT = 3000;
+const MAX_HEADER_TEXT = 150;
+
+// Order tasks so subitems follow their parent when the parent is in the same list.
+// Returns [{ task, nested }]; subitems whose parent isn't listed stay top-level.
+function nestSubitems(tasks) {
+  const listed = new Set(tasks.filter(t => !t.parentId).map(t => String(t.id)));
+  const children = new Map();
+  const roots = [];
+
+  tasks.forEach(task => {
+    const parentId = task.parentId && String(task.parentId);
+    if (parentId && listed.has(parentId)) {
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(task);
+    } else {
+      roots.push(task);
+    }
+  });
+
+  return roots.flatMap(task => [
+    { task, nested: false },
+    ...(children.get(String(task.id)) || []).map(child => ({ task: child, nested: true }))
+  ]);
+}
+
+// Title and location line for a task; subitems are marked with ↳ and name their parent
+function describeTask(task, nested = false) {
+  const title = task.parentId ? `↳ *${task.name}*` : `*${task.name}*`;
+  const location = task.parentId && !nested ? `${task.boardName} › ${task.parentName}` : task.boardName;
+  return { title, location };
+}
+
+// When a task is due: the start of its due date in `timeZone`, or the exact time
+// for date-and-time values (Monday.com stores those in UTC); null without a due date
+function getDueAt(task, timeZone) {
+  if (!task.dueDate) return null;
+  return task.dueTime ? parseDate(`${task.dueDate}T${task.dueTime}Z`) : parseDate(task.dueDate, timeZone);
+}
+
+// Due date as shown in Slack, e.g. "Mar 2", or "Mar 2, 3:00 PM" when it has a time
+function formatDueDate(task, timeZone) {
+  const dueAt = getDueAt(task, timeZone);
+  if (!dueAt) return 'No date';
+  const time = task.dueTime ? { hour: 'numeric', minute: '2-digit' } : {};
+  return dueAt.toLocaleString('en-US', { month: 'short', day: 'numeric', ...time, timeZone });
+}
+
+/**
+ * One page of a digest section, and the "Show more" row for paging through it
+ *
+ * Pages are 0-based and wrap: the last page's button goes back to the first.
+ * A page past the end (the section shrank since the button was rendered) shows
+ * the last page. The button's value is the `pages` to render next.
+ *
+ * @param {Array<Object>} tasks - The section's tasks
+ * @param {string} section - overdue, dueToday, upcoming or noDueDate
+ * @param {Object} options
+ * @param {string} options.actionPrefix - Button action_id prefix, e.g. DIGEST_PAGE_ACTION
+ * @param {Object<string, number>} [options.pages] - Current page of each section
+ * @param {number} [options.pageSize] - Tasks per page (default: the digest template's)
+ * @returns {{entries: Array<{task: Object, nested: boolean}>, pager: Object|null}}
+ *   The page's entries (see nestSubitems) and a section block, or null for a single page
+ */
+function pageSection(tasks, section, { actionPrefix, pages = {}, pageSize = PAGE_SIZE }) {
+  const labels = templates.paging;
+  const all = nestSubitems(tasks);
+  const pageCount = Math.ceil(all.length / pageSize);
+  const page = Math.min(Math.max(Number(pages[section]) || 0, 0), pageCount - 1);
+  const start = page * pageSize;
+  // A subitem opening a page names its parent, which is on the page before
+  const entries = all.slice(start, start + pageSize)
+    .map((entry, i) => (i === 0 ? { ...entry, nested: false } : entry));
+  if (pageCount <= 1) return { entries, pager: null };
+
+  const end = start + entries.length;
+  const last = page === pageCount - 1;
+  const counts = { from: start + 1, to: end, total: all.length, remaining: all.length - end };
+  const text = fill(last ? labels.last : page === 0 ? labels.more : labels.range, counts);
+
+  return {
+    entries,
+    pager: {
       type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*${task.name}*\n📅 ${dueDate} | 📍 ${task.boardName}`
-      },
+      text: { type: 'mrkdwn', text },
       accessory: {
         type: 'button',
-        text: {
-          type: 'plain_text',
-          text: '✅ Complete',
-          emoji: true
-        },
-        action_id: `task_action_complete_${task.id}_${task.boardId}`,
-        style: 'primary'
+        text: { type: 'plain_text', text: last ? labels.backToFirst : labels.showMore, emoji: true },
+        action_id: `${actionPrefix}_${section}`,
+        value: JSON.stringify({ ...pages, [section]: last ? 0 : page + 1 })
       }
-    },
-    {
-      type: 'context',
-      elements: [
-        {
-          type: 'mrkdwn',
-          text: `<https://drexcorp-company.monday.com/boards/${task.boardId}/pulses/${task.id}|View on Monday> • Status: ${task.status}`
-        }
-      ]
     }
-  ];
+  };
 }
 
-function formatSlackMessage(tasks, userName) {
-  const now = new Date();
-  const blocks = [
-    { type: 'header', text: { type: 'plain_text', text: `📋 ${userName}'s Tasks for Today`, emoji: true } },
-    { type: 'context', elements: [{ type: 'mrkdwn', text: `*Updated:* ${now.toLocaleString('en-US')}` }] },
-    { type: 'divider' }
+/**
+ * Section pages from a "Show more" button value
+ *
+ * @param {string} value - The button's value
+ * @returns {Object<string, number>} Section => page; empty for a malformed value
+ */
+function parsePages(value) {
+  try {
+    const pages = JSON.parse(value);
+    return Object.fromEntries(Object.entries(pages || {})
+      .filter(([, page]) => Number.isInteger(page) && page >= 0));
+  } catch {
+    return {};
+  }
+}
+
+// Cut text to a Slack length limit, marking the cut with an ellipsis
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Keep a message within Block Kit limits: at most `maxBlocks` (and never over
+ * Slack's 50) blocks, and section and header texts no longer than Slack accepts.
+ * Blocks past the limit are replaced by the `overflow` note, so a message is
+ * never rejected outright.
+ *
+ * @param {Array<Object>} blocks
+ * @param {Object} [limits] - A template's limits (default: the digest's)
+ * @param {number} [limits.maxBlocks]
+ * @param {string} [limits.overflow] - Note text; {mondayUrl} links to Monday.com
+ * @returns {Array<Object>}
+ */
+function fitBlockKit(blocks, { maxBlocks = MAX_BLOCKS, overflow } = templates.digest.limits) {
+  const fitted = blocks.map(block => {
+    if (block.type === 'section' && block.text?.text.length > MAX_SECTION_TEXT) {
+      return { ...block, text: { ...block.text, text: truncate(block.text.text, MAX_SECTION_TEXT) } };
+    }
+    if (block.type === 'header' && block.text.text.length > MAX_HEADER_TEXT) {
+      return { ...block, text: { ...block.text, text: truncate(block.text.text, MAX_HEADER_TEXT) } };
+    }
+    return block;
+  });
+  const limit = Math.min(maxBlocks, MAX_BLOCKS);
+  if (fitted.length <= limit) return fitted;
+
+  const note = fill(overflow || '', { mondayUrl: mondayLinks.baseUrl() });
+  return [
+    ...fitted.slice(0, limit - 1),
+    { type: 'context', elements: [{ type: 'mrkdwn', text: truncate(note, MAX_SECTION_TEXT) || ' ' }] }
   ];
-  
-  if (tasks.overdue.length > 0) {
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*🔴 Overdue (${tasks.overdue.length})*` } });
-    tasks.overdue.slice(0, 5).forEach(task => {
-      blocks.push(...createTaskBlock(task));
-    });
+}
+
+// Placeholders of a task in a template's task layout
+function taskVars(task, nested, timeZone) {
+  const { title, location } = describeTask(task, nested);
+  return {
+    title,
+    location,
+    name: task.name,
+    dueDate: formatDueDate(task, timeZone),
+    status: task.status,
+    priority: task.priority,
+    boardName: task.boardName,
+    itemUrl: mondayLinks.itemUrl(task.boardId, task.id),
+    taskId: task.id,
+    boardId: task.boardId
+  };
+}
+
+// Slack button for a template button; task actions act on vars.taskId / vars.boardId
+function renderButton(button, vars) {
+  const element = { type: 'button', text: { type: 'plain_text', text: fill(button.text, vars), emoji: true } };
+  if (button.action) {
+    element.action_id = `task_action_${button.action}_${vars.taskId}_${vars.boardId}`;
+  } else {
+    element.url = fill(button.url, vars);
   }
-  
-  if (tasks.dueToday.length > 0) {
-    blocks.push({ type: 'divider' });
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*🟡 Due Today (${tasks.dueToday.length})*` } });
-    tasks.dueToday.forEach(task => {
-      blocks.push(...createTaskBlock(task));
-    });
+  if (button.style) element.style = button.style;
+  return element;
+}
+
+// A task's blocks from a task layout: its text, with an optional button and context line
+function renderTask(layout, vars) {
+  const section = { type: 'section', text: { type: 'mrkdwn', text: fill(layout.text, vars) } };
+  if (layout.button) section.accessory = renderButton(layout.button, vars);
+  const blocks = [section];
+  if (layout.context) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: fill(layout.context, vars) }] });
   }
-  
-  if (tasks.upcoming.length > 0) {
-    blocks.push({ type: 'divider' });
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*🟢 Upcoming This Week (${tasks.upcoming.length})*` } });
-    tasks.upcoming.slice(0, 5).forEach(task => {
-      blocks.push(...createTaskBlock(task));
-    });
+  return blocks;
+}
+
+// Helper function to create task block with interactive buttons (the digest's task layout)
+function createTaskBlock(task, nested = false, timeZone) {
+  return renderTask(templates.digest.task, taskVars(task, nested, timeZone));
+}
+
+// Section title and empty-state text for the upcoming window (user preference, default 7 days)
+function describeUpcoming(upcomingDays = 7) {
+  return upcomingDays === 7
+    ? { title: 'Upcoming This Week', empty: 'No tasks due this week!' }
+    : { title: `Upcoming (next ${upcomingDays} days)`, empty: `No tasks due in the next ${upcomingDays} days!` };
+}
+
+// Tasks without a due date; the noDueDate bucket also holds tasks beyond the upcoming window
+function undatedTasks(tasks) {
+  return (tasks.noDueDate || []).filter(task => !task.dueDate);
+}
+
+// Tasks a tasks block lists; the noDueDate bucket also holds tasks beyond the upcoming window
+function sectionTasks(tasks, section) {
+  return section === 'noDueDate' ? undatedTasks(tasks) : tasks[section] || [];
+}
+
+// A template's blocks; `layout` sets the tasks per section page and whether tasks get their context line
+function drawBlocks(template, allVars, { tasks, options, actionPrefix }, layout) {
+  const text = value => ({ type: 'mrkdwn', text: fill(value, allVars) });
+  const blocks = [];
+
+  for (const block of template.blocks) {
+    if (block.when && !options[block.when]) continue;
+
+    switch (block.type) {
+      case 'header':
+        blocks.push({ type: 'header', text: { type: 'plain_text', text: fill(block.text, allVars), emoji: true } });
+        break;
+      case 'context':
+        blocks.push({ type: 'context', elements: [text(block.text)] });
+        break;
+      case 'divider':
+        blocks.push({ type: 'divider' });
+        break;
+      case 'section': {
+        const section = { type: 'section' };
+        if (block.text !== undefined) section.text = text(block.text);
+        if (block.fields) section.fields = block.fields.map(text);
+        blocks.push(section);
+        break;
+      }
+      case 'actions':
+        blocks.push({ type: 'actions', elements: block.buttons.map(button => renderButton(button, allVars)) });
+        break;
+      case 'tasks': {
+        const list = sectionTasks(tasks, block.section);
+        if (list.length === 0) break;
+        if (block.dividerBefore) blocks.push({ type: 'divider' });
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: fill(block.title, { ...allVars, count: list.length }) } });
+        const { entries, pager } = pageSection(list, block.section, {
+          actionPrefix,
+          pages: options.pages,
+          pageSize: layout.pageSize
+        });
+        const taskLayout = { ...template.task, ...block.task };
+        if (!layout.taskContext) delete taskLayout.context;
+        entries.forEach(({ task, nested }) => blocks.push(...renderTask(taskLayout, taskVars(task, nested, options.timeZone))));
+        if (pager) blocks.push(pager);
+        break;
+      }
+      case 'empty':
+        if ((block.sections || ['overdue', 'dueToday', 'upcoming']).every(section => sectionTasks(tasks, section).length === 0)) {
+          blocks.push({ type: 'section', text: text(block.text) });
+        }
+        break;
+    }
   }
-  
-  if (tasks.overdue.length === 0 && tasks.dueToday.length === 0 && tasks.upcoming.length === 0) {
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '✨ *No tasks due this week!*' } });
+
+  return blocks;
+}
+
+/**
+ * Draw a message from a template (see messageTemplates)
+ *
+ * When the blocks would go over `limits.maxBlocks`, tasks lose their context
+ * line, then each section lists fewer tasks per page, so every section keeps
+ * its title and "Show more" rather than being cut off by fitBlockKit.
+ *
+ * @param {Object} template - e.g. templates.digest
+ * @param {Object} vars - Placeholder values; {mondayUrl} is always available
+ * @param {Object} [context]
+ * @param {Object} [context.tasks] - Organized tasks (organizeTasks) for tasks and empty blocks
+ * @param {Object} [context.options] - Display options: the preferences `when` refers to,
+ *   plus `timeZone` and the section `pages` to show
+ * @param {string} [context.actionPrefix] - action_id prefix of the "Show more" buttons
+ * @returns {{text: string, blocks: Array<Object>}} Notification text and Block Kit blocks
+ */
+function renderMessage(template, vars, { tasks = {}, options = {}, actionPrefix } = {}) {
+  const allVars = { mondayUrl: mondayLinks.baseUrl(), ...vars };
+  const context = { tasks, options, actionPrefix };
+  const { maxBlocks = MAX_BLOCKS, pageSize = PAGE_SIZE } = template.limits || {};
+  const limit = Math.min(maxBlocks, MAX_BLOCKS);
+
+  let layout = { pageSize, taskContext: true };
+  let blocks = drawBlocks(template, allVars, context, layout);
+  while (blocks.length > limit && (layout.taskContext || layout.pageSize > 1)) {
+    layout = layout.taskContext ? { ...layout, taskContext: false } : { ...layout, pageSize: layout.pageSize - 1 };
+    blocks = drawBlocks(template, allVars, context, layout);
   }
-  
-  blocks.push({ type: 'divider' });
-  blocks.push({ 
-    type: 'context', 
-    elements: [{ 
-      type: 'mrkdwn', 
-      text: `💡 *Tip:* Click "✅ Complete" to mark tasks as done, or use \`/tasks\` to see this list anytime` 
-    }] 
-  });
-  
-  return { blocks };
+
+  return { text: fill(template.text || '', allVars), blocks: fitBlockKit(blocks, template.limits) };
+}
+
+/**
+ * Draw a user's organized tasks with a task-list template (the digest or /tasks)
+ *
+ * @param {Object} template - templates.digest or templates.taskList
+ * @param {Object} tasks - From organizeTasks
+ * @param {string} userName
+ * @param {Object} options - The user's preferences ({ upcomingDays, showNoDueDate }),
+ *   plus their `timeZone` and the section `pages` to show
+ * @param {string} actionPrefix - action_id prefix of the "Show more" buttons
+ * @returns {{text: string, blocks: Array<Object>}}
+ */
+function renderTaskList(template, tasks, userName, options, actionPrefix) {
+  const upcoming = describeUpcoming(options.upcomingDays);
+  return renderMessage(template, {
+    userName,
+    updatedAt: new Date().toLocaleString('en-US', { timeZone: options.timeZone }),
+    upcomingTitle: upcoming.title,
+    upcomingEmpty: upcoming.empty
+  }, { tasks, options, actionPrefix });
+}
+
+// `options` comes from the user's preferences: { upcomingDays, showNoDueDate },
+// plus the recipient's `timeZone` for dates and times and the section `pages` to show
+function formatSlackMessage(tasks, userName, options = {}) {
+  return renderTaskList(templates.digest, tasks, userName, options, DIGEST_PAGE_ACTION);
 }
 
-module.exports = { formatSlackMessage, createTaskBlock };
+module.exports = {
+  formatSlackMessage,
+  renderMessage,
+  renderTaskList,
+  createTaskBlock,
+  nestSubitems,
+  describeTask,
+  describeUpcoming,
+  undatedTasks,
+  getDueAt,
+  formatDueDate,
+  pageSection,
+  parsePages,
+  fitBlockKit,
+  DIGEST_PAGE_ACTION,
+  PAGE_SIZE
+};
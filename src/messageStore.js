@@ -0,0 +1,134 @@
+/**
+ * MessageStore - Persistent record of the digest DMs we have posted
+ *
+ * The daily run edits today's digest instead of posting a second one, which
+ * needs the channel and ts of the message it posted earlier. Entries are kept
+ * in data/digest-messages.json (next to the DLQ) so a restart doesn't lose them:
+ *
+ * - Loaded from disk on startup
+ * - Written atomically (temp file + rename) on every change
+ * - Entries older than the retention period are pruned on load and on a schedule
+ *
+ * @module messageStore
+ */
+
+const path = require('path');
+const { JsonFile } = require('./utils/jsonFile');
+
+const STORE_FILE = path.join(__dirname, '../data/digest-messages.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MessageStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Where entries are persisted
+   * @param {number} [options.retentionDays] - Age after which entries are pruned
+   *   (defaults to DIGEST_STORE_RETENTION_DAYS, or 7)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || STORE_FILE;
+    this.file = new JsonFile(this.filePath, { name: 'digest messages' });
+    this.retentionDays = options.retentionDays || parseInt(process.env.DIGEST_STORE_RETENTION_DAYS, 10) || 7;
+    this.entries = new Map();
+    this._pruneInterval = null;
+
+    this._load();
+    this.prune();
+  }
+
+  /** Load entries from disk on startup */
+  _load() {
+    const saved = this.file.read();
+    this.entries = new Map(Object.entries(saved || {}));
+    if (saved) console.log(`[MessageStore] Loaded ${this.entries.size} digest messages from disk`);
+  }
+
+  /** Persist entries to disk atomically */
+  _save() {
+    this.file.write(Object.fromEntries(this.entries));
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Record a posted message
+   *
+   * @param {string} key - e.g. `${mondayUserId}-${date}`
+   * @param {Object} entry - { channelId, messageTs, date, lastUpdated, userId, itemIds, pages },
+   *   where itemIds are the Monday items the digest lists (see digestRefresher) and
+   *   pages the section pages it shows (see messageFormatter.pageSection)
+   */
+  set(key, entry) {
+    this.entries.set(key, { ...entry, lastUpdated: entry.lastUpdated || new Date().toISOString() });
+    this._save();
+  }
+
+  /**
+   * Entries whose digest lists a Monday item
+   *
+   * @param {string|number} itemId
+   * @param {string} [date] - Only entries for this date (`entry.date`)
+   * @returns {Array<Object>} Matching entries
+   */
+  findByItem(itemId, date) {
+    const id = String(itemId);
+    return [...this.entries.values()]
+      .filter(entry => (!date || entry.date === date) && (entry.itemIds || []).includes(id));
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) this._save();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Drop entries last updated before the retention period
+   *
+   * @param {number} [now] - Current time in ms (for tests)
+   * @returns {number} Number of entries removed
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      const updated = Date.parse(entry.lastUpdated);
+      if (Number.isNaN(updated) || updated < cutoff) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this._save();
+      console.log(`[MessageStore] Pruned ${removed} digest messages older than ${this.retentionDays} days`);
+    }
+    return removed;
+  }
+
+  // Start periodic pruning; the timer doesn't keep the process alive
+  startPruning(intervalMs = 6 * 60 * 60 * 1000) {
+    if (this._pruneInterval) return;
+    this._pruneInterval = setInterval(() => this.prune(), intervalMs);
+    this._pruneInterval.unref();
+  }
+
+  // Stop periodic pruning
+  stopPruning() {
+    if (this._pruneInterval) {
+      clearInterval(this._pruneInterval);
+      this._pruneInterval = null;
+    }
+  }
+}
+
+// Singleton instance
+const messageStore = new MessageStore();
+
+module.exports = messageStore;
+module.exports.MessageStore = MessageStore;
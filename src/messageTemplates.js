@@ -0,0 +1,175 @@
+/**
+ * messageTemplates - Layout and wording of the digest, /tasks and assignment DMs
+ *
+ * config/messageTemplates.json describes each message as a list of blocks, in
+ * the order they are posted, so messages can be reworded or rearranged without
+ * touching the formatters:
+ *
+ *   { "type": "header" | "context", "text": "..." }
+ *   { "type": "section", "text": "...", "fields": ["..."] }
+ *   { "type": "divider" }
+ *   { "type": "actions", "buttons": [{ "text", "action": "complete" } | { "text", "url" }] }
+ *   { "type": "tasks", "section": "overdue", "title": "...", "dividerBefore": true, "task": {...} }
+ *   { "type": "empty", "text": "...", "sections": ["overdue", "dueToday", "upcoming"] }
+ *
+ * Any block can have `"when": "<option>"` to appear only when that display
+ * option (e.g. the showNoDueDate preference) is set. Text fills in
+ * `{placeholders}`; see fill(). messageFormatter.renderMessage draws the blocks.
+ *
+ * The file is read and checked once, when the module is first required, so a
+ * broken template stops the server at startup rather than at the first send.
+ *
+ * @module messageTemplates
+ */
+
+const path = require('path');
+
+const TEMPLATE_NAMES = ['digest', 'taskList', 'assignment'];
+const BLOCK_TYPES = ['header', 'context', 'section', 'divider', 'actions', 'tasks', 'empty'];
+const SECTIONS = ['overdue', 'dueToday', 'upcoming', 'noDueDate'];
+// Button actions handled by the task_action_* handler in unified-server
+const TASK_ACTIONS = ['complete', 'update', 'postpone', 'view'];
+const PAGING_LABELS = ['more', 'range', 'last', 'showMore', 'backToFirst'];
+// Slack limits per message and per block
+const MAX_BLOCKS = 50;
+const MAX_FIELDS = 10;
+const MAX_BUTTONS = 25;
+
+function loadConfig() {
+  return require(path.join(__dirname, '../config/messageTemplates.json'));
+}
+
+/**
+ * Fill `{placeholders}` in template text
+ *
+ * `{name|fallback}` uses the fallback text when the value is empty. A
+ * `[bracketed part]` is left out when a placeholder inside it is empty (and has
+ * no fallback), e.g. `Status: {status}[ • Priority: {priority}]`. Brackets
+ * without placeholders are kept as written. Unknown placeholders become empty.
+ *
+ * @param {string} text
+ * @param {Object} vars - Placeholder values
+ * @returns {string}
+ */
+function fill(text, vars) {
+  const value = name => (vars[name] === undefined || vars[name] === null ? '' : String(vars[name]));
+  return text
+    .replace(/\[([^[\]]*\{\w+(?:\|[^}]*)?\}[^[\]]*)\]/g, (group, inner) => {
+      const names = [...inner.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      return names.every(name => value(name) !== '') ? inner : '';
+    })
+    .replace(/\{(\w+)(?:\|([^}]*))?\}/g, (placeholder, name, fallback = '') => value(name) || fallback);
+}
+
+// Check one button of an actions block; `where` names it in error messages
+function validateButton(button, where) {
+  if (typeof button?.text !== 'string' || !button.text) {
+    throw new Error(`Button in ${where} needs a "text"`);
+  }
+  if (Boolean(button.action) === Boolean(button.url)) {
+    throw new Error(`Button "${button.text}" in ${where} needs either an "action" or a "url"`);
+  }
+  if (button.action && !TASK_ACTIONS.includes(button.action)) {
+    throw new Error(`Unknown button action "${button.action}" in ${where} (expected ${TASK_ACTIONS.join(', ')})`);
+  }
+}
+
+// Check a task layout (a template's `task`, or a tasks block's override of it)
+function validateTask(task, where, { partial = false } = {}) {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) {
+    throw new Error(`"task" in ${where} must be an object`);
+  }
+  if (!partial && typeof task.text !== 'string') {
+    throw new Error(`"task" in ${where} needs a "text"`);
+  }
+  if (task.button) validateButton(task.button, `${where} task`);
+}
+
+// Check one block; `where` names it in error messages
+function validateBlock(block, template, where) {
+  if (!BLOCK_TYPES.includes(block?.type)) {
+    throw new Error(`Unknown block type "${block?.type}" in ${where} (expected ${BLOCK_TYPES.join(', ')})`);
+  }
+  const needsText = ['header', 'context', 'empty'].includes(block.type) ||
+    (block.type === 'section' && !block.fields);
+  if (needsText && typeof block.text !== 'string') {
+    throw new Error(`${block.type} block in ${where} needs a "text"`);
+  }
+  if (block.fields && (!Array.isArray(block.fields) || block.fields.length > MAX_FIELDS)) {
+    throw new Error(`"fields" in ${where} must be a list of at most ${MAX_FIELDS} texts`);
+  }
+  if (block.type === 'actions') {
+    if (!Array.isArray(block.buttons) || block.buttons.length === 0 || block.buttons.length > MAX_BUTTONS) {
+      throw new Error(`actions block in ${where} needs 1-${MAX_BUTTONS} "buttons"`);
+    }
+    block.buttons.forEach(button => validateButton(button, where));
+  }
+  if (block.type === 'tasks') {
+    if (!SECTIONS.includes(block.section)) {
+      throw new Error(`Unknown section "${block.section}" in ${where} (expected ${SECTIONS.join(', ')})`);
+    }
+    if (typeof block.title !== 'string') {
+      throw new Error(`tasks block for ${block.section} in ${where} needs a "title"`);
+    }
+    if (!template.task) {
+      throw new Error(`${where} lists tasks, so it needs a "task" layout`);
+    }
+    if (block.task) validateTask(block.task, where, { partial: true });
+  }
+  if (block.type === 'empty' && block.sections &&
+      (!Array.isArray(block.sections) || !block.sections.every(section => SECTIONS.includes(section)))) {
+    throw new Error(`"sections" of the empty block in ${where} must list ${SECTIONS.join(', ')}`);
+  }
+}
+
+// Check a page size or block limit
+function validateLimits(limits, where) {
+  const { pageSize, maxBlocks } = limits;
+  if (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1)) {
+    throw new Error(`Invalid pageSize in ${where}: ${pageSize} (expected a whole number of at least 1)`);
+  }
+  if (maxBlocks !== undefined && (!Number.isInteger(maxBlocks) || maxBlocks < 2 || maxBlocks > MAX_BLOCKS)) {
+    throw new Error(`Invalid maxBlocks in ${where}: ${maxBlocks} (expected 2-${MAX_BLOCKS}, Slack's limit)`);
+  }
+}
+
+/**
+ * Read and check the message templates
+ *
+ * @param {Object} [config] - Parsed config/messageTemplates.json
+ * @returns {Object} { digest, taskList, assignment, paging }; each template's
+ *   `limits` are the file's shared `limits` with its own on top
+ * @throws {Error} For a missing template, an unknown block type, section or
+ *   button action, or limits Slack would reject
+ */
+function loadTemplates(config = loadConfig()) {
+  const shared = { pageSize: 5, maxBlocks: MAX_BLOCKS, overflow: '', ...config.limits };
+  validateLimits(shared, 'limits');
+
+  const paging = config.paging || {};
+  const missing = PAGING_LABELS.filter(label => typeof paging[label] !== 'string');
+  if (missing.length > 0) {
+    throw new Error(`Missing paging labels: ${missing.join(', ')}`);
+  }
+
+  const templates = { paging: { ...paging } };
+  for (const name of TEMPLATE_NAMES) {
+    const template = config[name];
+    if (!template || !Array.isArray(template.blocks)) {
+      throw new Error(`Message template "${name}" needs a list of "blocks"`);
+    }
+    if (template.task) validateTask(template.task, `template "${name}"`);
+    template.blocks.forEach((block, i) => validateBlock(block, template, `template "${name}", block ${i + 1}`));
+    validateLimits(template.limits || {}, `template "${name}"`);
+
+    templates[name] = { ...template, limits: { ...shared, ...template.limits } };
+  }
+  return templates;
+}
+
+module.exports = {
+  templates: loadTemplates(),
+  loadTemplates,
+  fill,
+  SECTIONS
+};
@@ -0,0 +1,421 @@
+/**
+ * Mock Monday.com GraphQL endpoint for local development (MOCK_MODE=true)
+ *
+ * Understands the operations the app sends: `account`, `users`, `boards` (with
+ * `items_page` and query_params rules), `next_items_page`, `items`,
+ * `create_item`, `change_column_value`, `create_update` and `complexity`.
+ * It is not a GraphQL engine: root fields are resolved to whole objects and
+ * the client reads the fields it asked for. Arguments are resolved from
+ * variables or simple literals.
+ *
+ * Data is seeded from fixtures shaped like src/__tests__/mocks/mondayApi.js
+ * (`mockBoards`, `mockItems`, `mockUsers`). Set MOCK_MONDAY_FIXTURES to a
+ * module path to use your own. Mutations change the in-memory copy only.
+ *
+ * Mounted by unified-server at /mock/monday when MOCK_MODE=true, or run
+ * standalone: `node src/mock/mondayMockServer.js` (port MOCK_MONDAY_PORT, default 4000).
+ *
+ * @module mock/mondayMockServer
+ */
+
+const path = require('path');
+const express = require('express');
+const { decodeColumn, getStatusLabels } = require('../columnCodec');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '../__tests__/mocks/mondayApi.js');
+
+// Reported on every response so the complexity scheduler never throttles
+const COMPLEXITY = { before: 10000000, after: 9999000, reset_in_x_seconds: 60 };
+
+// ============================================
+// QUERY PARSING
+// ============================================
+
+// Read a balanced (...) or {...} block starting at `start`; returns inner text and end index
+function readBlock(text, start) {
+  const open = text[start];
+  const close = open === '(' ? ')' : open === '[' ? ']' : '}';
+  let depth = 0;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      i = skipString(text, i);
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      return { inner: text.slice(start + 1, i), end: i + 1 };
+    }
+  }
+  throw new Error(`Unbalanced "${open}" in query`);
+}
+
+function skipString(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === '"') return i;
+  }
+  return text.length;
+}
+
+/**
+ * Split a selection set into fields: [{ name, args, selection }]
+ * `args` and `selection` are raw text (null when absent).
+ */
+function parseSelection(selection) {
+  const fields = [];
+  let i = 0;
+
+  while (i < selection.length) {
+    const match = /^[\s,]*([A-Za-z_]\w*)/.exec(selection.slice(i));
+    if (!match) break;
+    i += match[0].length;
+
+    const field = { name: match[1], args: null, selection: null };
+    i += /^\s*/.exec(selection.slice(i))[0].length;
+
+    if (selection[i] === '(') {
+      const block = readBlock(selection, i);
+      field.args = block.inner;
+      i = block.end;
+      i += /^\s*/.exec(selection.slice(i))[0].length;
+    }
+    if (selection[i] === '{') {
+      const block = readBlock(selection, i);
+      field.selection = block.inner;
+      i = block.end;
+    }
+
+    fields.push(field);
+  }
+
+  return fields;
+}
+
+// Root fields of a query or mutation document
+function parseRootFields(query) {
+  const start = query.indexOf('{');
+  if (start === -1) throw new Error('Query has no selection set');
+  return parseSelection(readBlock(query, start).inner);
+}
+
+// Split on commas that are not nested inside brackets, braces or strings
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      const end = skipString(text, i);
+      current += text.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+    if ('[{('.includes(char)) depth++;
+    if (']})'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+function parseValue(raw, variables) {
+  const text = raw.trim();
+  if (text.startsWith('$')) return variables[text.slice(1)];
+  if (text.startsWith('[')) return splitTopLevel(readBlock(text, 0).inner).map(v => parseValue(v, variables));
+  if (text.startsWith('{')) return parseArgs(readBlock(text, 0).inner, variables);
+  if (text.startsWith('"')) return JSON.parse(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null') return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text; // enum value
+}
+
+function parseArgs(args, variables = {}) {
+  const result = {};
+  if (!args) return result;
+
+  for (const part of splitTopLevel(args)) {
+    const colon = part.indexOf(':');
+    result[part.slice(0, colon).trim()] = parseValue(part.slice(colon + 1), variables);
+  }
+  return result;
+}
+
+// ============================================
+// MOCK STORE
+// ============================================
+
+class GraphQLError extends Error {}
+
+class MockMondayStore {
+  /**
+   * @param {Object} fixtures - { mockBoards, mockItems, mockUsers, workspaceId? }
+   */
+  constructor(fixtures) {
+    const copy = JSON.parse(JSON.stringify(fixtures));
+    const workspaceId = String(copy.workspaceId || require('../../config/workspaces.json').workspaceIds[0]);
+
+    this.users = (copy.mockUsers || []).map(u => ({ is_guest: false, ...u, id: String(u.id) }));
+    this.boards = (copy.mockBoards || []).map(b => ({
+      workspace: { id: workspaceId, name: 'Mock Workspace' },
+      ...b,
+      id: String(b.id)
+    }));
+
+    // Fixture items have no board; they belong to the first board
+    const now = new Date().toISOString();
+    this.items = (copy.mockItems || []).map(item => ({
+      board_id: String(item.board_id || this.boards[0]?.id),
+      created_at: now,
+      updated_at: now,
+      creator: { name: 'Mock User' },
+      updates: [],
+      ...item,
+      id: String(item.id)
+    }));
+    this.accountSlug = copy.accountSlug || 'mock-account';
+    this.nextId = 900000;
+  }
+
+  execute(query, variables = {}) {
+    const data = {};
+    for (const field of parseRootFields(query)) {
+      const resolver = this.resolvers[field.name];
+      if (!resolver) {
+        throw new GraphQLError(`Field '${field.name}' doesn't exist on type 'Query'`);
+      }
+      data[field.name] = resolver.call(this, parseArgs(field.args, variables), field, variables);
+    }
+    return data;
+  }
+
+  getBoard(boardId) {
+    const board = this.boards.find(b => b.id === String(boardId));
+    if (!board) throw new GraphQLError(`Board ${boardId} not found`);
+    return board;
+  }
+
+  getItem(itemId) {
+    const item = this.items.find(i => i.id === String(itemId));
+    if (!item) throw new GraphQLError(`Item ${itemId} not found`);
+    return item;
+  }
+
+  serializeItem(item) {
+    const board = this.getBoard(item.board_id);
+    return { ...item, board: { id: board.id, name: board.name } };
+  }
+
+  // Does the item satisfy every query_params rule (status indexes, "person-<id>", or text)?
+  matchesRules(item, board, queryParams) {
+    const rules = queryParams?.rules || [];
+    const results = rules.map(rule => {
+      const column = board.columns.find(c => c.id === rule.column_id);
+      if (!column) return false;
+
+      const decoded = decodeColumn(item, column);
+      let values;
+      if (column.type === 'status') values = decoded?.index === null || decoded?.index === undefined ? [] : [decoded.index];
+      else if (column.type === 'people') values = (decoded?.personIds || []).map(id => `person-${id}`);
+      else values = [item.column_values.find(cv => cv.id === column.id)?.text].filter(Boolean);
+
+      const compare = (rule.compare_value || []).map(String);
+      const hit = values.some(v => compare.includes(String(v)));
+      return rule.operator === 'not_any_of' ? !hit : hit;
+    });
+
+    return queryParams?.operator === 'or' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  // One page of a board's items plus the cursor for the next page
+  itemsPage(board, { limit = 25, query_params: queryParams }, offset = 0) {
+    const matching = this.items.filter(i => i.board_id === board.id && this.matchesRules(i, board, queryParams));
+    const items = matching.slice(offset, offset + limit);
+    const nextOffset = offset + items.length;
+    const cursor = nextOffset < matching.length
+      ? Buffer.from(JSON.stringify({ boardId: board.id, offset: nextOffset, queryParams })).toString('base64')
+      : null;
+
+    return { cursor, items: items.map(i => this.serializeItem(i)) };
+  }
+
+  // Store a column value the way Monday.com would report it back (value JSON + display text)
+  setColumnValue(item, board, columnId, value) {
+    const column = board.columns.find(c => c.id === columnId);
+    if (!column) throw new GraphQLError(`Column ${columnId} not found on board ${board.id}`);
+
+    let stored = value;
+    let text = typeof value === 'string' ? value : '';
+
+    if (column.type === 'status') {
+      const labels = getStatusLabels(column);
+      const match = value?.label !== undefined
+        ? labels.find(l => l.label === value.label)
+        : labels.find(l => l.index === value?.index);
+      stored = { index: match ? match.index : value?.index };
+      text = match?.label || value?.label || '';
+    } else if (column.type === 'people') {
+      const names = (value?.personsAndTeams || []).map(p => this.users.find(u => u.id === String(p.id))?.name);
+      text = names.filter(Boolean).join(', ');
+    } else if (column.type === 'date') {
+      text = [value?.date, value?.time].filter(Boolean).join(' ');
+    }
+
+    const entry = { id: columnId, type: column.type, text, value: stored === null ? null : JSON.stringify(stored) };
+    const index = item.column_values.findIndex(cv => cv.id === columnId);
+    if (index === -1) item.column_values.push(entry);
+    else item.column_values[index] = entry;
+    item.updated_at = new Date().toISOString();
+  }
+}
+
+MockMondayStore.prototype.resolvers = {
+  complexity() {
+    return { ...COMPLEXITY };
+  },
+
+  account() {
+    return { id: '1', name: 'Mock Account', slug: this.accountSlug };
+  },
+
+  users({ ids }) {
+    const wanted = ids && [].concat(ids).map(String);
+    return this.users.filter(u => !wanted || wanted.includes(u.id));
+  },
+
+  boards({ ids, workspace_ids: workspaceIds, limit = 25, page = 1 }, field, variables) {
+    const wantedIds = ids && [].concat(ids).map(String);
+    const wantedWorkspaces = workspaceIds && [].concat(workspaceIds).map(String);
+    const boards = this.boards
+      .filter(b => !wantedIds || wantedIds.includes(b.id))
+      .filter(b => !wantedWorkspaces || wantedWorkspaces.includes(b.workspace.id))
+      .slice((page - 1) * limit, page * limit);
+
+    const itemsPageField = parseSelection(field.selection || '').find(f => f.name === 'items_page');
+    if (!itemsPageField) return boards;
+
+    const pageArgs = parseArgs(itemsPageField.args, variables);
+    return boards.map(board => ({ ...board, items_page: this.itemsPage(board, pageArgs) }));
+  },
+
+  next_items_page({ cursor, limit = 25 }) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+    } catch (error) {
+      throw new GraphQLError('Invalid cursor');
+    }
+    const board = this.getBoard(position.boardId);
+    return this.itemsPage(board, { limit, query_params: position.queryParams }, position.offset);
+  },
+
+  items({ ids }) {
+    const wanted = [].concat(ids || []).map(String);
+    return this.items.filter(i => wanted.includes(i.id)).map(i => this.serializeItem(i));
+  },
+
+  create_item({ board_id: boardId, item_name: itemName, column_values: columnValues }) {
+    const board = this.getBoard(boardId);
+    if (!itemName) throw new GraphQLError('item_name is required');
+
+    const now = new Date().toISOString();
+    const item = {
+      id: String(this.nextId++),
+      name: itemName,
+      board_id: board.id,
+      created_at: now,
+      updated_at: now,
+      creator: { name: 'Mock User' },
+      updates: [],
+      column_values: []
+    };
+
+    const values = typeof columnValues === 'string' ? JSON.parse(columnValues) : (columnValues || {});
+    for (const [columnId, value] of Object.entries(values)) {
+      this.setColumnValue(item, board, columnId, value);
+    }
+
+    this.items.push(item);
+    return this.serializeItem(item);
+  },
+
+  change_column_value({ board_id: boardId, item_id: itemId, column_id: columnId, value }) {
+    const board = this.getBoard(boardId);
+    const item = this.getItem(itemId);
+    this.setColumnValue(item, board, columnId, typeof value === 'string' ? JSON.parse(value) : value);
+    return this.serializeItem(item);
+  },
+
+  create_update({ item_id: itemId, body }) {
+    const item = this.getItem(itemId);
+    const update = {
+      id: String(this.nextId++),
+      body: String(body || ''),
+      created_at: new Date().toISOString(),
+      creator: { name: 'Mock User' }
+    };
+    item.updates.unshift(update);
+    return update;
+  }
+};
+
+// ============================================
+// HTTP
+// ============================================
+
+function loadFixtures(fixturesPath = process.env.MOCK_MONDAY_FIXTURES || DEFAULT_FIXTURES) {
+  return require(path.resolve(fixturesPath));
+}
+
+/**
+ * Express router serving POST /v2 like the Monday.com API
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - Seed data (defaults to loadFixtures())
+ * @returns {express.Router} Router with the store attached as `router.store`
+ */
+function createMockMondayRouter(options = {}) {
+  const store = new MockMondayStore(options.fixtures || loadFixtures());
+  const router = express.Router();
+
+  router.post('/v2', express.json(), (req, res) => {
+    const { query, variables } = req.body || {};
+    if (typeof query !== 'string') {
+      return res.status(400).json({ error_message: 'No query string was present' });
+    }
+
+    try {
+      res.json({ data: store.execute(query, variables || {}) });
+    } catch (error) {
+      res.json({ errors: [{ message: error.message }] });
+    }
+  });
+
+  router.store = store;
+  return router;
+}
+
+module.exports = {
+  createMockMondayRouter,
+  MockMondayStore,
+  parseRootFields,
+  parseArgs,
+  loadFixtures
+};
+
+if (require.main === module) {
+  const port = process.env.MOCK_MONDAY_PORT || 4000;
+  const app = express();
+  app.use(createMockMondayRouter());
+  app.listen(port, () => {
+    console.log(`Mock Monday.com API listening on http://localhost:${port}/v2`);
+  });
+}
@@ -0,0 +1,351 @@
+/**
+ * MondayClient - Shared Monday.com GraphQL client
+ *
+ * Every Monday.com call in the app (daily automation, slash commands,
+ * button handlers and webhooks) goes through this module so they all get
+ * the same behaviour:
+ * - Retries with exponential backoff (via errorHandler)
+ * - Consistent error categories (NETWORK, RATE_LIMIT, AUTH, SERVER, CLIENT)
+ * - Optional response caching (via cacheManager)
+ * - Timing in performanceMonitor, so every call shows up in /metrics
+ * - Pacing against the complexity budget (via complexityScheduler),
+ *   with interactive calls ahead of batch work
+ * - Structured logging
+ *
+ * @module mondayClient
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const errorHandler = require('./utils/errorHandler');
+const performanceMonitor = require('./utils/performanceMonitor');
+const { cache } = require('./utils/cacheManager');
+const complexityScheduler = require('./utils/complexityScheduler');
+const baseLogger = require('./utils/logger');
+
+// MOCK_MODE points every client at the local stand-in mounted by unified-server
+const MOCK_MONDAY_URL = `http://localhost:${process.env.PORT || 3000}/mock/monday/v2`;
+const MONDAY_API_URL = process.env.MONDAY_API_URL ||
+  (process.env.MOCK_MODE === 'true' ? MOCK_MONDAY_URL : 'https://api.monday.com/v2');
+
+// Pagination defaults and safety caps (items_page allows up to 500 items per page)
+const ITEMS_PAGE_SIZE = parseInt(process.env.MONDAY_ITEMS_PAGE_SIZE, 10) || 100;
+const MAX_ITEMS_PER_BOARD = parseInt(process.env.MONDAY_MAX_ITEMS_PER_BOARD, 10) || 5000;
+const BOARDS_PAGE_SIZE = parseInt(process.env.MONDAY_BOARDS_PAGE_SIZE, 10) || 50;
+const MAX_BOARD_PAGES = parseInt(process.env.MONDAY_MAX_BOARD_PAGES, 10) || 20;
+
+const DEFAULT_ITEM_FIELDS = 'id name created_at updated_at column_values { id text value type }';
+const DEFAULT_BOARD_FIELDS = 'id name workspace { id name } columns { id title type settings_str }';
+
+// GraphQL error codes Monday.com uses when a budget or rate limit is exhausted
+const RATE_LIMIT_CODES = [
+  'ComplexityException',
+  'RATE_LIMIT_EXCEEDED',
+  'DAILY_LIMIT_EXCEEDED',
+  'maxConcurrencyExceeded'
+];
+
+/**
+ * Error thrown for every failed Monday.com call.
+ * `status` and `code` follow the shape errorHandler.categorizeError() expects,
+ * and `category` holds the resulting category type.
+ */
+class MondayApiError extends Error {
+  constructor(message, { status, code, graphqlErrors, operation } = {}) {
+    super(message);
+    this.name = 'MondayApiError';
+    this.status = status;
+    this.code = code;
+    this.graphqlErrors = graphqlErrors || [];
+    this.operation = operation;
+    this.category = errorHandler.categorizeError(this).type;
+  }
+}
+
+/**
+ * Derive a readable operation name for logs and metrics:
+ * the GraphQL operation name if present, otherwise the first root field.
+ *
+ * @param {string} query - GraphQL document
+ * @returns {string} Operation name
+ */
+function getOperationName(query) {
+  const named = query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+  if (named) return named[1];
+  const rootField = query.match(/\{\s*(\w+)/);
+  return rootField ? rootField[1] : 'anonymous';
+}
+
+class MondayClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - Monday.com API key (defaults to MONDAY_API_KEY)
+   * @param {string} [options.apiUrl] - GraphQL endpoint (defaults to MONDAY_API_URL)
+   * @param {ComplexityScheduler} [options.scheduler] - Budget scheduler (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    this.apiUrl = options.apiUrl || MONDAY_API_URL;
+    this.http = axios.create({
+      baseURL: this.apiUrl,
+      headers: {
+        'Authorization': options.apiKey || process.env.MONDAY_API_KEY,
+        'Content-Type': 'application/json'
+      }
+    });
+    this.scheduler = options.scheduler || complexityScheduler;
+    this.logger = baseLogger.child({ component: 'mondayClient' });
+    this.resetStats();
+  }
+
+  /**
+   * Run a GraphQL query or mutation
+   *
+   * @param {string} query - GraphQL document
+   * @param {Object} [options]
+   * @param {Object} [options.variables] - GraphQL variables
+   * @param {boolean} [options.cache=false] - Serve from / store in the shared cache
+   * @param {number} [options.cacheTTL] - Cache TTL override (ms)
+   * @param {string} [options.operation] - Name used in logs and metrics
+   * @param {string} [options.priority='interactive'] - 'interactive' or 'batch' (daily run)
+   * @returns {Promise<Object>} The `data` field of the response
+   * @throws {MondayApiError}
+   */
+  async query(query, options = {}) {
+    const { variables, cacheTTL = null, priority = 'interactive' } = options;
+    const operation = options.operation || getOperationName(query);
+    const cacheKey = options.cache ? this.getCacheKey(query, variables) : null;
+    const timer = performanceMonitor.startTimer('mondayFetch');
+
+    if (cacheKey) {
+      const cached = cache.get(cacheKey);
+      if (cached !== null) {
+        performanceMonitor.endTimer(timer);
+        this.stats.cacheHits++;
+        return cached;
+      }
+    }
+
+    this.stats.requests++;
+
+    try {
+      const document = this.scheduler.withComplexity(query);
+      const data = await errorHandler.retry(
+        () => this.scheduler.schedule(() => this.send(document, variables, operation), priority),
+        `Monday.com ${operation}`,
+        { shouldRetry: (error) => errorHandler.categorizeError(error).retry }
+      );
+
+      if (cacheKey) {
+        cache.set(cacheKey, data, cacheTTL);
+      }
+
+      const duration = performanceMonitor.endTimer(timer);
+      performanceMonitor.recordSuccess(duration, { operation });
+      this.recordOperation(operation, duration, false);
+
+      return data;
+    } catch (error) {
+      const duration = performanceMonitor.endTimer(timer);
+      performanceMonitor.recordFailure(error, duration, { operation });
+      this.recordOperation(operation, duration, true);
+      this.stats.failures++;
+
+      // errorHandler wraps exhausted retries; keep its message but the cause's details
+      const cause = error.cause || error;
+      const failure = new MondayApiError(error.message, {
+        status: cause.status,
+        code: cause.code,
+        graphqlErrors: cause.graphqlErrors,
+        operation
+      });
+
+      this.logger.error('Monday.com API error', {
+        operation,
+        category: failure.category,
+        status: failure.status,
+        error: failure.message
+      });
+      throw failure;
+    }
+  }
+
+  /**
+   * Fetch every item on a board with cursor pagination:
+   * `items_page` for the first page, then `next_items_page` until the cursor runs out
+   * or the safety cap is reached.
+   *
+   * @param {string} boardId - Board to read
+   * @param {Object} [options]
+   * @param {string} [options.fields] - Item fields to select
+   * @param {number} [options.pageSize] - Items per request
+   * @param {number} [options.maxItems] - Safety cap (MONDAY_MAX_ITEMS_PER_BOARD)
+   * @param {Object} [options.queryParams] - items_page `query_params` ({ rules, operator }) applied on the server
+   * @param {string} [options.priority] - Scheduler priority for every page request
+   * @returns {Promise<{items: Object[], truncated: boolean}>} `truncated` is true when the cap stopped paging
+   */
+  async paginateItems(boardId, options = {}) {
+    const fields = options.fields || DEFAULT_ITEM_FIELDS;
+    const limit = options.pageSize || ITEMS_PAGE_SIZE;
+    const maxItems = options.maxItems || MAX_ITEMS_PER_BOARD;
+
+    const first = await this.query(
+      `query GetBoardItemsPage($boardId: ID!, $limit: Int!, $queryParams: ItemsQuery) { boards(ids: [$boardId]) { items_page(limit: $limit, query_params: $queryParams) { cursor items { ${fields} } } } }`,
+      { variables: { boardId, limit, queryParams: options.queryParams || null }, priority: options.priority }
+    );
+    const firstPage = first.boards[0]?.items_page || {};
+    const items = [...(firstPage.items || [])];
+    let cursor = firstPage.cursor;
+
+    while (cursor && items.length < maxItems) {
+      const next = await this.query(
+        `query GetNextItemsPage($cursor: String!, $limit: Int!) { next_items_page(cursor: $cursor, limit: $limit) { cursor items { ${fields} } } }`,
+        { variables: { cursor, limit }, priority: options.priority }
+      );
+      items.push(...(next.next_items_page?.items || []));
+      cursor = next.next_items_page?.cursor;
+    }
+
+    const truncated = Boolean(cursor) || items.length > maxItems;
+    if (truncated) {
+      this.logger.warn('Item pagination stopped at safety cap', { boardId, maxItems });
+    }
+
+    return { items: items.slice(0, maxItems), truncated };
+  }
+
+  /**
+   * Fetch boards page by page until a short page is returned or the page cap is reached
+   *
+   * @param {Object} [options]
+   * @param {Array<string|number>} [options.workspaceIds] - Restrict to these workspaces
+   * @param {string} [options.fields] - Board fields to select
+   * @param {number} [options.pageSize] - Boards per request
+   * @param {number} [options.maxPages] - Safety cap (MONDAY_MAX_BOARD_PAGES)
+   * @param {boolean} [options.cache=false] - Cache each page in the shared cache
+   * @param {string} [options.priority] - Scheduler priority for every page request
+   * @returns {Promise<{boards: Object[], truncated: boolean}>} `truncated` is true when the cap stopped paging
+   */
+  async paginateBoards(options = {}) {
+    const fields = options.fields || DEFAULT_BOARD_FIELDS;
+    const limit = options.pageSize || BOARDS_PAGE_SIZE;
+    const maxPages = options.maxPages || MAX_BOARD_PAGES;
+    const workspaceIds = options.workspaceIds || null;
+    const boards = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const data = await this.query(
+        `query GetBoardsPage($workspaceIds: [ID], $limit: Int!, $page: Int!) { boards(workspace_ids: $workspaceIds, limit: $limit, page: $page) { ${fields} } }`,
+        { variables: { workspaceIds, limit, page }, cache: options.cache, priority: options.priority }
+      );
+      const pageBoards = data.boards || [];
+      boards.push(...pageBoards);
+
+      if (pageBoards.length < limit) {
+        return { boards, truncated: false };
+      }
+    }
+
+    this.logger.warn('Board pagination stopped at safety cap', { workspaceIds, maxPages });
+    return { boards, truncated: true };
+  }
+
+  /**
+   * Send a single request, normalising HTTP and GraphQL failures to MondayApiError
+   *
+   * @private
+   */
+  async send(query, variables, operation) {
+    let response;
+    try {
+      response = await this.http.post('', variables ? { query, variables } : { query });
+    } catch (error) {
+      const body = error.response?.data || {};
+      throw new MondayApiError(body.error_message || error.message, {
+        status: error.response?.status,
+        code: error.code,
+        graphqlErrors: body.errors,
+        operation
+      });
+    }
+
+    const body = response.data || {};
+
+    if (body.errors || body.error_code) {
+      const graphqlErrors = body.errors || [{ message: body.error_message, extensions: { code: body.error_code } }];
+      const rateLimited = graphqlErrors.some(e => RATE_LIMIT_CODES.includes(e.extensions?.code || e.error_code));
+      const message = graphqlErrors.map(e => e.message).join('; ');
+
+      if (rateLimited) {
+        const resetIn = message.match(/reset in (\d+) seconds?/i);
+        this.scheduler.recordRateLimit(resetIn ? Number(resetIn[1]) : undefined);
+      }
+
+      throw new MondayApiError(`Monday.com GraphQL error: ${message}`, {
+        status: body.status_code || (rateLimited ? 429 : 400),
+        graphqlErrors,
+        operation
+      });
+    }
+
+    const { complexity, ...data } = body.data || {};
+    this.scheduler.recordComplexity(complexity);
+    return data;
+  }
+
+  /** @private */
+  getCacheKey(query, variables) {
+    const hash = crypto.createHash('sha1')
+      .update(query)
+      .update(JSON.stringify(variables || {}))
+      .digest('hex');
+    return cache.generateKey('mondayQuery', { hash });
+  }
+
+  /** @private */
+  recordOperation(operation, duration, failed) {
+    const entry = this.stats.operations[operation] || { calls: 0, failures: 0, totalMs: 0, maxMs: 0 };
+    entry.calls++;
+    entry.totalMs += duration;
+    entry.maxMs = Math.max(entry.maxMs, duration);
+    if (failed) entry.failures++;
+    this.stats.operations[operation] = entry;
+  }
+
+  /**
+   * Client statistics for /metrics, broken down by operation
+   *
+   * @returns {Object}
+   */
+  getStats() {
+    const operations = {};
+    for (const [name, entry] of Object.entries(this.stats.operations)) {
+      operations[name] = {
+        calls: entry.calls,
+        failures: entry.failures,
+        avgMs: Math.round(entry.totalMs / entry.calls),
+        maxMs: entry.maxMs
+      };
+    }
+
+    return {
+      requests: this.stats.requests,
+      failures: this.stats.failures,
+      cacheHits: this.stats.cacheHits,
+      operations,
+      complexity: this.scheduler.getStats()
+    };
+  }
+
+  /** Reset client statistics */
+  resetStats() {
+    this.stats = { requests: 0, failures: 0, cacheHits: 0, operations: {} };
+  }
+}
+
+// Singleton instance
+const mondayClient = new MondayClient();
+
+module.exports = mondayClient;
+module.exports.MondayClient = MondayClient;
+module.exports.MondayApiError = MondayApiError;
+module.exports.getOperationName = getOperationName;
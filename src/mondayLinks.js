@@ -0,0 +1,97 @@
+/**
+ * MondayLinks - Builds links into the Monday.com web app
+ *
+ * Every "View on Monday" / "Open in Monday.com" link goes through this module
+ * so they all point at our account. The account slug (the `<slug>` in
+ * https://<slug>.monday.com) comes from MONDAY_ACCOUNT_SLUG, or is discovered
+ * once with the `account { slug }` query at startup. Until a slug is known,
+ * links use https://monday.com, which redirects signed-in users to their account.
+ *
+ * @module mondayLinks
+ */
+
+const mondayClient = require('./mondayClient');
+const baseLogger = require('./utils/logger');
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+const FALLBACK_BASE_URL = 'https://monday.com';
+
+class MondayLinks {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.slug] - Account slug (defaults to MONDAY_ACCOUNT_SLUG)
+   * @param {Object} [options.client] - Monday client used for discovery
+   */
+  constructor(options = {}) {
+    this.client = options.client || mondayClient;
+    this.logger = baseLogger.child({ component: 'mondayLinks' });
+    this.slug = null;
+    this.discovery = null;
+
+    const configured = options.slug !== undefined ? options.slug : process.env.MONDAY_ACCOUNT_SLUG;
+    if (configured) this.setSlug(configured);
+  }
+
+  /**
+   * Use an account slug for all links
+   *
+   * @param {string} slug - e.g. "acme" for https://acme.monday.com
+   * @throws {Error} If the slug is not a valid subdomain
+   */
+  setSlug(slug) {
+    const trimmed = String(slug).trim();
+    if (!SLUG_PATTERN.test(trimmed)) {
+      throw new Error(`Invalid Monday.com account slug: "${slug}"`);
+    }
+    this.slug = trimmed.toLowerCase();
+  }
+
+  /**
+   * Discover the account slug with `account { slug }` unless one is configured.
+   * Runs the query at most once; failures are logged and links keep the fallback URL.
+   *
+   * @returns {Promise<string|null>} The slug, or null if it could not be discovered
+   */
+  async resolveSlug() {
+    if (this.slug) return this.slug;
+
+    if (!this.discovery) {
+      this.discovery = this.client.query('query GetAccount { account { slug } }')
+        .then(data => {
+          this.setSlug(data.account.slug);
+          this.logger.info('Discovered Monday.com account slug', { slug: this.slug });
+          return this.slug;
+        })
+        .catch(error => {
+          this.discovery = null; // allow a later retry
+          this.logger.warn('Could not discover Monday.com account slug; using fallback links', { error: error.message });
+          return null;
+        });
+    }
+
+    return this.discovery;
+  }
+
+  /** Base URL of the account, e.g. https://acme.monday.com */
+  baseUrl() {
+    return this.slug ? `https://${this.slug}.monday.com` : FALLBACK_BASE_URL;
+  }
+
+  boardUrl(boardId) {
+    return `${this.baseUrl()}/boards/${encodeURIComponent(boardId)}`;
+  }
+
+  itemUrl(boardId, itemId) {
+    return `${this.boardUrl(boardId)}/pulses/${encodeURIComponent(itemId)}`;
+  }
+
+  updateUrl(boardId, itemId, updateId) {
+    return `${this.itemUrl(boardId, itemId)}/posts/${encodeURIComponent(updateId)}`;
+  }
+}
+
+// Singleton instance
+const mondayLinks = new MondayLinks();
+
+module.exports = mondayLinks;
+module.exports.MondayLinks = MondayLinks;
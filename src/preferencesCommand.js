@@ -0,0 +1,259 @@
+const userPreferences = require('./userPreferences');
+const { getAllBoards, getMondayUserBySlackUser } = require('./tasksCommand');
+const workspacesConfig = require('../config/workspaces.json');
+
+// Logger
+const logger = {
+  info: (msg, data = {}) => {
+    console.log(JSON.stringify({
+      level: 'info',
+      message: msg,
+      data,
+      timestamp: new Date().toISOString()
+    }));
+  },
+  error: (msg, error = {}) => {
+    console.error(JSON.stringify({
+      level: 'error',
+      message: msg,
+      error: error.message || error,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    }));
+  }
+};
+
+const CALLBACK_ID = 'monday_prefs_modal';
+const UPCOMING_CHOICES = [3, 7, 14, 30];
+const MAX_SELECT_OPTIONS = 100; // Slack limit for static selects
+
+// Which preference each checkbox in the "Daily digest" block sets
+const DIGEST_FLAGS = {
+  opt_out: { key: 'optOut', label: 'Pause my daily digest' },
+  weekdays_only: { key: 'weekdaysOnly', label: 'Weekdays only' },
+  show_no_due_date: { key: 'showNoDueDate', label: 'Show tasks without a due date' },
+  evening_recap: { key: 'eveningRecap', label: 'Send me an end-of-day recap' }
+};
+
+const option = (text, value) => ({ text: { type: 'plain_text', text: String(text).slice(0, 75) }, value: String(value) });
+
+function hourLabel(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+// Modal shown while the user's Monday.com account and boards are loaded
+function loadingView() {
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: 'Digest Preferences' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text: '⏳ Loading your preferences...' } }]
+  };
+}
+
+/**
+ * Build the /monday-prefs modal
+ *
+ * @param {Object} prefs - Current preferences (userPreferences.get)
+ * @param {Array<Object>} boards - Boards from getAllBoards (with workspace)
+ * @param {string} mondayUserId - Stored in private_metadata for the submission
+ * @returns {Object} Slack modal view
+ */
+function buildPreferencesModal(prefs, boards, mondayUserId) {
+  const defaultHour = parseInt(process.env.DIGEST_LOCAL_HOUR, 10) || 8;
+
+  const flagOptions = Object.entries(DIGEST_FLAGS).map(([value, { label }]) => option(label, value));
+  const checkedFlags = flagOptions.filter(o => prefs[DIGEST_FLAGS[o.value].key]);
+
+  const hourOptions = [option(`Default (${hourLabel(defaultHour)})`, 'default')]
+    .concat(Array.from({ length: 24 }, (_, hour) => option(hourLabel(hour), hour)));
+  const selectedHour = hourOptions.find(o => o.value === String(prefs.deliveryHour ?? 'default'));
+
+  const upcomingChoices = [...new Set([...UPCOMING_CHOICES, prefs.upcomingDays])].sort((a, b) => a - b);
+  const upcomingOptions = upcomingChoices.map(days => option(`${days} days`, days));
+
+  const workspaceNames = new Map(boards.filter(b => b.workspace).map(b => [String(b.workspace.id), b.workspace.name]));
+  const workspaceOptions = workspacesConfig.workspaceIds.map(id =>
+    option(workspaceNames.get(String(id)) || `Workspace ${id}`, id)
+  );
+  // Chosen boards come first, so a list cut at Slack's limit never drops (and on save
+  // unselects) one of them
+  const chosen = new Set(prefs.boardIds.map(String));
+  const boardOptions = [...boards.filter(b => chosen.has(String(b.id))), ...boards.filter(b => !chosen.has(String(b.id)))]
+    .slice(0, MAX_SELECT_OPTIONS)
+    .map(board => option(board.name, board.id));
+
+  const flagsElement = { type: 'checkboxes', action_id: 'digest_options', options: flagOptions };
+  if (checkedFlags.length > 0) flagsElement.initial_options = checkedFlags;
+
+  const multiSelect = (actionId, placeholder, options, selectedIds) => {
+    const element = {
+      type: 'multi_static_select',
+      action_id: actionId,
+      placeholder: { type: 'plain_text', text: placeholder },
+      options
+    };
+    const selected = options.filter(o => selectedIds.includes(o.value));
+    if (selected.length > 0) element.initial_options = selected;
+    return element;
+  };
+
+  return {
+    type: 'modal',
+    callback_id: CALLBACK_ID,
+    private_metadata: String(mondayUserId),
+    title: { type: 'plain_text', text: 'Digest Preferences' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'digest_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Daily digest' },
+        element: flagsElement
+      },
+      {
+        type: 'input',
+        block_id: 'hour_block',
+        label: { type: 'plain_text', text: 'Delivery time (your Slack timezone)' },
+        hint: { type: 'plain_text', text: 'Used when the built-in digest scheduler is enabled' },
+        element: {
+          type: 'static_select',
+          action_id: 'hour_select',
+          options: hourOptions,
+          initial_option: selectedHour
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'upcoming_block',
+        label: { type: 'plain_text', text: 'Upcoming window' },
+        element: {
+          type: 'static_select',
+          action_id: 'upcoming_select',
+          options: upcomingOptions,
+          initial_option: upcomingOptions.find(o => o.value === String(prefs.upcomingDays))
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'workspaces_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Workspaces (leave empty for all)' },
+        element: multiSelect('workspaces_select', 'All workspaces', workspaceOptions, prefs.workspaceIds)
+      },
+      {
+        type: 'input',
+        block_id: 'boards_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Boards (leave empty for all)' },
+        ...(boards.length > MAX_SELECT_OPTIONS && {
+          hint: { type: 'plain_text', text: `Showing ${MAX_SELECT_OPTIONS} of ${boards.length} boards, starting with the ones you chose` }
+        }),
+        element: multiSelect('boards_select', 'All boards', boardOptions, prefs.boardIds)
+      }
+    ]
+  };
+}
+
+/**
+ * Turn the modal's submitted state into preference changes
+ *
+ * @param {Object} values - view.state.values
+ * @returns {Object} Changes for userPreferences.set()
+ */
+function parsePreferencesSubmission(values) {
+  const checked = (values.digest_block?.digest_options?.selected_options || []).map(o => o.value);
+  const hour = values.hour_block?.hour_select?.selected_option?.value;
+  const upcoming = values.upcoming_block?.upcoming_select?.selected_option?.value;
+  const selectedIds = (block, action) => (values[block]?.[action]?.selected_options || []).map(o => o.value);
+
+  const changes = {
+    deliveryHour: !hour || hour === 'default' ? null : Number(hour),
+    workspaceIds: selectedIds('workspaces_block', 'workspaces_select'),
+    boardIds: selectedIds('boards_block', 'boards_select')
+  };
+  for (const [value, { key }] of Object.entries(DIGEST_FLAGS)) {
+    changes[key] = checked.includes(value);
+  }
+  if (upcoming) changes.upcomingDays = Number(upcoming);
+
+  return changes;
+}
+
+// Register /monday-prefs and its modal submission
+function registerPreferencesCommand(slackApp) {
+  slackApp.command('/monday-prefs', ({ command, ack, respond, client }) => {
+    // CRITICAL: Synchronous function for INSTANT acknowledgment
+    const ackPromise = ack();
+
+    setImmediate(async () => {
+      try {
+        // trigger_id expires after 3 seconds, so open the modal before calling Monday.com
+        const opened = await client.views.open({ trigger_id: command.trigger_id, view: loadingView() });
+
+        const mondayUser = await getMondayUserBySlackUser(command.user_id, client);
+        if (!mondayUser) {
+          await client.views.update({
+            view_id: opened.view.id,
+            view: {
+              ...loadingView(),
+              blocks: [{
+                type: 'section',
+                text: { type: 'mrkdwn', text: '❌ Could not find your Monday.com account. Make sure your Slack email matches your Monday.com email, or ask a Slack admin to link your account with `/monday-link`.' }
+              }]
+            }
+          });
+          return;
+        }
+
+        const boards = await getAllBoards();
+        await client.views.update({
+          view_id: opened.view.id,
+          view: buildPreferencesModal(userPreferences.get(mondayUser.id), boards, mondayUser.id)
+        });
+      } catch (error) {
+        logger.error('Error opening preferences modal', error);
+        await respond({
+          text: '❌ Sorry, there was an error loading your preferences. Please try again.',
+          response_type: 'ephemeral'
+        });
+      }
+    });
+
+    return ackPromise;
+  });
+
+  slackApp.view(CALLBACK_ID, async ({ ack, body, view, client }) => {
+    const mondayUserId = view.private_metadata;
+
+    let prefs;
+    try {
+      prefs = userPreferences.set(mondayUserId, parsePreferencesSubmission(view.state.values));
+    } catch (error) {
+      await ack({ response_action: 'errors', errors: { digest_block: error.message } });
+      return;
+    }
+    await ack();
+
+    logger.info('Digest preferences saved', { mondayUserId, prefs });
+    try {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: prefs.optOut
+          ? '🔕 Your daily digest is paused. Use `/monday-prefs` to turn it back on.'
+          : '✅ Your digest preferences were saved.'
+      });
+    } catch (error) {
+      logger.error('Failed to confirm saved preferences', error);
+    }
+  });
+
+  logger.info('/monday-prefs command registered');
+}
+
+module.exports = {
+  registerPreferencesCommand,
+  buildPreferencesModal,
+  parsePreferencesSubmission
+};
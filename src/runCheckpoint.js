@@ -0,0 +1,121 @@
+/**
+ * RunCheckpoint - Progress of today's daily run, saved after every user
+ *
+ * If the instance is recycled halfway through a run, the users already
+ * delivered are on disk in data/run-checkpoint.json. On startup an unfinished
+ * run for today is resumed, and a re-triggered run for the same day skips the
+ * users who already got their digest. Only one day is kept; the first run on
+ * a new day starts from an empty checkpoint.
+ *
+ * Only runs for all users begin and finish a checkpoint. Runs limited to some
+ * emails add the users they deliver to it, but never change which run is
+ * pending. Per-timezone scheduler runs don't use it: the DigestScheduler keeps
+ * its own per-user record of delivered dates.
+ *
+ * @module runCheckpoint
+ */
+
+const path = require('path');
+const { JsonFile } = require('./utils/jsonFile');
+
+const CHECKPOINT_FILE = path.join(__dirname, '../data/run-checkpoint.json');
+
+class RunCheckpoint {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Where the checkpoint is persisted
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || CHECKPOINT_FILE;
+    this.file = new JsonFile(this.filePath, { name: 'run checkpoint' });
+    this.state = null;
+
+    this._load();
+  }
+
+  /** Load the checkpoint from disk on startup */
+  _load() {
+    this.state = this.file.read();
+  }
+
+  /** Persist the checkpoint atomically */
+  _save() {
+    this.file.write(this.state);
+  }
+
+  /**
+   * Start (or resume) the run for all users on a day
+   *
+   * @param {string} runId - The runHistory id of this run
+   * @param {string} date - Day of the run, e.g. new Date().toDateString()
+   * @param {Object} [options]
+   * @param {boolean} [options.restart] - Forget users already delivered that day
+   * @returns {number} Number of users already delivered that day
+   */
+  begin(runId, date, { restart = false } = {}) {
+    const delivered = this.state?.date === date && !restart ? this.state.delivered : {};
+    this.state = { date, runId, status: 'running', delivered };
+    this._save();
+    return Object.keys(delivered).length;
+  }
+
+  isDelivered(userId, date) {
+    return this.state?.date === date && Boolean(this.state.delivered[String(userId)]);
+  }
+
+  /**
+   * Record that a user got their digest; written to disk immediately
+   *
+   * @param {string} userId - Monday user id
+   * @param {string} status - 'sent' or 'updated'
+   * @param {string} [date] - Day of the digest (default: the checkpoint's day). On
+   *   another day the checkpoint starts over without a run, as a run limited to
+   *   some emails does before the day's full run.
+   */
+  markDelivered(userId, status, date = this.state?.date) {
+    if (!date) return;
+    if (this.state?.date !== date) this.state = { date, runId: null, status: null, delivered: {} };
+    this.state.delivered[String(userId)] = { status, at: new Date().toISOString() };
+    this._save();
+  }
+
+  /**
+   * Forget that some users got their digest on a day, so the next run sends it again
+   *
+   * @param {Array<string|number>} userIds - Monday user ids
+   * @param {string} date
+   */
+  forget(userIds, date) {
+    if (this.state?.date !== date) return;
+    userIds.forEach(userId => delete this.state.delivered[String(userId)]);
+    this._save();
+  }
+
+  /**
+   * Record the end of the run
+   *
+   * @param {string} [status='completed'] - 'completed' or 'failed'
+   */
+  finish(status = 'completed') {
+    if (!this.state) return;
+    this.state.status = status;
+    this._save();
+  }
+
+  /**
+   * The run that was cut off on this day, if any
+   *
+   * @param {string} date
+   * @returns {Object|null} { runId, delivered } or null
+   */
+  getUnfinished(date) {
+    if (this.state?.date !== date || this.state.status !== 'running') return null;
+    return this.state;
+  }
+}
+
+// Singleton instance
+const runCheckpoint = new RunCheckpoint();
+
+module.exports = runCheckpoint;
+module.exports.RunCheckpoint = RunCheckpoint;
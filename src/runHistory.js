@@ -0,0 +1,190 @@
+/**
+ * RunHistory - Persistent record of daily automation runs
+ *
+ * Each run gets an id, its trigger source, start and end time, the run
+ * counters and one outcome per user (sent, updated, skipped with a reason, or
+ * failed with the error), so questions like "why didn't Alice get her digest
+ * on Tuesday?" can be answered after the fact. Runs are kept in
+ * data/run-history.json:
+ *
+ * - Loaded from disk on startup; runs still marked running were cut off by a
+ *   restart and are marked interrupted
+ * - Written atomically (temp file + rename) when a run starts and finishes
+ * - Runs older than the retention period are pruned when a new run starts
+ *
+ * @module runHistory
+ */
+
+const path = require('path');
+const { JsonFile } = require('./utils/jsonFile');
+
+const HISTORY_FILE = path.join(__dirname, '../data/run-history.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RunHistory {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Where runs are persisted
+   * @param {number} [options.retentionDays] - Age after which runs are pruned
+   *   (defaults to RUN_HISTORY_RETENTION_DAYS, or 30)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || HISTORY_FILE;
+    this.file = new JsonFile(this.filePath, { name: 'run history' });
+    this.retentionDays = options.retentionDays || parseInt(process.env.RUN_HISTORY_RETENTION_DAYS, 10) || 30;
+    this.runs = [];
+
+    this._load();
+  }
+
+  /** Load runs from disk on startup */
+  _load() {
+    const saved = this.file.read();
+    this.runs = Array.isArray(saved) ? saved : [];
+    if (!saved) return;
+
+    let interrupted = 0;
+    for (const run of this.runs) {
+      if (run.status === 'running') {
+        run.status = 'interrupted';
+        interrupted++;
+      }
+    }
+    if (interrupted > 0) this._save();
+    console.log(`[RunHistory] Loaded ${this.runs.length} runs from disk`);
+  }
+
+  /** Persist runs to disk atomically */
+  _save() {
+    this.file.write(this.runs);
+  }
+
+  /**
+   * Record the start of a run
+   *
+   * @param {Object} [details]
+   * @param {string} [details.trigger] - What started it: 'api' (POST /trigger) or 'scheduler'
+   * @param {Array<string>} [details.requestedUsers] - Emails the run was limited to
+   * @returns {Object} The run (pass its id to recordUser / finish)
+   */
+  start({ trigger = 'api', requestedUsers = null } = {}) {
+    this.prune();
+
+    const run = {
+      id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      trigger,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      requestedUsers,
+      counters: {},
+      error: null,
+      users: []
+    };
+    this.runs.push(run);
+    this._save();
+    return run;
+  }
+
+  /**
+   * Record one user's outcome (kept in memory until the run finishes)
+   *
+   * @param {string} runId
+   * @param {Object} user - Monday user ({ id, name, email })
+   * @param {Object} outcome - { status: 'sent'|'updated'|'skipped'|'failed', reason?, error?, durationMs?, taskCount? }
+   */
+  recordUser(runId, user, outcome) {
+    const run = this.get(runId);
+    if (!run) return;
+
+    run.users.push({
+      userId: user.id != null ? String(user.id) : null,
+      name: user.name || null,
+      email: user.email || null,
+      ...outcome
+    });
+  }
+
+  /**
+   * Record the end of a run
+   *
+   * @param {string} runId
+   * @param {Object} [result]
+   * @param {Object} [result.counters] - Run counters (users processed, messages sent, ...)
+   * @param {Error} [result.error] - Set when the run as a whole failed
+   */
+  finish(runId, { counters = {}, error = null } = {}) {
+    const run = this.get(runId);
+    if (!run) return;
+
+    run.status = error ? 'failed' : 'completed';
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+    run.counters = counters;
+    run.error = error ? error.message : null;
+    this._save();
+  }
+
+  get(runId) {
+    return this.runs.find(run => run.id === runId);
+  }
+
+  /**
+   * Recent runs, newest first, without the per-user outcomes
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   * @param {string} [options.user] - Monday user id or email; only runs that included
+   *   this user are returned, each with that user's outcome
+   * @returns {Array<Object>}
+   */
+  list({ limit = 20, user } = {}) {
+    const wanted = user ? String(user).toLowerCase() : null;
+    const summaries = [];
+
+    for (const run of [...this.runs].reverse()) {
+      const { users, ...summary } = run;
+      summary.userCount = users.length;
+
+      if (wanted) {
+        const outcome = users.find(u => u.userId === wanted || (u.email && u.email.toLowerCase() === wanted));
+        if (!outcome) continue;
+        summary.user = outcome;
+      }
+
+      summaries.push(summary);
+      if (summaries.length >= limit) break;
+    }
+    return summaries;
+  }
+
+  get size() {
+    return this.runs.length;
+  }
+
+  /**
+   * Drop runs started before the retention period
+   *
+   * @param {number} [now] - Current time in ms (for tests)
+   * @returns {number} Number of runs removed
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const before = this.runs.length;
+    this.runs = this.runs.filter(run => Date.parse(run.startedAt) >= cutoff);
+
+    const removed = before - this.runs.length;
+    if (removed > 0) {
+      this._save();
+      console.log(`[RunHistory] Pruned ${removed} runs older than ${this.retentionDays} days`);
+    }
+    return removed;
+  }
+}
+
+// Singleton instance
+const runHistory = new RunHistory();
+
+module.exports = runHistory;
+module.exports.RunHistory = RunHistory;
@@ -1,16 +1,10 @@
 const { App } = require('@slack/bolt');
-const axios = require('axios');
-
-// Configuration
-const MONDAY_API_KEY = process.env.MONDAY_API_KEY;
-
-const mondayAxios = axios.create({
-  baseURL: 'https://api.monday.com/v2',
-  headers: {
-    'Authorization': MONDAY_API_KEY,
-    'Content-Type': 'application/json'
-  }
-});
+const mondayClient = require('./mondayClient');
+const { encode, getStatusLabels } = require('./columnCodec');
+const mondayLinks = require('./mondayLinks');
+const columnMapping = require('./columnMapping');
+const tasksCommand = require('./tasksCommand');
+const { validateBoardId, validateId, validateDate } = require('./utils/validation');
 
 // Logger helper
 const logger = {
@@ -117,49 +111,15 @@ async function prewarmCache() {
 // MONDAY.COM API FUNCTIONS
 // ============================================
 
-// Monday.com GraphQL helper
-async function mondayQuery(query) {
-  try {
-    const response = await mondayAxios.post('', { query });
-    if (response.data.errors) {
-      throw new Error(JSON.stringify(response.data.errors));
-    }
-    return response.data.data;
-  } catch (error) {
-    logger.error('Monday.com API error', error);
-    throw error;
-  }
-}
-
-// Get all boards
+// Get the configured workspaces' boards, without subitem boards (see tasksCommand)
 async function getAllBoards() {
-  const query = `
-    query {
-      boards(limit: 50) {
-        id
-        name
-        workspace {
-          id
-          name
-        }
-        columns {
-          id
-          title
-          type
-          settings_str
-        }
-      }
-    }
-  `;
-  
-  const data = await mondayQuery(query);
-  return data.boards;
+  return tasksCommand.getAllBoards();
 }
 
 // Get users for assignment
 async function getUsers() {
   const query = `
-    query {
+    query GetUsers {
       users {
         id
         name
@@ -169,61 +129,46 @@ async function getUsers() {
     }
   `;
   
-  const data = await mondayQuery(query);
+  const data = await mondayClient.query(query);
   return data.users.filter(u => u.enabled);
 }
 
 // Create a new task on Monday.com
 async function createMondayTask(boardId, taskName, assigneeIds, dueDate, status) {
-  const columns = await getBoardColumns(boardId);
-  const peopleColumn = columns.find(c => c.type === 'people');
-  const dateColumn = columns.find(c => c.type === 'date');
-  const statusColumn = columns.find(c => c.type === 'status');
+  const board = await getBoardWithColumns(boardId);
+  const { assignee: peopleColumn, dueDate: dateColumn, status: statusColumn } =
+    columnMapping.resolve(board, board.columns);
   
   // Build column values
   const columnValues = {};
   
   // Add assignees
   if (peopleColumn && assigneeIds && assigneeIds.length > 0) {
-    columnValues[peopleColumn.id] = {
-      personsAndTeams: assigneeIds.map(id => ({
-        id: parseInt(id),
-        kind: 'person'
-      }))
-    };
+    columnValues[peopleColumn.id] = encode('people', assigneeIds, peopleColumn.id);
   }
   
   // Add due date
   if (dateColumn && dueDate) {
-    columnValues[dateColumn.id] = {
-      date: dueDate
-    };
+    columnValues[dateColumn.id] = encode('date', dueDate, dateColumn.id);
   }
   
   // Add status
   if (statusColumn && status) {
-    const statusSettings = JSON.parse(statusColumn.settings_str || '{}');
-    const statusLabels = statusSettings.labels || {};
-    const matchingStatus = Object.entries(statusLabels).find(
-      ([_, label]) => label.toLowerCase() === status.toLowerCase()
+    const matchingStatus = getStatusLabels(statusColumn).find(
+      ({ label }) => label.toLowerCase() === status.toLowerCase()
     );
     
     if (matchingStatus) {
-      columnValues[statusColumn.id] = {
-        label: matchingStatus[1]
-      };
+      columnValues[statusColumn.id] = encode('status', { label: matchingStatus.label }, statusColumn.id);
     }
   }
   
-  const columnValuesStr = JSON.stringify(columnValues)
-    .replace(/"/g, '\\"');
-  
   const mutation = `
-    mutation {
+    mutation CreateItem($boardId: ID!, $itemName: String!, $columnValues: JSON) {
       create_item(
-        board_id: ${boardId},
-        item_name: "${taskName.replace(/"/g, '\\"')}",
-        column_values: "${columnValuesStr}"
+        board_id: $boardId,
+        item_name: $itemName,
+        column_values: $columnValues
       ) {
         id
         name
@@ -235,15 +180,24 @@ async function createMondayTask(boardId, taskName, assigneeIds, dueDate, status)
     }
   `;
   
-  const data = await mondayQuery(mutation);
+  const data = await mondayClient.query(mutation, {
+    variables: {
+      boardId,
+      itemName: taskName,
+      columnValues: JSON.stringify(columnValues)
+    }
+  });
   return data.create_item;
 }
 
-// Get board columns
-async function getBoardColumns(boardId) {
+// Get a board with its columns
+async function getBoardWithColumns(boardId) {
   const query = `
-    query {
-      boards(ids: [${boardId}]) {
+    query GetBoardColumns($boardId: ID!) {
+      boards(ids: [$boardId]) {
+        id
+        name
+        type
         columns {
           id
           title
@@ -254,8 +208,8 @@ async function getBoardColumns(boardId) {
     }
   `;
   
-  const data = await mondayQuery(query);
-  return data.boards[0].columns;
+  const data = await mondayClient.query(query, { variables: { boardId } });
+  return data.boards[0];
 }
 
 // ============================================
@@ -485,10 +439,10 @@ function initializeSlackCommands(slackApp) {
           }
         });
 
-        const taskName = values.task_name;
-        const boardId = values.board_select;
-        const assignees = values.assignees || [];
-        const dueDate = values.due_date;
+        const taskName = values.task_name?.trim();
+        const boardId = validateBoardId(values.board_select);
+        const assignees = (values.assignees || []).map(validateId).filter(Boolean);
+        const dueDate = validateDate(values.due_date) ? values.due_date : null;
 
         if (!taskName || !boardId) {
           await client.chat.postEphemeral({
@@ -545,7 +499,7 @@ function initializeSlackCommands(slackApp) {
                     type: 'plain_text',
                     text: '📱 View on Monday.com'
                   },
-                  url: `https://drexcorp-company.monday.com/boards/${createdTask.board.id}/pulses/${createdTask.id}`,
+                  url: mondayLinks.itemUrl(createdTask.board.id, createdTask.id),
                   style: 'primary'
                 }
               ]
@@ -685,7 +639,7 @@ function initializeSlackCommands(slackApp) {
                   type: 'plain_text',
                   text: '📱 View on Monday.com'
                 },
-                url: `https://drexcorp-company.monday.com/boards/${createdTask.board.id}/pulses/${createdTask.id}`,
+                url: mondayLinks.itemUrl(createdTask.board.id, createdTask.id),
                 style: 'primary'
               }
             ]
@@ -745,6 +699,20 @@ function initializeSlackCommands(slackApp) {
             text: '`/quick-task [task name]`\nQuickly create a task with just a name'
           }
         },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '`/monday-prefs`\nChoose when your daily digest arrives, which boards it covers, or pause it'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '`/monday-link @user [Monday.com user]`\nAdmins: link a Slack user whose Monday.com email is different'
+          }
+        },
         {
           type: 'section',
           text: {
@@ -1,18 +1,15 @@
-const axios = require('axios');
+const mondayClient = require('./mondayClient');
+const { decodeColumn, getDoneIndexes, parseSettings } = require('./columnCodec');
+const columnMapping = require('./columnMapping');
+const userPreferences = require('./userPreferences');
+const { matchesBoardFilters } = userPreferences;
+const identityMap = require('./identityMap');
+const { getDueAt, parsePages, renderTaskList } = require('./messageFormatter');
+const { templates } = require('./messageTemplates');
+const { isToday, isOverdue, isWithinDays } = require('./utils/date-utils');
 const path = require('path');
 const workspacesConfig = require(path.join(__dirname, '../config/workspaces.json'));
 
-// Configuration
-const MONDAY_API_KEY = process.env.MONDAY_API_KEY;
-
-const mondayAxios = axios.create({
-  baseURL: 'https://api.monday.com/v2',
-  headers: {
-    'Authorization': MONDAY_API_KEY,
-    'Content-Type': 'application/json'
-  }
-});
-
 // Logger
 const logger = {
   info: (msg, data = {}) => {
@@ -23,6 +20,14 @@ const logger = {
       timestamp: new Date().toISOString() 
     }));
   },
+  warn: (msg, data = {}) => {
+    console.log(JSON.stringify({ 
+      level: 'warn', 
+      message: msg, 
+      data, 
+      timestamp: new Date().toISOString() 
+    }));
+  },
   error: (msg, error = {}) => {
     console.error(JSON.stringify({ 
       level: 'error', 
@@ -34,128 +39,258 @@ const logger = {
   }
 };
 
-// Monday.com GraphQL helper
-async function mondayQuery(query) {
-  try {
-    const response = await mondayAxios.post('', { query });
-    if (response.data.errors) {
-      throw new Error(JSON.stringify(response.data.errors));
-    }
-    return response.data.data;
-  } catch (error) {
-    logger.error('Monday.com API error', error);
-    throw error;
-  }
+const TASKS_PAGE_ACTION = 'tasks_page'; // "Show more" in /tasks sections, + `_${section}`
+const SUBITEM_FIELDS = 'id name updated_at column_values { id text value type } parent_item { id name }';
+const GET_SUBITEM_BOARD = `query GetSubitemBoard($boardId: ID!) { boards(ids: [$boardId]) { id name type columns { id title type settings_str } } }`;
+
+// Record a run-report warning once, however many users hit the same board
+function addWarning(warnings, warning) {
+  if (!warnings || warnings.some(w => w.message === warning.message)) return;
+  warnings.push(warning);
 }
 
-// Get all boards from all workspaces
-async function getAllBoards() {
+// Get all boards from all workspaces, following board pages up to the safety cap.
+// The daily run passes priority 'batch' so slash commands are scheduled ahead of it.
+async function getAllBoards({ warnings, priority } = {}) {
   const workspaceIds = workspacesConfig.workspaceIds;
   const allBoards = [];
   
   for (const workspaceId of workspaceIds) {
-    const query = `
-      query {
-        boards(workspace_ids: [${workspaceId}], limit: 50) {
-          id
-          name
-          columns {
-            id
-            title
-            type
-            settings_str
-          }
-        }
-      }
-    `;
-    const data = await mondayQuery(query);
-    allBoards.push(...data.boards);
+    // Board structure rarely changes, so pages are served from the shared cache
+    const { boards, truncated } = await mondayClient.paginateBoards({
+      workspaceIds: [workspaceId],
+      fields: 'id name type workspace { id name } columns { id title type settings_str }',
+      cache: true,
+      priority
+    });
+    // Subitem boards are read through their parent board (see getSubitemBoard)
+    allBoards.push(...boards
+      .filter(b => b.type !== 'sub_items_board')
+      .map(b => ({ ...b, workspaceId: String(workspaceId) })));
+
+    if (truncated) {
+      logger.warn(`Board listing for workspace ${workspaceId} hit the page cap`);
+      addWarning(warnings, {
+        type: 'board_page_cap',
+        workspaceId,
+        message: `Workspace ${workspaceId}: board listing stopped at the safety cap, some boards were skipped`
+      });
+    }
   }
   
   return allBoards;
 }
 
-// Get incomplete tasks for a user on a specific board
-async function getUserTasksFromBoard(board, userId) {
+// Status, people, date and priority columns of a board (see columnMapping);
+// null when it can't hold assigned tasks
+function getTaskColumns(board) {
+  const { status: statusColumn, assignee: peopleColumn, dueDate: dateColumn, priority: priorityColumn } =
+    columnMapping.resolve(board, board.columns);
+
+  if (!statusColumn || !peopleColumn) return null;
+
+  return { statusColumn, peopleColumn, dateColumn, priorityColumn, doneIndexes: getDoneIndexes(statusColumn) };
+}
+
+// Person IDs assigned to an item (teams are ignored)
+function getAssigneeIds(item, peopleColumn) {
+  return decodeColumn(item, peopleColumn)?.personIds || [];
+}
+
+function isOpen(item, { statusColumn, doneIndexes }) {
+  const status = decodeColumn(item, statusColumn);
+  return !status || !doneIndexes.includes(status.index);
+}
+
+// Subitems keep their own (subitem) board ID so task actions update the right board
+function toTask(item, board, { statusColumn, dateColumn, priorityColumn }) {
+  const due = dateColumn ? decodeColumn(item, dateColumn) : null;
+  const priority = priorityColumn ? decodeColumn(item, priorityColumn) : null;
+
+  return {
+    id: item.id,
+    name: item.name,
+    boardName: board.name,
+    boardId: board.id,
+    dueDate: due?.date || null,
+    dueTime: due?.time || null, // HH:MM:SS UTC, for date-and-time values
+    status: decodeColumn(item, statusColumn)?.label || 'No Status',
+    priority: priority?.label || null,
+    workspaceId: board.workspaceId || null,
+    parentBoardId: board.parentBoardId || null,
+    parentId: item.parent_item?.id || null,
+    parentName: item.parent_item?.name || null
+  };
+}
+
+// Page through a board's items with the given server-side rules, recording cap warnings
+async function fetchBoardItems(board, rules, { warnings, priority } = {}) {
+  const { items, truncated } = await mondayClient.paginateItems(board.id, {
+    fields: board.parentBoardId ? SUBITEM_FIELDS : undefined,
+    queryParams: rules.length > 0 ? { rules, operator: 'and' } : undefined,
+    priority
+  });
+
+  if (truncated) {
+    logger.warn(`Board ${board.name} hit the item cap, remaining items were skipped`);
+    addWarning(warnings, {
+      type: 'item_cap',
+      boardId: board.id,
+      message: `Board ${board.name} (${board.id}): item pagination stopped at the safety cap, some tasks were skipped`
+    });
+  }
+
+  return items;
+}
+
+// Subitems live on their own board, linked from the parent board's subtasks column.
+// Returns that board (listed under the parent board's name) or null.
+async function getSubitemBoard(board, { priority } = {}) {
+  const subtasksColumn = board.columns.find(c => c.type === 'subtasks');
+  const subitemBoardId = subtasksColumn && parseSettings(subtasksColumn).boardIds?.[0];
+  if (!subitemBoardId) return null;
+
   try {
-    const statusColumn = board.columns.find(c => c.type === 'status');
-    const peopleColumn = board.columns.find(c => c.type === 'people');
-    const dateColumn = board.columns.find(c => c.type === 'date');
-    
-    if (!statusColumn || !peopleColumn) {
+    const data = await mondayClient.query(GET_SUBITEM_BOARD, {
+      variables: { boardId: String(subitemBoardId) },
+      cache: true,
+      priority
+    });
+    const subitemBoard = data.boards[0];
+    if (!subitemBoard) return null;
+
+    // Listed under the parent's name; `type` keeps column mapping to the subitem board's own ID
+    return {
+      id: subitemBoard.id,
+      name: board.name,
+      type: subitemBoard.type || 'sub_items_board',
+      columns: subitemBoard.columns,
+      parentBoardId: board.id,
+      workspaceId: board.workspaceId
+    };
+  } catch (error) {
+    logger.error(`Error fetching subitem board for ${board.name}`, error);
+    return null;
+  }
+}
+
+// The board plus its subitem board, when it has one
+async function withSubitemBoard(board, options) {
+  const subitemBoard = await getSubitemBoard(board, options);
+  return subitemBoard ? [board, subitemBoard] : [board];
+}
+
+// items_page rules for items not in a done status; none when the status column has no done labels
+function openRules({ statusColumn, doneIndexes }) {
+  return doneIndexes.length === 0
+    ? []
+    : [{ column_id: statusColumn.id, compare_value: doneIndexes, operator: 'not_any_of' }];
+}
+
+async function getUserTasksFromSingleBoard(board, userId, options) {
+  try {
+    const columns = getTaskColumns(board);
+    if (!columns) {
       return [];
     }
     
-    const query = `
-      query {
-        boards(ids: [${board.id}]) {
-          items_page(limit: 100) {
-            items {
-              id
-              name
-              column_values {
-                id
-                text
-                value
-                type
-              }
-            }
-          }
-        }
-      }
-    `;
-    
-    const data = await mondayQuery(query);
-    const items = data.boards[0]?.items_page?.items || [];
-    
-    const userTasks = items.filter(item => {
-      const peopleValue = item.column_values.find(cv => cv.id === peopleColumn.id);
-      if (!peopleValue || !peopleValue.value) return false;
-      
-      const peopleData = JSON.parse(peopleValue.value || '{}');
-      const isAssignedToUser = peopleData.personsAndTeams?.some(p => 
-        p.id === parseInt(userId) && p.kind === 'person'
-      );
-      
-      if (!isAssignedToUser) return false;
-      
-      const statusValue = item.column_values.find(cv => cv.id === statusColumn.id);
-      if (!statusValue) return true;
-      
-      const statusData = JSON.parse(statusValue.value || '{}');
-      const statusSettings = JSON.parse(statusColumn.settings_str || '{}');
-      const doneColors = statusSettings.done_colors || [1];
-      
-      return !doneColors.includes(statusData.index);
-    });
-    
-    return userTasks.map(task => {
-      const dateValue = task.column_values.find(cv => cv.id === dateColumn?.id);
-      const dateData = dateValue ? JSON.parse(dateValue.value || '{}') : {};
-      
-      return {
-        id: task.id,
-        name: task.name,
-        boardName: board.name,
-        boardId: board.id,
-        dueDate: dateData.date || null,
-        status: task.column_values.find(cv => cv.id === statusColumn.id)?.text || 'No Status'
-      };
-    });
+    // Let Monday.com return only this user's items that are not in a done status
+    const items = await fetchBoardItems(board, [
+      { column_id: columns.peopleColumn.id, compare_value: [`person-${userId}`], operator: 'any_of' },
+      ...openRules(columns)
+    ], options);
+
+    // Same checks locally, so a response that ignored query_params can't leak other users' tasks
+    return items
+      .filter(item => getAssigneeIds(item, columns.peopleColumn).includes(String(userId)) && isOpen(item, columns))
+      .map(item => toTask(item, board, columns));
   } catch (error) {
     logger.error(`Error fetching tasks from board ${board.name}`, error);
     return [];
   }
 }
 
-// Organize tasks by date categories
-function organizeTasks(tasks) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const oneWeekFromNow = new Date(today);
-  oneWeekFromNow.setDate(today.getDate() + 7);
-  
+// Get incomplete tasks (and subitems) for a user on a specific board
+async function getUserTasksFromBoard(board, userId, options = {}) {
+  const tasks = [];
+  for (const source of await withSubitemBoard(board, options)) {
+    tasks.push(...await getUserTasksFromSingleBoard(source, userId, options));
+  }
+  return tasks;
+}
+
+// Open tasks of a user on the boards their preferences include (/monday-prefs)
+async function getOpenTasksForUser(userId, prefs, options = {}) {
+  const boards = (await getAllBoards(options))
+    .filter(board => matchesBoardFilters({ boardId: board.id, workspaceId: board.workspaceId }, prefs));
+  const tasks = [];
+  for (const board of boards) {
+    tasks.push(...await getUserTasksFromBoard(board, userId, options));
+  }
+  return tasks;
+}
+
+// Read each board's matching items (and subitems) once and index them by assignee
+// (Monday user ID -> tasks). `rules(columns)` filters on Monday.com's side and
+// `keep(item, columns)` checks the same locally. Boards whose `rules` are null are skipped.
+async function indexTasksByAssignee(boards, { rules, keep, extend = () => ({}) }, options = {}) {
+  const tasksByAssignee = new Map();
+
+  for (const parentBoard of boards) {
+    for (const board of await withSubitemBoard(parentBoard, options)) {
+      try {
+        const columns = getTaskColumns(board);
+        if (!columns) continue;
+
+        const boardRules = rules(columns);
+        if (!boardRules) continue;
+
+        const items = await fetchBoardItems(board, boardRules, options);
+
+        for (const item of items.filter(i => keep(i, columns))) {
+          const task = { ...toTask(item, board, columns), ...extend(item) };
+          for (const assigneeId of getAssigneeIds(item, columns.peopleColumn)) {
+            if (!tasksByAssignee.has(assigneeId)) tasksByAssignee.set(assigneeId, []);
+            tasksByAssignee.get(assigneeId).push(task);
+          }
+        }
+      } catch (error) {
+        logger.error(`Error fetching tasks from board ${board.name}`, error);
+      }
+    }
+  }
+
+  return tasksByAssignee;
+}
+
+// Open items by assignee. The daily run renders every user's digest from this
+// index, so its Monday.com calls scale with the number of boards rather than boards x users.
+async function getOpenTasksByAssignee(boards, options = {}) {
+  return indexTasksByAssignee(boards, {
+    rules: openRules,
+    keep: isOpen
+  }, options);
+}
+
+// Items in a done status that were last updated at or after `since`, by assignee.
+// Monday.com has no completion timestamp, so the last update stands in for it
+// (`completedAt` on each task).
+async function getCompletedTasksByAssignee(boards, since, options = {}) {
+  const sinceMs = new Date(since).getTime();
+  return indexTasksByAssignee(boards, {
+    // A status column without done labels can't have completed items
+    rules: columns => columns.doneIndexes.length === 0
+      ? null
+      : [{ column_id: columns.statusColumn.id, compare_value: columns.doneIndexes, operator: 'any_of' }],
+    keep: (item, columns) => !isOpen(item, columns) && Date.parse(item.updated_at) >= sinceMs,
+    extend: item => ({ completedAt: item.updated_at })
+  }, options);
+}
+
+// Organize tasks by date categories; `upcomingDays` is the user's upcoming window.
+// Days are calendar days in the recipient's `timeZone` (default: the server's), and
+// a date-and-time value is overdue as soon as its time has passed.
+function organizeTasks(tasks, { upcomingDays = 7, timeZone, now = new Date() } = {}) {
   const categorized = {
     overdue: [],
     dueToday: [],
@@ -169,14 +304,15 @@ function organizeTasks(tasks) {
       return;
     }
     
-    const taskDate = new Date(task.dueDate);
-    taskDate.setHours(0, 0, 0, 0);
+    const dueAt = getDueAt(task, timeZone);
     
-    if (taskDate < today) {
+    if (!dueAt) {
+      categorized.noDueDate.push(task);
+    } else if (isOverdue(dueAt, timeZone, now) || (task.dueTime && dueAt < now)) {
       categorized.overdue.push(task);
-    } else if (taskDate.getTime() === today.getTime()) {
+    } else if (isToday(dueAt, timeZone, now)) {
       categorized.dueToday.push(task);
-    } else if (taskDate <= oneWeekFromNow) {
+    } else if (isWithinDays(dueAt, upcomingDays, timeZone, now)) {
       categorized.upcoming.push(task);
     } else {
       categorized.noDueDate.push(task);
@@ -186,7 +322,7 @@ function organizeTasks(tasks) {
   const sortByDate = (a, b) => {
     if (!a.dueDate) return 1;
     if (!b.dueDate) return -1;
-    return new Date(a.dueDate) - new Date(b.dueDate);
+    return getDueAt(a, timeZone) - getDueAt(b, timeZone);
   };
   
   categorized.overdue.sort(sortByDate);
@@ -196,152 +332,59 @@ function organizeTasks(tasks) {
   return categorized;
 }
 
-// Format task message for Slack
-function formatTaskMessage(tasks, userName) {
-  const now = new Date();
-  const blocks = [
-    {
-      type: 'header',
-      text: {
-        type: 'plain_text',
-        text: `📋 ${userName}'s Tasks`,
-        emoji: true
-      }
-    },
-    {
-      type: 'context',
-      elements: [{
-        type: 'mrkdwn',
-        text: `*Updated:* ${now.toLocaleString('en-US')}`
-      }]
-    },
-    { type: 'divider' }
-  ];
-  
-  if (tasks.overdue.length > 0) {
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*🔴 Overdue (${tasks.overdue.length})*`
-      }
-    });
-    
-    tasks.overdue.slice(0, 5).forEach(task => {
-      const dueDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : 'No date';
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*${task.name}*\n📅 ${dueDate} | 📍 ${task.boardName}`
-        }
-      });
-    });
-  }
-  
-  if (tasks.dueToday.length > 0) {
-    blocks.push({ type: 'divider' });
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*🟡 Due Today (${tasks.dueToday.length})*`
-      }
-    });
-    
-    tasks.dueToday.forEach(task => {
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*${task.name}*\n📍 ${task.boardName}`
-        }
-      });
-    });
-  }
-  
-  if (tasks.upcoming.length > 0) {
-    blocks.push({ type: 'divider' });
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*🟢 Upcoming This Week (${tasks.upcoming.length})*`
-      }
-    });
-    
-    tasks.upcoming.slice(0, 5).forEach(task => {
-      const dueDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : 'No date';
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*${task.name}*\n📅 ${dueDate} | 📍 ${task.boardName}`
-        }
-      });
-    });
-  }
-  
-  if (tasks.overdue.length === 0 && tasks.dueToday.length === 0 && tasks.upcoming.length === 0) {
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: '✨ *No tasks due this week!*'
-      }
-    });
-  }
-  
-  blocks.push(
-    { type: 'divider' },
-    {
-      type: 'actions',
-      elements: [{
-        type: 'button',
-        text: {
-          type: 'plain_text',
-          text: '📱 Open Monday.com',
-          emoji: true
-        },
-        url: 'https://drexcorp-company.monday.com',
-        style: 'primary'
-      }]
-    }
-  );
-  
-  return { blocks };
+// Format task message for Slack from the taskList template; `options` are the user's
+// { upcomingDays, showNoDueDate } plus their `timeZone` and the section `pages` to show
+function formatTaskMessage(tasks, userName, options = {}) {
+  return renderTaskList(templates.taskList, tasks, userName, options, TASKS_PAGE_ACTION);
 }
 
-// Get Monday user by Slack user ID
+// Get Monday user by Slack user ID (linked in identityMap, or matched by email)
 async function getMondayUserBySlackUser(slackUserId, slackClient) {
   try {
-    // Get Slack user's email
-    const slackUser = await slackClient.users.info({ user: slackUserId });
-    const email = slackUser.user.profile.email;
-    
-    // Find Monday.com user by email
-    const query = `
-      query {
-        users {
-          id
-          name
-          email
-          enabled
-        }
-      }
-    `;
-    
-    const data = await mondayQuery(query);
-    const users = data.users.filter(u => u.enabled);
-    const mondayUser = users.find(u => u.email === email);
-    
-    return mondayUser;
+    return await identityMap.findMondayUser(slackUserId, slackClient);
   } catch (error) {
     logger.error('Error getting Monday user', error);
     return null;
   }
 }
 
+// Slack timezone of a user, for their due dates; DIGEST_DEFAULT_TZ (or the server's) if unknown
+async function getSlackTimezone(slackUserId, slackClient) {
+  try {
+    const { user } = await slackClient.users.info({ user: slackUserId });
+    return user.tz || process.env.DIGEST_DEFAULT_TZ;
+  } catch (error) {
+    logger.error('Error getting Slack timezone', error);
+    return process.env.DIGEST_DEFAULT_TZ;
+  }
+}
+
+// The /tasks reply for a Slack user, showing the given section `pages`
+async function buildTaskList(slackUserId, client, pages) {
+  // Get Monday user from Slack user
+  const mondayUser = await getMondayUserBySlackUser(slackUserId, client);
+  
+  if (!mondayUser) {
+    return {
+      text: '❌ Could not find your Monday.com account. Make sure your Slack email matches your Monday.com email, or ask a Slack admin to link your account with `/monday-link`.'
+    };
+  }
+  
+  // Fetch their tasks on the boards they want (see /monday-prefs)
+  const prefs = userPreferences.get(mondayUser.id);
+  const allUserTasks = await getOpenTasksForUser(mondayUser.id, prefs);
+  
+  logger.info(`Found ${allUserTasks.length} tasks for user`, { 
+    userId: mondayUser.id, 
+    userName: mondayUser.name 
+  });
+  
+  // Organize and format tasks by the user's own calendar days
+  const options = { ...prefs, timeZone: await getSlackTimezone(slackUserId, client), pages };
+  const organizedTasks = organizeTasks(allUserTasks, options);
+  return formatTaskMessage(organizedTasks, mondayUser.name, options);
+}
+
 // Register /tasks command
 function registerTasksCommand(slackApp) {
   slackApp.command('/tasks', ({ command, ack, respond, client }) => {
@@ -360,39 +403,9 @@ function registerTasksCommand(slackApp) {
         response_type: 'ephemeral'
       });
       
-      // Get Monday user from Slack user
-      const mondayUser = await getMondayUserBySlackUser(command.user_id, client);
-      
-      if (!mondayUser) {
-        await respond({
-          text: '❌ Could not find your Monday.com account. Make sure your Slack email matches your Monday.com email.',
-          response_type: 'ephemeral',
-          replace_original: true
-        });
-        return;
-      }
-      
-      // Get all boards and fetch user's tasks
-      const boards = await getAllBoards();
-      let allUserTasks = [];
-      
-      for (const board of boards) {
-        const tasks = await getUserTasksFromBoard(board, mondayUser.id);
-        allUserTasks.push(...tasks);
-      }
-      
-      logger.info(`Found ${allUserTasks.length} tasks for user`, { 
-        userId: mondayUser.id, 
-        userName: mondayUser.name 
-      });
-      
-      // Organize and format tasks
-      const organizedTasks = organizeTasks(allUserTasks);
-      const message = formatTaskMessage(organizedTasks, mondayUser.name);
-      
       // Send task list
       await respond({
-        ...message,
+        ...await buildTaskList(command.user_id, client),
         replace_original: true,
         response_type: 'ephemeral'
       });
@@ -413,10 +426,38 @@ function registerTasksCommand(slackApp) {
   logger.info('/tasks command registered');
 }
 
+// Register the "Show more" buttons of /tasks sections; the list is fetched again
+// and the ephemeral reply replaced with the requested pages
+function registerTaskListPaging(slackApp) {
+  slackApp.action(new RegExp(`^${TASKS_PAGE_ACTION}_`), async ({ action, ack, body, respond, client }) => {
+    await ack();
+
+    try {
+      await respond({
+        ...await buildTaskList(body.user.id, client, parsePages(action.value)),
+        replace_original: true,
+        response_type: 'ephemeral'
+      });
+    } catch (error) {
+      logger.error('Error paging /tasks', error);
+      await respond({
+        text: '❌ Sorry, there was an error fetching your tasks. Please try again.',
+        response_type: 'ephemeral',
+        replace_original: false
+      });
+    }
+  });
+}
+
 module.exports = {
   registerTasksCommand,
+  registerTaskListPaging,
   organizeTasks,
   formatTaskMessage,
   getAllBoards,
-  getUserTasksFromBoard
+  getUserTasksFromBoard,
+  getOpenTasksForUser,
+  getOpenTasksByAssignee,
+  getCompletedTasksByAssignee,
+  getMondayUserBySlackUser
 };
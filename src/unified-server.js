@@ -1,26 +1,49 @@
 require('dotenv').config();
 const { App, ExpressReceiver } = require('@slack/bolt');
 const { WebClient } = require('@slack/web-api');
-const axios = require('axios');
 const express = require('express');
 const path = require('path');
 
 // Import command modules
 const { initializeSlackCommands, prewarmCache } = require('./slackCommands');
-const { registerTasksCommand } = require('./tasksCommand');
+const { registerTasksCommand, registerTaskListPaging, getAllBoards, getOpenTasksByAssignee, getOpenTasksForUser } = require('./tasksCommand');
+const { registerPreferencesCommand } = require('./preferencesCommand');
+const { registerLinkCommand } = require('./linkCommand');
 const { handleWebhook } = require('./webhookHandler');
-const { formatSlackMessage } = require('./messageFormatter');
 
 // Import utility modules for optimization
-const errorHandler = require('./utils/errorHandler');
+const mondayClient = require('./mondayClient');
+const mondayLinks = require('./mondayLinks');
+const columnMapping = require('./columnMapping');
+const messageStore = require('./messageStore');
+const runHistory = require('./runHistory');
+const runCheckpoint = require('./runCheckpoint');
+const userPreferences = require('./userPreferences');
+const { wantsDigest } = userPreferences;
+const identityMap = require('./identityMap');
+const { buildUserDigest, parseEmailList, selectUsersByEmail } = require('./digestBuilder');
+const { DigestScheduler, getLocalTime } = require('./digestScheduler');
+const { WeeklySummary, registerWeeklySummary, formatTeamSummary } = require('./weeklySummary');
+const { EndOfDayRecap } = require('./endOfDayRecap');
+const { DigestRefresher, digestKey } = require('./digestRefresher');
+const { DIGEST_PAGE_ACTION, parsePages } = require('./messageFormatter');
+const { encode, decodeColumn, decode, getDoneIndexes, getStatusLabels } = require('./columnCodec');
 const performanceMonitor = require('./utils/performanceMonitor');
 const { cache } = require('./utils/cacheManager');
+const { validateTaskId, validateBoardId, validateColumnId, validateDate } = require('./utils/validation');
+const { runPool } = require('./utils/workerPool');
+const { addCalendarDays, formatDate } = require('./utils/date-utils');
 
 // Configuration
-const MONDAY_API_KEY = process.env.MONDAY_API_KEY;
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
 const TEST_MODE = process.env.TEST_MODE === 'true';
+const MOCK_MODE = process.env.MOCK_MODE === 'true';
+const DIGEST_SCHEDULER_ENABLED = process.env.DIGEST_SCHEDULER_ENABLED === 'true';
+const RECAP_ENABLED = process.env.RECAP_ENABLED === 'true';
+const RECAP_LOCAL_HOUR = parseInt(process.env.RECAP_LOCAL_HOUR, 10);
+// Users whose digests are built and posted at the same time during a run
+const DIGEST_CONCURRENCY = Math.min(Math.max(parseInt(process.env.DIGEST_CONCURRENCY, 10) || 5, 1), 20);
 const PORT = process.env.PORT || 3000;
 
 // ============================================
@@ -67,6 +90,12 @@ const receiver = new ExpressReceiver({
 receiver.app.use(express.json());
 receiver.app.use(express.static(path.join(__dirname, '../public')));
 
+// Local Monday.com stand-in; mondayClient targets it when MOCK_MODE=true
+if (MOCK_MODE) {
+  const { createMockMondayRouter } = require('./mock/mondayMockServer');
+  receiver.app.use('/mock/monday', createMockMondayRouter());
+}
+
 // Initialize Slack app
 const app = new App({
   token: SLACK_BOT_TOKEN,
@@ -75,80 +104,30 @@ const app = new App({
 
 const slack = new WebClient(SLACK_BOT_TOKEN);
 
-// ============================================
-// MONDAY.COM API SETUP
-// ============================================
-const mondayAxios = axios.create({
-  baseURL: 'https://api.monday.com/v2',
-  headers: {
-    'Authorization': MONDAY_API_KEY,
-    'Content-Type': 'application/json'
-  }
-});
-
-async function mondayQuery(query, useCache = false) {
-  const timer = performanceMonitor.startTimer('mondayFetch');
-
-  try {
-    // Generate cache key if caching is enabled
-    const cacheKey = useCache ? cache.generateKey('mondayQuery', { query: query.substring(0, 100) }) : null;
-
-    // Try cache first
-    if (useCache && cacheKey) {
-      const cached = cache.get(cacheKey);
-      if (cached) {
-        performanceMonitor.endTimer(timer);
-        return cached;
-      }
-    }
-
-    // Use errorHandler retry logic for API calls
-    const result = await errorHandler.retry(async () => {
-      const response = await mondayAxios.post('', { query });
-      if (response.data.errors) {
-        throw new Error(JSON.stringify(response.data.errors));
-      }
-      return response.data.data;
-    }, 'Monday.com API');
-
-    // Cache the result if caching is enabled
-    if (useCache && cacheKey) {
-      cache.set(cacheKey, result);
-    }
-
-    const duration = performanceMonitor.endTimer(timer);
-    performanceMonitor.recordSuccess(duration, { operation: 'mondayQuery' });
-
-    return result;
-  } catch (error) {
-    const duration = performanceMonitor.endTimer(timer);
-    performanceMonitor.recordFailure(error, duration, { operation: 'mondayQuery' });
-
-    const formattedError = errorHandler.formatError(error, 'mondayQuery');
-    logger.error('Monday.com API error', formattedError);
-
-    throw error;
-  }
-}
-
 // ============================================
 // STORAGE & METRICS
 // ============================================
-const messageStore = new Map();
 const taskMetadata = new Map();
 const metrics = {
   usersProcessed: 0,
   usersSkipped: 0,
+  usersOptedOut: 0,
+  usersAlreadyDelivered: 0,
   tasksFound: 0,
   messagesUpdated: 0,
   messagesSent: 0,
   errors: 0,
+  warnings: [],
+  boardsScanned: 0,
+  concurrency: DIGEST_CONCURRENCY,
+  userTimings: [],
   webhooksReceived: 0,
   notificationsSent: 0,
   commandsProcessed: 0,
   asyncTasksQueued: 0,
   startTime: new Date(),
   lastRun: null,
+  lastRunId: null,
   cacheStats: null
 };
 
@@ -165,114 +144,53 @@ const logger = {
 // ============================================
 // MONDAY.COM QUERIES
 // ============================================
+// All values are passed as GraphQL variables - never interpolate into these strings
 const QUERIES = {
-  getUsers: `query { users { id name email enabled is_guest } }`,
-  getBoardsByWorkspace: (workspaceId) => `query { boards(workspace_ids: [${workspaceId}], limit: 50) { id name columns { id title type settings_str } } }`,
-  getBoardItems: (boardId) => `query { boards(ids: [${boardId}]) { items_page(limit: 100) { items { id name created_at updated_at column_values { id text value type } } } } }`
+  getUsers: `query GetUsers { users { id name email enabled is_guest } }`,
+  getBoard: `query GetBoard($boardId: ID!) { boards(ids: [$boardId]) { id name type columns { id title type settings_str } } }`,
+  getItem: `query GetItem($itemId: ID!) { items(ids: [$itemId]) { id name column_values { id text value type } } }`,
+  getItemDetails: `query GetItemDetails($itemId: ID!) { items(ids: [$itemId]) { id name created_at updated_at creator { name } parent_item { id name board { id } } column_values { id text value type } updates { id body created_at creator { name } } } }`,
+  changeColumnValue: `mutation ChangeColumnValue($boardId: ID!, $itemId: ID!, $columnId: String!, $value: JSON!) { change_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) { id } }`,
+  createUpdate: `mutation CreateUpdate($itemId: ID!, $body: String!) { create_update(item_id: $itemId, body: $body) { id } }`
 };
 
+// Set a column value; `value` comes from columnCodec.encode() and is serialized for the JSON! scalar
+async function changeColumnValue(boardId, itemId, columnId, value) {
+  return mondayClient.query(QUERIES.changeColumnValue, {
+    variables: { boardId, itemId, columnId, value: JSON.stringify(value) }
+  });
+}
+
+// Assignee, status, due date and priority columns of a board (see columnMapping)
+async function getTaskColumns(boardId) {
+  const data = await mondayClient.query(QUERIES.getBoard, { variables: { boardId } });
+  const board = data.boards[0] || { id: boardId, columns: [] };
+  return columnMapping.resolve(board, board.columns);
+}
+
 // ============================================
 // DAILY TASK AUTOMATION FUNCTIONS
 // ============================================
 async function getActiveUsers() {
   // Cache user list for 1 hour since it doesn't change often
-  const data = await mondayQuery(QUERIES.getUsers, true);
+  const data = await mondayClient.query(QUERIES.getUsers, { cache: true, priority: 'batch' });
   let users = data.users.filter(u => u.enabled && !u.is_guest && u.email);
   if (TEST_MODE) users = users.filter(u => u.id === '89455577');
   return users;
 }
 
-async function getAllBoards() {
-  const workspaceIds = [12742680, 12691809, 12666498];
-  const allBoards = [];
-  for (const workspaceId of workspaceIds) {
-    // Cache board structure for 1 hour since columns don't change often
-    const data = await mondayQuery(QUERIES.getBoardsByWorkspace(workspaceId), true);
-    allBoards.push(...data.boards);
-    await delay(500);
-  }
-  return allBoards;
-}
-
-async function getUserTasksFromBoard(board, userId) {
+// Post or edit a user's digest for today; `itemIds` are recorded for digestRefresher
+async function sendOrUpdateSlackMessage(user, slackMessage, itemIds = []) {
   try {
-    const statusColumn = board.columns.find(c => c.type === 'status');
-    const peopleColumn = board.columns.find(c => c.type === 'people');
-    const dateColumn = board.columns.find(c => c.type === 'date');
-    if (!statusColumn || !peopleColumn) return [];
-    
-    const data = await mondayQuery(QUERIES.getBoardItems(board.id));
-    const items = data.boards[0]?.items_page?.items || [];
-    
-    const userTasks = items.filter(item => {
-      const peopleValue = item.column_values.find(cv => cv.id === peopleColumn.id);
-      if (!peopleValue || !peopleValue.value) return false;
-      const peopleData = JSON.parse(peopleValue.value || '{}');
-      const isAssignedToUser = peopleData.personsAndTeams?.some(p => p.id === parseInt(userId) && p.kind === 'person');
-      if (!isAssignedToUser) return false;
-      const statusValue = item.column_values.find(cv => cv.id === statusColumn.id);
-      if (!statusValue) return true;
-      const statusData = JSON.parse(statusValue.value || '{}');
-      const statusSettings = JSON.parse(statusColumn.settings_str || '{}');
-      const doneColors = statusSettings.done_colors || [1];
-      return !doneColors.includes(statusData.index);
-    });
-    
-    return userTasks.map(task => {
-      const dateValue = task.column_values.find(cv => cv.id === dateColumn?.id);
-      const dateData = dateValue ? JSON.parse(dateValue.value || '{}') : {};
-      return {
-        id: task.id,
-        name: task.name,
-        boardName: board.name,
-        boardId: board.id,
-        dueDate: dateData.date || null,
-        status: task.column_values.find(cv => cv.id === statusColumn.id)?.text || 'No Status'
-      };
-    });
-  } catch (error) {
-    logger.error(`Error fetching tasks from board ${board.name}`, error);
-    return [];
-  }
-}
-
-function organizeTasks(tasks) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const oneWeekFromNow = new Date(today);
-  oneWeekFromNow.setDate(today.getDate() + 7);
-  const categorized = { overdue: [], dueToday: [], upcoming: [], noDueDate: [] };
-  tasks.forEach(task => {
-    if (!task.dueDate) {
-      categorized.noDueDate.push(task);
-      return;
+    const slackUserId = await identityMap.findSlackUserId(user, slack);
+    if (!slackUserId) {
+      metrics.usersSkipped++;
+      return { status: 'skipped', reason: 'users_not_found' };
     }
-    const taskDate = new Date(task.dueDate);
-    taskDate.setHours(0, 0, 0, 0);
-    if (taskDate < today) categorized.overdue.push(task);
-    else if (taskDate.getTime() === today.getTime()) categorized.dueToday.push(task);
-    else if (taskDate <= oneWeekFromNow) categorized.upcoming.push(task);
-    else categorized.noDueDate.push(task);
-  });
-  const sortByDate = (a, b) => {
-    if (!a.dueDate) return 1;
-    if (!b.dueDate) return -1;
-    return new Date(a.dueDate) - new Date(b.dueDate);
-  };
-  categorized.overdue.sort(sortByDate);
-  categorized.dueToday.sort(sortByDate);
-  categorized.upcoming.sort(sortByDate);
-  return categorized;
-}
-
-async function sendOrUpdateSlackMessage(user, slackMessage) {
-  try {
-    const slackUserResponse = await slack.users.lookupByEmail({ email: user.email });
-    const slackUserId = slackUserResponse.user.id;
     const dmResponse = await slack.conversations.open({ users: slackUserId });
     const channelId = dmResponse.channel.id;
     const today = new Date().toDateString();
-    const storeKey = `${user.id}-${today}`;
+    const storeKey = digestKey(user.id, today);
     const storedMessage = messageStore.get(storeKey);
     
     if (storedMessage && storedMessage.channelId === channelId) {
@@ -280,77 +198,264 @@ async function sendOrUpdateSlackMessage(user, slackMessage) {
         channel: channelId, 
         ts: storedMessage.messageTs, 
         blocks: slackMessage.blocks, 
-        text: `${user.name}'s Tasks` 
+        text: slackMessage.text 
       });
+      // The re-sent digest is back on the first page of every section
+      messageStore.set(storeKey, { ...storedMessage, userId: String(user.id), itemIds, pages: null, lastUpdated: new Date().toISOString() });
       metrics.messagesUpdated++;
+      return { status: 'updated' };
     } else {
       const response = await slack.chat.postMessage({ 
         channel: channelId, 
         blocks: slackMessage.blocks, 
-        text: `${user.name}'s Tasks` 
+        text: slackMessage.text 
       });
       messageStore.set(storeKey, { 
         channelId, 
         messageTs: response.ts, 
         date: today, 
-        lastUpdated: new Date().toISOString() 
+        lastUpdated: new Date().toISOString(),
+        userId: String(user.id),
+        itemIds
       });
       metrics.messagesSent++;
+      return { status: 'sent' };
     }
   } catch (error) {
-    if (error.data?.error === 'users_not_found' || error.data?.error === 'account_inactive') {
+    if (error.data?.error === 'account_inactive') {
       metrics.usersSkipped++;
-      return;
+      return { status: 'skipped', reason: error.data.error };
     }
     throw error;
   }
 }
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Slack timezone a user's digest is categorized in (cached for a day by the scheduler)
+async function getUserTimezone(user) {
+  return (await digestScheduler.getTimezone(user)) || digestScheduler.defaultTimezone;
+}
+
+// Today's weekday (0 = Sunday) in a user's Slack timezone, for the weekdays-only preference
+async function getUserWeekday(user, now = new Date()) {
+  try {
+    return getLocalTime(now, await getUserTimezone(user)).weekday;
+  } catch (error) {
+    return getLocalTime(now, digestScheduler.defaultTimezone).weekday;
+  }
+}
 
-async function runDailyAutomation() {
+// Send digests to all active users, or to `options.users` (the per-timezone scheduler).
+// `options.emails` narrows the active users to those addresses (POST /trigger?users=).
+// `options.onDelivered(user)` is called after each user's digest is posted or updated.
+// `options.trigger` ('api', 'scheduler' or 'resume') is recorded with the run in runHistory.
+// Runs for all users are checkpointed in runCheckpoint after every user, so users already
+// delivered today are skipped unless `options.force` is set. Runs for `options.emails`
+// always send to those users and only add them to the checkpoint; with `options.force`
+// they first clear just those users from it.
+async function runDailyAutomation(options = {}) {
   logger.info('🚀 Starting daily task automation');
   metrics.usersProcessed = 0;
   metrics.usersSkipped = 0;
+  metrics.usersOptedOut = 0;
+  metrics.usersAlreadyDelivered = 0;
   metrics.tasksFound = 0;
   metrics.messagesUpdated = 0;
   metrics.messagesSent = 0;
   metrics.errors = 0;
+  metrics.warnings = [];
+  metrics.boardsScanned = 0;
+  metrics.userTimings = [];
   metrics.startTime = new Date();
+  const run = runHistory.start({ trigger: options.trigger || 'api', requestedUsers: options.emails || null });
+  metrics.lastRunId = run.id;
+  // The scheduler keeps its own per-user delivered dates
+  const checkpointed = !options.users;
+  const fullRun = checkpointed && !options.emails;
+  const today = new Date().toDateString();
+  if (fullRun) {
+    const resumed = runCheckpoint.begin(run.id, today, { restart: options.force });
+    if (resumed > 0) logger.info(`⏩ Resuming today's run: ${resumed} user(s) already delivered`);
+  }
   
   try {
-    const users = await getActiveUsers();
-    const boards = await getAllBoards();
-    for (const user of users) {
-      try {
-        let allUserTasks = [];
-        for (const board of boards) {
-          const tasks = await getUserTasksFromBoard(board, user.id);
-          allUserTasks.push(...tasks);
-          await delay(300);
+    let users = options.users;
+    if (!users) {
+      const selected = selectUsersByEmail(await getActiveUsers(), options.emails || null);
+      for (const email of selected.unmatched) {
+        runHistory.recordUser(run.id, { email }, { status: 'skipped', reason: 'not_an_active_monday_user' });
+      }
+      // The scheduler has already checked preferences in each user's own timezone;
+      // here weekdays-only is checked against the weekday where each user is
+      const wanted = [];
+      for (const user of selected.users) {
+        const prefs = userPreferences.get(user.id);
+        if (wantsDigest(prefs, await getUserWeekday(user))) {
+          wanted.push(user);
+          continue;
         }
-        metrics.tasksFound += allUserTasks.length;
-        const organizedTasks = organizeTasks(allUserTasks);
-        const slackMessage = formatSlackMessage(organizedTasks, user.name);
-        await sendOrUpdateSlackMessage(user, slackMessage);
-        metrics.usersProcessed++;
-        await delay(1000);
-      } catch (userError) {
-        metrics.errors++;
-        logger.error(`Failed to process user ${user.name}`, userError);
+        metrics.usersOptedOut++;
+        runHistory.recordUser(run.id, user, { status: 'skipped', reason: prefs.optOut ? 'opted_out' : 'weekdays_only' });
       }
+      if (!fullRun && options.force) runCheckpoint.forget(wanted.map(user => user.id), today);
+      users = !fullRun ? wanted : wanted.filter(user => {
+        if (!runCheckpoint.isDelivered(user.id, today)) return true;
+        metrics.usersAlreadyDelivered++;
+        runHistory.recordUser(run.id, user, { status: 'skipped', reason: 'already_delivered_today' });
+        return false;
+      });
     }
+    // Pacing comes from the complexity scheduler; 'batch' yields to interactive calls
+    const fetchOptions = { warnings: metrics.warnings, priority: 'batch' };
+    const boards = await getAllBoards(fetchOptions);
+    const tasksByAssignee = await getOpenTasksByAssignee(boards, fetchOptions);
+    metrics.boardsScanned = boards.length;
+    // All workers share the Slack client, whose queue pauses for everyone on a 429
+    await runPool(users, async (user) => {
+      const { tasks, message } = buildUserDigest(user, tasksByAssignee, userPreferences.get(user.id), await getUserTimezone(user));
+      metrics.tasksFound += tasks.length;
+      const outcome = await sendOrUpdateSlackMessage(user, message, tasks.map(task => String(task.id)));
+      if (checkpointed && outcome.status !== 'skipped') runCheckpoint.markDelivered(user.id, outcome.status, today);
+      metrics.usersProcessed++;
+      if (options.onDelivered) options.onDelivered(user);
+      return { ...outcome, taskCount: tasks.length };
+    }, {
+      concurrency: DIGEST_CONCURRENCY,
+      onResult: ({ item: user, ok, value, error, durationMs }) => {
+        const timing = { userId: user.id, name: user.name, status: ok ? value.status : 'error', durationMs };
+        if (!ok) {
+          timing.error = error.message;
+          metrics.errors++;
+          logger.error(`Failed to process user ${user.name}`, error);
+        }
+        metrics.userTimings.push(timing);
+        runHistory.recordUser(run.id, user, ok
+          ? { ...value, durationMs }
+          : { status: 'failed', error: error.message, durationMs });
+      }
+    });
     const duration = (new Date() - metrics.startTime) / 1000;
     metrics.lastRun = new Date().toISOString();
-    logger.success('✅ Daily automation completed', { ...metrics, durationSeconds: duration.toFixed(2) });
+    if (metrics.warnings.length > 0) {
+      logger.warn('⚠️ Daily automation hit pagination caps', { warnings: metrics.warnings });
+    }
+    runHistory.finish(run.id, { counters: runCounters() });
+    if (fullRun) runCheckpoint.finish();
+    const { userTimings, ...summary } = metrics;
+    const slowest = [...userTimings].sort((a, b) => b.durationMs - a.durationMs).slice(0, 5);
+    logger.success('✅ Daily automation completed', { ...summary, slowestUsers: slowest, durationSeconds: duration.toFixed(2) });
     return metrics;
   } catch (error) {
     logger.error('❌ Daily automation failed', error);
     metrics.lastRun = new Date().toISOString();
+    runHistory.finish(run.id, { counters: runCounters(), error });
+    if (fullRun) runCheckpoint.finish('failed');
     throw error;
   }
 }
 
+// The per-run counters kept with each run in runHistory
+function runCounters() {
+  return {
+    usersProcessed: metrics.usersProcessed,
+    usersSkipped: metrics.usersSkipped,
+    usersOptedOut: metrics.usersOptedOut,
+    usersAlreadyDelivered: metrics.usersAlreadyDelivered,
+    tasksFound: metrics.tasksFound,
+    messagesSent: metrics.messagesSent,
+    messagesUpdated: metrics.messagesUpdated,
+    errors: metrics.errors,
+    boardsScanned: metrics.boardsScanned,
+    warnings: metrics.warnings
+  };
+}
+
+// Build digests exactly like runDailyAutomation but return them instead of posting.
+// Nothing is sent to Slack and metrics / stored message timestamps are left untouched.
+async function previewDailyAutomation(options = {}) {
+  const startTime = new Date();
+  const warnings = [];
+  const { users, unmatched } = selectUsersByEmail(await getActiveUsers(), options.emails || null);
+
+  const fetchOptions = { warnings, priority: 'batch' };
+  const boards = await getAllBoards(fetchOptions);
+  const tasksByAssignee = await getOpenTasksByAssignee(boards, fetchOptions);
+
+  const previews = [];
+  for (const user of users) {
+    const prefs = userPreferences.get(user.id);
+    const { tasks, organizedTasks, message } = buildUserDigest(user, tasksByAssignee, prefs, await getUserTimezone(user));
+    previews.push({
+      user: { id: user.id, name: user.name, email: user.email },
+      // Opted-out users are previewed too, but the real run would skip them today
+      wouldSend: wantsDigest(prefs, await getUserWeekday(user)),
+      taskCount: tasks.length,
+      categories: Object.fromEntries(Object.entries(organizedTasks).map(([name, list]) => [name, list.length])),
+      tasks: organizedTasks,
+      message: { text: message.text, blocks: message.blocks }
+    });
+  }
+
+  return {
+    status: 'dry_run',
+    timestamp: new Date().toISOString(),
+    durationSeconds: Number(((new Date() - startTime) / 1000).toFixed(2)),
+    boardsScanned: boards.length,
+    warnings,
+    unmatchedEmails: unmatched,
+    users: previews
+  };
+}
+
+// Rebuild a user's digest as the daily run would now, for digestRefresher and
+// the "Show more" buttons (`options.pages`: the page to show of each section;
+// `options.priority`: 'interactive' when someone is waiting on it, default 'batch')
+async function renderDigest(mondayUserId, options = {}) {
+  const user = (await getActiveUsers()).find(u => String(u.id) === String(mondayUserId));
+  if (!user) return null;
+  const prefs = userPreferences.get(user.id);
+  const tasks = await getOpenTasksForUser(user.id, prefs, { priority: options.priority || 'batch' });
+  const display = { ...prefs, pages: options.pages };
+  const digest = buildUserDigest(user, new Map([[String(user.id), tasks]]), display, await getUserTimezone(user));
+  return {
+    text: digest.message.text,
+    blocks: digest.message.blocks,
+    itemIds: digest.tasks.map(task => String(task.id))
+  };
+}
+
+// Edits today's posted digests when their tasks change (webhooks and task buttons)
+const digestRefresher = new DigestRefresher({ slack, render: renderDigest });
+
+// Per-timezone digests (DIGEST_SCHEDULER_ENABLED); runs go through taskQueue like POST /trigger
+const digestScheduler = new DigestScheduler({
+  slack,
+  getUsers: getActiveUsers,
+  runDigest: (users, options) => new Promise((resolve, reject) => {
+    taskQueue.add(() => runDailyAutomation({ users, trigger: 'scheduler', ...options }).then(resolve, reject));
+  })
+});
+
+// End-of-day recaps (RECAP_ENABLED) for users who turned on eveningRecap in /monday-prefs.
+// Scheduled per timezone like the digest, with its own hour and delivered dates.
+const endOfDayRecap = new EndOfDayRecap({ slack, getTimezone: user => recapScheduler.getTimezone(user) });
+const recapScheduler = new DigestScheduler({
+  slack,
+  getUsers: getActiveUsers,
+  hour: Number.isNaN(RECAP_LOCAL_HOUR) ? 17 : RECAP_LOCAL_HOUR,
+  filePath: path.join(__dirname, '../data/recap-schedule.json'),
+  // The digest's opt-out and delivery hour don't apply to the recap
+  getPreferences: id => {
+    const prefs = userPreferences.get(id);
+    return { ...prefs, optOut: !prefs.eveningRecap, deliveryHour: null };
+  },
+  runDigest: (users, options) => new Promise((resolve, reject) => {
+    taskQueue.add(() => endOfDayRecap.run(users, options).then(resolve, reject));
+  })
+});
+
+// Weekly team summary (config/weeklySummary.json); posted only when a channel is configured
+const weeklySummary = new WeeklySummary({ slack, getUsers: getActiveUsers });
+
 // ============================================
 // INTERACTIVE COMPONENTS - ASYNC HANDLERS
 // ============================================
@@ -368,11 +473,15 @@ app.action(/^task_action_.*/, ({ action, ack, body, client }) => {
       // Split result: ["task", "action", "complete", taskId, boardId]
       const parts = action.action_id.split('_');
       const actionType = parts[2];  // "complete", "update", "postpone", or "view"
-      const taskId = parts[3];
-      const boardId = parts[4];
+      const taskId = validateTaskId(parts[3]);
+      const boardId = validateBoardId(parts[4]);
       
       const userId = body.user.id;
       
+      if (!taskId || !boardId) {
+        throw new Error(`Invalid task reference in action ${action.action_id}`);
+      }
+      
       logger.info(`[BUTTON] User ${userId} triggered ${actionType} on task ${taskId}`);
       metrics.asyncTasksQueued++;
       
@@ -386,12 +495,14 @@ app.action(/^task_action_.*/, ({ action, ack, body, client }) => {
       switch (actionType) {
         case 'complete':
           await handleCompleteTask(taskId, boardId, userId, client, body);
+          digestRefresher.taskChanged(taskId);
           break;
         case 'update':
           await handleUpdateTask(taskId, boardId, userId, client, body);
           break;
         case 'postpone':
           await handlePostponeTask(taskId, boardId, userId, client, body);
+          digestRefresher.taskChanged(taskId);
           break;
         case 'view':
           await handleViewTask(taskId, boardId, userId, client, body);
@@ -416,6 +527,49 @@ app.action(/^task_action_.*/, ({ action, ack, body, client }) => {
   return ackPromise;
 });
 
+// "Show more" in a digest section: rebuild the digest with the requested pages and
+// edit it in place. Not queued, so paging doesn't wait behind a daily run.
+app.action(new RegExp(`^${DIGEST_PAGE_ACTION}_`), ({ action, ack, body, client }) => {
+  const ackPromise = ack();
+
+  setImmediate(async () => {
+    try {
+      const mondayUser = await identityMap.findMondayUser(body.user.id, client);
+      const pages = parsePages(action.value);
+      const digest = mondayUser && await renderDigest(mondayUser.id, { pages, priority: 'interactive' });
+      if (!digest) {
+        throw new Error('Could not find your Monday.com account');
+      }
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        blocks: digest.blocks,
+        text: digest.text
+      });
+
+      // Remember the pages of today's digest so digestRefresher edits keep them
+      const storeKey = digestKey(mondayUser.id);
+      const stored = messageStore.get(storeKey);
+      if (stored && stored.messageTs === body.message.ts) {
+        messageStore.set(storeKey, { ...stored, pages, itemIds: digest.itemIds, lastUpdated: new Date().toISOString() });
+      }
+    } catch (error) {
+      logger.error('[BUTTON ERROR] Error paging digest', error);
+      try {
+        await client.chat.postEphemeral({
+          channel: body.channel?.id || body.user.id,
+          user: body.user.id,
+          text: `❌ Error: ${error.message}`
+        });
+      } catch (notifyError) {
+        logger.error('[BUTTON ERROR] Failed to send error notification', notifyError);
+      }
+    }
+  });
+
+  return ackPromise;
+});
+
 // Handle modal submission - ULTRA FAST ACK with async processing
 app.view(/^update_task_modal_.*/, ({ ack, body, view, client }) => {
   // CRITICAL: Acknowledge IMMEDIATELY
@@ -424,77 +578,52 @@ app.view(/^update_task_modal_.*/, ({ ack, body, view, client }) => {
   // Queue for async processing
   taskQueue.add(async () => {
     try {
-      const [_, __, ___, taskId, boardId] = view.callback_id.split('_');
+      const [_, __, ___, rawTaskId, rawBoardId] = view.callback_id.split('_');
+      const taskId = validateTaskId(rawTaskId);
+      const boardId = validateBoardId(rawBoardId);
       const userId = body.user.id;
       
+      if (!taskId || !boardId) {
+        throw new Error('Invalid task reference in modal');
+      }
+      
       logger.info('[MODAL] Processing task update', { taskId, boardId, userId });
       metrics.asyncTasksQueued++;
       
       const values = view.state.values;
       const updates = [];
       
-      const boardQuery = `
-        query {
-          boards(ids: [${boardId}]) {
-            columns {
-              id
-              type
-            }
-          }
-        }
-      `;
-      
-      const boardData = await mondayQuery(boardQuery);
-      const columns = boardData.boards[0].columns;
+      const roles = await getTaskColumns(boardId);
       
       if (values.status_block?.status_select?.selected_option) {
-        const [columnId, statusIndex] = values.status_block.status_select.selected_option.value.split(':');
-        updates.push({
-          columnId,
-          value: `{"index": ${statusIndex}}`
-        });
+        const [rawColumnId, rawIndex] = values.status_block.status_select.selected_option.value.split(':');
+        const columnId = validateColumnId(rawColumnId);
+        if (!columnId) {
+          throw new Error('Invalid status selection');
+        }
+        updates.push({ columnId, value: encode('status', Number(rawIndex), columnId) });
       }
       
-      if (values.date_block?.date_select?.selected_date) {
-        const dateColumn = columns.find(c => c.type === 'date');
+      const selectedDate = values.date_block?.date_select?.selected_date;
+      if (selectedDate) {
+        if (!validateDate(selectedDate)) {
+          throw new Error(`Invalid due date: ${selectedDate}`);
+        }
+        const dateColumn = roles.dueDate;
         if (dateColumn) {
-          updates.push({
-            columnId: dateColumn.id,
-            value: `{"date": "${values.date_block.date_select.selected_date}"}`
-          });
+          updates.push({ columnId: dateColumn.id, value: encode('date', selectedDate, dateColumn.id) });
         }
       }
       
       const notes = values.notes_block?.notes_input?.value;
       if (notes) {
-        const createUpdateQuery = `
-          mutation {
-            create_update(
-              item_id: ${taskId},
-              body: "${notes.replace(/"/g, '\\"')}"
-            ) {
-              id
-            }
-          }
-        `;
-        await mondayQuery(createUpdateQuery);
+        await mondayClient.query(QUERIES.createUpdate, { variables: { itemId: taskId, body: notes } });
       }
       
       for (const update of updates) {
-        const updateQuery = `
-          mutation {
-            change_column_value(
-              board_id: ${boardId},
-              item_id: ${taskId},
-              column_id: "${update.columnId}",
-              value: "${update.value.replace(/"/g, '\\"')}"
-            ) {
-              id
-            }
-          }
-        `;
-        await mondayQuery(updateQuery);
+        await changeColumnValue(boardId, taskId, update.columnId, update.value);
       }
+      if (updates.length > 0) digestRefresher.taskChanged(taskId);
       
       await client.chat.postEphemeral({
         channel: body.user.id,
@@ -521,42 +650,16 @@ app.view(/^update_task_modal_.*/, ({ ack, body, view, client }) => {
 
 async function handleCompleteTask(taskId, boardId, userId, client, body) {
   try {
-    const boardQuery = `
-      query {
-        boards(ids: [${boardId}]) {
-          columns {
-            id
-            type
-            settings_str
-          }
-        }
-      }
-    `;
-    
-    const boardData = await mondayQuery(boardQuery);
-    const statusColumn = boardData.boards[0].columns.find(c => c.type === 'status');
+    const roles = await getTaskColumns(boardId);
+    const statusColumn = roles.status;
     
     if (!statusColumn) {
       throw new Error('Status column not found on this board');
     }
     
-    const statusSettings = JSON.parse(statusColumn.settings_str || '{}');
-    const doneIndex = statusSettings.done_colors?.[0] || 1;
+    const [doneIndex] = getDoneIndexes(statusColumn);
     
-    const updateQuery = `
-      mutation {
-        change_column_value(
-          board_id: ${boardId},
-          item_id: ${taskId},
-          column_id: "${statusColumn.id}",
-          value: "{\\"index\\": ${doneIndex}}"
-        ) {
-          id
-        }
-      }
-    `;
-    
-    await mondayQuery(updateQuery);
+    await changeColumnValue(boardId, taskId, statusColumn.id, encode('status', doneIndex, statusColumn.id));
     
     await client.chat.postEphemeral({
       channel: body.channel?.id || body.user.id,
@@ -581,39 +684,10 @@ async function handleCompleteTask(taskId, boardId, userId, client, body) {
 
 async function handleUpdateTask(taskId, boardId, userId, client, body) {
   try {
-    const taskQuery = `
-      query {
-        items(ids: [${taskId}]) {
-          id
-          name
-          column_values {
-            id
-            text
-            value
-            type
-          }
-        }
-      }
-    `;
-    
-    const taskData = await mondayQuery(taskQuery);
+    const taskData = await mondayClient.query(QUERIES.getItem, { variables: { itemId: taskId } });
     const task = taskData.items[0];
     
-    const boardQuery = `
-      query {
-        boards(ids: [${boardId}]) {
-          columns {
-            id
-            title
-            type
-            settings_str
-          }
-        }
-      }
-    `;
-    
-    const boardData = await mondayQuery(boardQuery);
-    const columns = boardData.boards[0].columns;
+    const roles = await getTaskColumns(boardId);
     
     const blocks = [
       {
@@ -628,10 +702,9 @@ async function handleUpdateTask(taskId, boardId, userId, client, body) {
       }
     ];
     
-    const statusColumn = columns.find(c => c.type === 'status');
+    const statusColumn = roles.status;
     if (statusColumn) {
-      const settings = JSON.parse(statusColumn.settings_str || '{}');
-      const options = Object.entries(settings.labels || {}).map(([index, label]) => ({
+      const options = getStatusLabels(statusColumn).map(({ index, label }) => ({
         text: {
           type: 'plain_text',
           text: label
@@ -659,10 +732,9 @@ async function handleUpdateTask(taskId, boardId, userId, client, body) {
       });
     }
     
-    const dateColumn = columns.find(c => c.type === 'date');
+    const dateColumn = roles.dueDate;
     if (dateColumn) {
-      const currentDate = task.column_values.find(cv => cv.id === dateColumn.id);
-      const dateValue = currentDate?.value ? JSON.parse(currentDate.value).date : null;
+      const dateValue = decodeColumn(task, dateColumn)?.date || null;
       
       blocks.push({
         type: 'input',
@@ -732,49 +804,26 @@ async function handleUpdateTask(taskId, boardId, userId, client, body) {
 
 async function handlePostponeTask(taskId, boardId, userId, client, body) {
   try {
-    const taskQuery = `
-      query {
-        items(ids: [${taskId}]) {
-          column_values {
-            id
-            value
-            type
-          }
-        }
-      }
-    `;
-    
-    const taskData = await mondayQuery(taskQuery);
-    const dateColumnValue = taskData.items[0].column_values.find(cv => cv.type === 'date');
+    const [taskData, roles] = await Promise.all([
+      mondayClient.query(QUERIES.getItem, { variables: { itemId: taskId } }),
+      getTaskColumns(boardId)
+    ]);
+    const dateColumnValue = roles.dueDate && taskData.items[0].column_values.find(cv => cv.id === roles.dueDate.id);
     
-    if (!dateColumnValue || !dateColumnValue.value) {
+    const currentDate = dateColumnValue ? decode(dateColumnValue) : null;
+    if (!currentDate?.date) {
       throw new Error('No due date found on this task');
     }
     
-    const currentDate = JSON.parse(dateColumnValue.value).date;
-    const newDate = new Date(currentDate);
-    newDate.setDate(newDate.getDate() + 1);
-    const newDateStr = newDate.toISOString().split('T')[0];
-    
-    const updateQuery = `
-      mutation {
-        change_column_value(
-          board_id: ${boardId},
-          item_id: ${taskId},
-          column_id: "${dateColumnValue.id}",
-          value: "{\\"date\\": \\"${newDateStr}\\"}"
-        ) {
-          id
-        }
-      }
-    `;
+    const newDateStr = addCalendarDays(currentDate.date, 1);
     
-    await mondayQuery(updateQuery);
+    // Keep the time of day for date columns that have one
+    await changeColumnValue(boardId, taskId, dateColumnValue.id, encode('date', { date: newDateStr, time: currentDate.time }, dateColumnValue.id));
     
     await client.chat.postEphemeral({
       channel: body.channel?.id || body.user.id,
       user: userId,
-      text: `📅 Task postponed to ${newDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+      text: `📅 Task postponed to ${formatDate(newDateStr, 'UTC')}`
     });
     
   } catch (error) {
@@ -785,35 +834,7 @@ async function handlePostponeTask(taskId, boardId, userId, client, body) {
 
 async function handleViewTask(taskId, boardId, userId, client, body) {
   try {
-    const taskQuery = `
-      query {
-        items(ids: [${taskId}]) {
-          id
-          name
-          created_at
-          updated_at
-          creator {
-            name
-          }
-          column_values {
-            id
-            text
-            value
-            type
-          }
-          updates {
-            id
-            body
-            created_at
-            creator {
-              name
-            }
-          }
-        }
-      }
-    `;
-    
-    const taskData = await mondayQuery(taskQuery);
+    const taskData = await mondayClient.query(QUERIES.getItemDetails, { variables: { itemId: taskId } });
     const task = taskData.items[0];
     
     const blocks = [
@@ -842,6 +863,15 @@ async function handleViewTask(taskId, boardId, userId, client, body) {
       }
     ];
     
+    // Subitems link back to their parent item
+    if (task.parent_item) {
+      const parentUrl = mondayLinks.itemUrl(task.parent_item.board.id, task.parent_item.id);
+      blocks.splice(1, 0, {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `↳ Subitem of <${parentUrl}|${task.parent_item.name}>` }]
+      });
+    }
+    
     task.column_values.filter(cv => cv.text).forEach(cv => {
       blocks.push({
         type: 'section',
@@ -871,7 +901,7 @@ async function handleViewTask(taskId, boardId, userId, client, body) {
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: `*${update.creator?.name}* - ${new Date(update.created_at).toLocaleDateString()}\\n${update.body}`
+            text: `*${update.creator?.name}* - ${new Date(update.created_at).toLocaleDateString()} • <${mondayLinks.updateUrl(boardId, taskId, update.id)}|View>\\n${update.body}`
           }
         });
       });
@@ -886,7 +916,7 @@ async function handleViewTask(taskId, boardId, userId, client, body) {
             type: 'plain_text',
             text: 'Open in Monday.com'
           },
-          url: `https://drexcorp-company.monday.com/boards/${boardId}/pulses/${taskId}`,
+          url: mondayLinks.itemUrl(boardId, taskId),
           style: 'primary'
         }
       ]
@@ -910,6 +940,10 @@ async function handleViewTask(taskId, boardId, userId, client, body) {
 // ============================================
 initializeSlackCommands(app);
 registerTasksCommand(app);
+registerTaskListPaging(app);
+registerPreferencesCommand(app);
+registerLinkCommand(app);
+registerWeeklySummary(app, weeklySummary);
 
 // Add /task-complete command
 app.command('/task-complete', ({ command, ack, client }) => {
@@ -953,6 +987,8 @@ receiver.app.post('/webhook/monday', async (req, res) => {
   try {
     await handleWebhook(req, res);
     metrics.notificationsSent++;
+    // Today's digests that list the item, or whoever it was just assigned to, are edited
+    digestRefresher.handleWebhookEvent(req.body?.event);
   } catch (error) {
     logger.error('Webhook error', error);
     metrics.errors++;
@@ -969,23 +1005,97 @@ console.log('✅ Monday.com webhook endpoint registered at POST /webhook/monday'
 // ============================================
 
 // Trigger daily automation
+// ?users=a@x.com,b@y.com limits the run to those users; ?dryRun=true returns the
+// rendered digests as JSON instead of posting them. Users already delivered today
+// are skipped; ?force=true refreshes everyone's digest again.
 receiver.app.post('/trigger', async (req, res) => {
+  let emails;
+  try {
+    emails = parseEmailList(req.query.users);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (req.query.dryRun === 'true') {
+    try {
+      const preview = await previewDailyAutomation({ emails });
+      logger.info('🧪 Daily automation dry run completed', {
+        users: preview.users.length,
+        unmatchedEmails: preview.unmatchedEmails
+      });
+      return res.json(preview);
+    } catch (error) {
+      logger.error('Daily automation dry run failed', error);
+      return res.status(500).json({ error: 'Dry run failed', message: error.message });
+    }
+  }
+
+  const force = req.query.force === 'true';
   res.json({ 
     status: 'triggered', 
     timestamp: new Date().toISOString(),
-    message: 'Daily automation started in background'
+    message: 'Daily automation started in background',
+    ...(emails && { users: emails }),
+    ...(force && { force })
   });
   
   // Run in background
   taskQueue.add(async () => {
     try {
-      await runDailyAutomation();
+      await runDailyAutomation({ emails, force });
     } catch (error) {
       logger.error('Daily automation trigger failed', error);
     }
   });
 });
 
+// Post the weekly team summary now; ?dryRun=true returns it without posting
+receiver.app.post('/weekly-summary', async (req, res) => {
+  if (req.query.dryRun === 'true') {
+    try {
+      const summary = await weeklySummary.generate();
+      return res.json({ status: 'dry_run', summary, messages: formatTeamSummary(summary) });
+    } catch (error) {
+      logger.error('Weekly summary dry run failed', error);
+      return res.status(500).json({ error: 'Dry run failed', message: error.message });
+    }
+  }
+
+  if (!weeklySummary.config.channel) {
+    return res.status(400).json({ error: 'No weekly summary channel configured (WEEKLY_SUMMARY_CHANNEL)' });
+  }
+
+  res.json({
+    status: 'triggered',
+    timestamp: new Date().toISOString(),
+    message: `Weekly summary will be posted to ${weeklySummary.config.channel}`
+  });
+
+  taskQueue.add(async () => {
+    try {
+      await weeklySummary.post();
+    } catch (error) {
+      logger.error('Weekly summary trigger failed', error);
+    }
+  });
+});
+
+// Recent automation runs, newest first (?limit=, ?user= Monday id or email)
+receiver.app.get('/runs', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const user = typeof req.query.user === 'string' ? req.query.user.trim() : undefined;
+  res.json({ runs: runHistory.list({ limit, user: user || undefined }) });
+});
+
+// One run with every user's outcome
+receiver.app.get('/runs/:id', (req, res) => {
+  const run = runHistory.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  res.json(run);
+});
+
 // Health check
 receiver.app.get('/health', (req, res) => {
   const healthSummary = performanceMonitor.getHealthSummary();
@@ -1029,13 +1139,19 @@ receiver.app.get('/', (req, res) => {
       cache_clear: 'POST /cache/clear',
       slack_events: 'POST /slack/events',
       monday_webhook: 'POST /webhook/monday',
-      trigger_daily: 'POST /trigger'
+      trigger_daily: 'POST /trigger',
+      trigger_dry_run: 'POST /trigger?dryRun=true&users=a@x.com',
+      weekly_summary: 'POST /weekly-summary',
+      runs: 'GET /runs',
+      run: 'GET /runs/:id'
     },
     commands: [
       '/tasks',
       '/create-task',
       '/quick-task',
       '/monday-help',
+      '/monday-prefs',
+      '/monday-link',
       '/task-complete'
     ]
   });
@@ -1055,6 +1171,7 @@ receiver.app.get('/metrics', (req, res) => {
       isProcessing: taskQueue.processing
     },
     performance: performanceMetrics,
+    monday: mondayClient.getStats(),
     cache: cacheStats
   });
 });
@@ -1090,13 +1207,56 @@ receiver.app.post('/cache/clear', (req, res) => {
     logger.info(`📡 Slack events: /slack/events`);
     logger.info(`🔔 Monday webhook: /webhook/monday`);
     logger.info(`🔄 Daily automation trigger: POST /trigger`);
+    if (MOCK_MODE) {
+      logger.warn(`🧪 MOCK_MODE: Monday.com calls go to ${mondayClient.apiUrl}`);
+    }
     logger.success(`✅ Server started successfully - v6.3.1-timeout-fixed`);
-    logger.info(`🎯 Available commands: /tasks, /create-task, /quick-task, /monday-help, /task-complete`);
+    logger.info(`🎯 Available commands: /tasks, /create-task, /quick-task, /monday-help, /monday-prefs, /monday-link, /task-complete`);
     logger.info(`🚀 Optimizations enabled: Caching, Error Retry, Performance Monitoring`);
     
+    // Digest message records are loaded from disk; drop old ones periodically
+    messageStore.startPruning();
+    logger.info(`💾 Tracking ${messageStore.size} posted digest messages`);
+    logger.info(`🔁 Digests are refreshed ${digestRefresher.debounceMs / 1000}s after their tasks stop changing`);
+    
+    if (DIGEST_SCHEDULER_ENABLED) {
+      digestScheduler.start();
+      logger.info(`⏰ Digest scheduler: ${digestScheduler.hour}:00 in each user's Slack timezone`);
+    }
+    
+    if (RECAP_ENABLED) {
+      recapScheduler.start();
+      logger.info(`🌙 End-of-day recap: ${recapScheduler.hour}:00 in each user's Slack timezone (opt-in)`);
+    }
+    
+    if (weeklySummary.config.channel) {
+      weeklySummary.start();
+      const { channel, day, hour, timezone } = weeklySummary.config;
+      logger.info(`📊 Weekly summary: ${channel} on day ${day} at ${hour}:00 ${timezone}`);
+    }
+    
+    // A run cut off by the last shutdown picks up with the users it hadn't reached
+    const unfinished = runCheckpoint.getUnfinished(new Date().toDateString());
+    if (unfinished) {
+      logger.warn(`⏩ Resuming today's interrupted run ${unfinished.runId}`, {
+        delivered: Object.keys(unfinished.delivered).length
+      });
+      taskQueue.add(async () => {
+        try {
+          await runDailyAutomation({ trigger: 'resume' });
+        } catch (error) {
+          logger.error('Resumed daily automation failed', error);
+        }
+      });
+    }
+    
     // ============================================
     // PRE-WARM CACHE ON STARTUP
     // ============================================
+    // Links need the account slug; discover it once unless MONDAY_ACCOUNT_SLUG is set
+    await mondayLinks.resolveSlug();
+    logger.info(`🔗 Monday.com links use ${mondayLinks.baseUrl()}`);
+    
     logger.info('🔄 Pre-warming command cache...');
     try {
       const cacheStats = await prewarmCache();
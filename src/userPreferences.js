@@ -0,0 +1,169 @@
+/**
+ * UserPreferences - Per-user digest preferences
+ *
+ * Set with /monday-prefs and keyed by Monday user ID, so the daily run (which
+ * iterates Monday users) and /tasks (which resolves the Slack user to a Monday
+ * user) read the same entry. Persisted to data/user-preferences.json with an
+ * atomic write, like the DLQ and the digest message store.
+ *
+ * @module userPreferences
+ */
+
+const path = require('path');
+const { JsonFile } = require('./utils/jsonFile');
+const { validateId } = require('./utils/validation');
+
+const PREFS_FILE = path.join(__dirname, '../data/user-preferences.json');
+
+const DEFAULT_PREFERENCES = Object.freeze({
+  optOut: false,          // no daily DM (/tasks still works)
+  deliveryHour: null,     // local hour for scheduled digests; null = DIGEST_LOCAL_HOUR
+  weekdaysOnly: false,    // no digest on Saturday and Sunday
+  workspaceIds: [],       // empty = every configured workspace
+  boardIds: [],           // empty = every board
+  showNoDueDate: false,   // list tasks without a due date
+  upcomingDays: 7,        // size of the "Upcoming" window
+  eveningRecap: false     // end-of-day recap DM (when RECAP_ENABLED)
+});
+
+const MAX_UPCOMING_DAYS = 60;
+
+/**
+ * Validate a (partial) preferences object
+ *
+ * @param {Object} input
+ * @returns {Object} Normalized preferences (only the keys that were given)
+ * @throws {Error} Naming the first invalid preference
+ */
+function validatePreferences(input) {
+  const prefs = {};
+
+  for (const [key, value] of Object.entries(input)) {
+    switch (key) {
+      case 'optOut':
+      case 'weekdaysOnly':
+      case 'showNoDueDate':
+      case 'eveningRecap':
+        if (typeof value !== 'boolean') throw new Error(`${key} must be true or false`);
+        prefs[key] = value;
+        break;
+      case 'deliveryHour':
+        if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= 23)) {
+          throw new Error('deliveryHour must be an hour from 0 to 23');
+        }
+        prefs[key] = value;
+        break;
+      case 'upcomingDays':
+        if (!Number.isInteger(value) || value < 1 || value > MAX_UPCOMING_DAYS) {
+          throw new Error(`upcomingDays must be a whole number from 1 to ${MAX_UPCOMING_DAYS}`);
+        }
+        prefs[key] = value;
+        break;
+      case 'workspaceIds':
+      case 'boardIds': {
+        const ids = Array.isArray(value) ? value.map(validateId) : [null];
+        if (ids.includes(null)) throw new Error(`${key} must be a list of numeric IDs`);
+        prefs[key] = [...new Set(ids)];
+        break;
+      }
+      default:
+        throw new Error(`Unknown preference "${key}"`);
+    }
+  }
+
+  return prefs;
+}
+
+class UserPreferences {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Where preferences are persisted
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || PREFS_FILE;
+    this.file = new JsonFile(this.filePath, { name: 'preferences' });
+    this.entries = new Map();
+    this._load();
+  }
+
+  /** Load preferences from disk on startup */
+  _load() {
+    const saved = this.file.read();
+    this.entries = new Map(Object.entries(saved || {}));
+    if (saved) console.log(`[UserPreferences] Loaded preferences for ${this.entries.size} users from disk`);
+  }
+
+  /** Persist preferences to disk atomically */
+  _save() {
+    this.file.write(Object.fromEntries(this.entries));
+  }
+
+  /**
+   * Preferences for a Monday user, with defaults for anything not set
+   *
+   * @param {string|number} mondayUserId
+   * @returns {Object}
+   */
+  get(mondayUserId) {
+    return { ...DEFAULT_PREFERENCES, ...this.entries.get(String(mondayUserId)) };
+  }
+
+  /**
+   * Update some of a user's preferences
+   *
+   * @param {string|number} mondayUserId
+   * @param {Object} changes - Any of the DEFAULT_PREFERENCES keys
+   * @returns {Object} The user's full preferences after the update
+   * @throws {Error} If a preference is invalid; nothing is saved
+   */
+  set(mondayUserId, changes) {
+    const key = String(mondayUserId);
+    const validated = validatePreferences(changes);
+    this.entries.set(key, { ...this.entries.get(key), ...validated });
+    this._save();
+    return this.get(key);
+  }
+
+  /** Forget a user's preferences (back to defaults) */
+  reset(mondayUserId) {
+    if (this.entries.delete(String(mondayUserId))) this._save();
+  }
+}
+
+/**
+ * Whether a task is on a board the user wants to see
+ *
+ * Subitem tasks are matched by their parent item's board.
+ *
+ * @param {Object} task - From tasksCommand (boardId, parentBoardId, workspaceId)
+ * @param {Object} prefs
+ * @returns {boolean}
+ */
+function matchesBoardFilters(task, prefs) {
+  const boardId = String(task.parentBoardId || task.boardId);
+  if (prefs.boardIds.length > 0 && !prefs.boardIds.includes(boardId)) return false;
+  if (prefs.workspaceIds.length > 0 && !prefs.workspaceIds.includes(String(task.workspaceId))) return false;
+  return true;
+}
+
+/**
+ * Whether the user wants a digest on a given day
+ *
+ * @param {Object} prefs
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday), in the user's timezone when known
+ * @returns {boolean}
+ */
+function wantsDigest(prefs, weekday) {
+  if (prefs.optOut) return false;
+  return !(prefs.weekdaysOnly && (weekday === 0 || weekday === 6));
+}
+
+// Singleton instance
+const userPreferences = new UserPreferences();
+
+module.exports = userPreferences;
+module.exports.UserPreferences = UserPreferences;
+module.exports.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
+module.exports.validatePreferences = validatePreferences;
+module.exports.matchesBoardFilters = matchesBoardFilters;
+module.exports.wantsDigest = wantsDigest;
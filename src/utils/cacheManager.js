@@ -153,6 +153,8 @@ class CacheManager {
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
     }, 5 * 60 * 1000);
+    // The shared cache is created on require; its cleanup doesn't keep the process alive
+    this.cleanupInterval.unref();
   }
 
   // Stop cleanup
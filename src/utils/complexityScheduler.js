@@ -0,0 +1,171 @@
+// src/utils/complexityScheduler.js
+// Paces Monday.com API calls against the account's per-minute complexity budget.
+// Each response reports `complexity { before after reset_in_x_seconds }`; when the
+// remaining budget runs low, calls are held until the window resets. Interactive
+// calls (slash commands, buttons, webhooks) always run ahead of batch work.
+
+const PRIORITIES = ['interactive', 'batch'];
+
+// Field appended to every query so Monday.com reports the budget with the response
+const COMPLEXITY_FIELD = 'complexity { before after reset_in_x_seconds }';
+
+class ComplexityScheduler {
+  constructor(options = {}) {
+    this.budgetPerMinute = options.budgetPerMinute ||
+      parseInt(process.env.MONDAY_COMPLEXITY_BUDGET, 10) || 10000000;
+    this.maxConcurrent = options.maxConcurrent || 3;
+
+    // Below these fractions of the budget a priority waits for the reset
+    this.reserve = {
+      batch: options.batchReserve ?? 0.2,      // keep 20% for interactive calls
+      interactive: options.interactiveReserve ?? 0.01
+    };
+
+    this.queues = { interactive: [], batch: [] };
+    this.active = 0;
+    this.remaining = null;   // unknown until the first response
+    this.resetAt = null;
+    this.usage = [];         // { at, cost } for the rolling one-minute window
+    this.wakeTimer = null;
+
+    this.stats = {
+      scheduled: { interactive: 0, batch: 0 },
+      throttled: 0,
+      rateLimited: 0,
+      totalWaitMs: 0
+    };
+  }
+
+  // Add the complexity field to the query's root selection set (once)
+  withComplexity(query) {
+    if (/\bcomplexity\s*\{/.test(query)) return query;
+    const open = query.indexOf('{');
+    if (open === -1) return query;
+    return `${query.slice(0, open + 1)} ${COMPLEXITY_FIELD}${query.slice(open + 1)}`;
+  }
+
+  // Run fn when the budget allows; interactive work is dequeued first
+  schedule(fn, priority = 'interactive') {
+    const queue = this.queues[PRIORITIES.includes(priority) ? priority : 'interactive'];
+
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject, queuedAt: Date.now() });
+      this.stats.scheduled[queue === this.queues.batch ? 'batch' : 'interactive']++;
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.maxConcurrent) {
+      const priority = PRIORITIES.find(p => this.queues[p].length > 0);
+      if (!priority) return;
+
+      const waitMs = this.getWaitMs(priority);
+      if (waitMs > 0) {
+        this.sleepUntilReset(waitMs);
+        return;
+      }
+
+      const job = this.queues[priority].shift();
+      this.stats.totalWaitMs += Date.now() - job.queuedAt;
+      this.active++;
+
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  // How long a call of this priority must wait for the budget window to reset
+  getWaitMs(priority) {
+    if (this.remaining === null || this.resetAt === null) return 0;
+
+    const untilReset = this.resetAt - Date.now();
+    if (untilReset <= 0) {
+      this.remaining = null;
+      this.resetAt = null;
+      return 0;
+    }
+
+    const floor = this.budgetPerMinute * this.reserve[priority];
+    return this.remaining <= floor ? untilReset : 0;
+  }
+
+  sleepUntilReset(waitMs) {
+    if (this.wakeTimer) return;
+    this.stats.throttled++;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.drain();
+    }, waitMs);
+    this.wakeTimer.unref?.();
+  }
+
+  // Update the budget from a response's complexity field
+  recordComplexity(complexity) {
+    if (!complexity || typeof complexity.after !== 'number') return;
+
+    const cost = Math.max(0, (complexity.before ?? complexity.after) - complexity.after);
+    this.usage.push({ at: Date.now(), cost });
+    this.pruneUsage();
+    this.remaining = complexity.after;
+    this.resetAt = Date.now() + (complexity.reset_in_x_seconds || 60) * 1000;
+  }
+
+  // A ComplexityException means the budget is gone until the window resets
+  recordRateLimit(resetInSeconds = 60) {
+    this.stats.rateLimited++;
+    this.remaining = 0;
+    this.resetAt = Date.now() + resetInSeconds * 1000;
+  }
+
+  // Drop usage older than the one-minute window (entries are in time order)
+  pruneUsage() {
+    const windowStart = Date.now() - 60 * 1000;
+    while (this.usage.length > 0 && this.usage[0].at < windowStart) this.usage.shift();
+  }
+
+  getStats() {
+    this.pruneUsage();
+    const usedLastMinute = this.usage.reduce((sum, u) => sum + u.cost, 0);
+    const resetInSeconds = this.resetAt ? Math.max(0, Math.ceil((this.resetAt - Date.now()) / 1000)) : null;
+
+    return {
+      budgetPerMinute: this.budgetPerMinute,
+      remaining: this.remaining,
+      resetInSeconds,
+      usedLastMinute,
+      active: this.active,
+      queued: {
+        interactive: this.queues.interactive.length,
+        batch: this.queues.batch.length
+      },
+      ...this.stats,
+      scheduled: { ...this.stats.scheduled }
+    };
+  }
+
+  reset() {
+    if (this.wakeTimer) clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+    this.remaining = null;
+    this.resetAt = null;
+    this.usage = [];
+    this.stats = {
+      scheduled: { interactive: 0, batch: 0 },
+      throttled: 0,
+      rateLimited: 0,
+      totalWaitMs: 0
+    };
+  }
+}
+
+// Singleton instance - the budget is shared by every caller on the account
+const complexityScheduler = new ComplexityScheduler();
+
+module.exports = complexityScheduler;
+module.exports.ComplexityScheduler = ComplexityScheduler;
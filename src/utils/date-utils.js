@@ -0,0 +1,285 @@
+/**
+ * Date utilities with explicit timezones
+ *
+ * Monday.com stores a due date as a calendar day (`YYYY-MM-DD`), optionally
+ * with a UTC time. `new Date('2026-03-02')` is midnight UTC, which is still
+ * March 1st on the US west coast, so calendar days are never compared through
+ * the server's clock here. Every function that depends on "which day is it"
+ * takes an IANA `timeZone`; leaving it out means the server's own timezone.
+ *
+ * @module utils/date-utils
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+// Intl formatter per timezone (undefined = the server's), created once
+function partsFormatter(timeZone) {
+  const key = timeZone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(key);
+}
+
+// Wall-clock fields of an instant in a timezone
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Offset of a timezone from UTC at an instant, in ms (positive east of UTC)
+function offsetAt(time, timeZone) {
+  const p = zonedParts(new Date(time), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+}
+
+// The instant a wall-clock time occurs in a timezone
+function zonedTime(year, month, day, hour, minute, second, ms, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const first = offsetAt(wall - offsetAt(wall, timeZone), timeZone);
+  return new Date(wall - first);
+}
+
+function isValidDate(date) {
+  return date instanceof Date && !Number.isNaN(date.getTime());
+}
+
+// Dates pass through; anything else goes through parseDate
+function toDate(value, timeZone) {
+  if (value instanceof Date) return isValidDate(value) ? value : null;
+  return parseDate(value, timeZone);
+}
+
+/**
+ * Parse a date from Monday.com, an API parameter or a user
+ *
+ * - `YYYY-MM-DD`, `MM/DD/YYYY` and `DD/MM/YYYY` (when the first number is over 12):
+ *   the start of that day in `timeZone`
+ * - `YYYY-MM-DDTHH:MM[:SS]` (or with a space): that wall-clock time in `timeZone`,
+ *   unless it ends in `Z` or an offset
+ *
+ * @param {string|Date} value
+ * @param {string} [timeZone]
+ * @returns {Date|null} null for empty or unrecognized values
+ */
+function parseDate(value, timeZone) {
+  if (value instanceof Date) return isValidDate(value) ? new Date(value) : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim();
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.exec(text);
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0, zone] = match;
+    if (zone) return toDate(new Date(text));
+    return checked(+year, +month, +day, zonedTime(+year, +month, +day, +hour, +minute, +second, 0, timeZone), timeZone);
+  }
+
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) {
+    const [first, second, year] = match.slice(1).map(Number);
+    const [month, day] = first > 12 ? [second, first] : [first, second];
+    return checked(year, month, day, zonedTime(year, month, day, 0, 0, 0, 0, timeZone), timeZone);
+  }
+
+  return null;
+}
+
+// Rejects dates that rolled over (e.g. February 30th)
+function checked(year, month, day, date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return p.year === year && p.month === month && p.day === day ? date : null;
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ *
+ * @param {Date|string} date
+ * @param {string} [timeZone]
+ * @returns {string|null} YYYY-MM-DD, or null for invalid dates
+ */
+function toISODateString(date, timeZone) {
+  const value = toDate(date, timeZone);
+  if (!value) return null;
+  const p = zonedParts(value, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Same wall-clock time a number of calendar days later (or earlier)
+ *
+ * @param {Date} date
+ * @param {number} days
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function addDays(date, days, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return zonedTime(p.year, p.month, p.day + days, p.hour, p.minute, p.second, date.getMilliseconds(), timeZone);
+}
+
+/**
+ * Calendar day a number of days after (or before) another, e.g. to postpone a due date.
+ * Works on the date alone, so the server's timezone never shifts it.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string|null} YYYY-MM-DD, or null for an invalid date
+ */
+function addCalendarDays(date, days) {
+  const day = parseDate(date, 'UTC');
+  return day && toISODateString(addDays(day, days, 'UTC'), 'UTC');
+}
+
+/**
+ * First instant of the calendar day a date falls on in a timezone
+ *
+ * @param {Date|string} date
+ * @param {string} [timeZone]
+ * @returns {Date|null}
+ */
+function startOfDay(date, timeZone) {
+  const value = toDate(date, timeZone);
+  if (!value) return null;
+  const p = zonedParts(value, timeZone);
+  return zonedTime(p.year, p.month, p.day, 0, 0, 0, 0, timeZone);
+}
+
+/**
+ * Last millisecond of the calendar day a date falls on in a timezone
+ *
+ * @param {Date|string} date
+ * @param {string} [timeZone]
+ * @returns {Date|null}
+ */
+function endOfDay(date, timeZone) {
+  const start = startOfDay(date, timeZone);
+  return start && new Date(addDays(start, 1, timeZone).getTime() - 1);
+}
+
+// Whole calendar days from `now`'s date to `date`'s date (negative in the past)
+function calendarDaysFrom(date, timeZone, now) {
+  const day = toISODateString(date, timeZone);
+  return day && (Date.parse(day) - Date.parse(toISODateString(now, timeZone))) / DAY_MS;
+}
+
+/**
+ * Whether a date falls on today's date in a timezone
+ *
+ * @param {Date|string} date
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isToday(date, timeZone, now = new Date()) {
+  return calendarDaysFrom(date, timeZone, now) === 0;
+}
+
+/**
+ * Whether a date falls before today's date in a timezone (today is not overdue)
+ *
+ * @param {Date|string} date
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isOverdue(date, timeZone, now = new Date()) {
+  const days = calendarDaysFrom(date, timeZone, now);
+  return days !== null && days < 0;
+}
+
+/**
+ * Whether a date falls from today through `days` days from now in a timezone
+ *
+ * @param {Date|string} date
+ * @param {number} days
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isWithinDays(date, days, timeZone, now = new Date()) {
+  const diff = calendarDaysFrom(date, timeZone, now);
+  return diff !== null && diff >= 0 && diff <= days;
+}
+
+/**
+ * Number of calendar days between two dates in a timezone, ignoring order
+ *
+ * @param {Date|string} a
+ * @param {Date|string} b
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+function daysBetween(a, b, timeZone) {
+  return Math.abs(calendarDaysFrom(a, timeZone, toDate(b, timeZone)));
+}
+
+/**
+ * Human-readable date, e.g. "Jan 15, 2024"
+ *
+ * @param {Date|string} date
+ * @param {string} [timeZone]
+ * @returns {string} 'No date' for empty values, 'Invalid date' for unparseable ones
+ */
+function formatDate(date, timeZone) {
+  if (!date) return 'No date';
+  const value = toDate(date, timeZone);
+  if (!value) return 'Invalid date';
+  return value.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone });
+}
+
+/**
+ * Remove entries whose `date` is more than `days` days old
+ *
+ * @param {Map<string, {date: string}>|Object<string, {date: string}>} store
+ * @param {number} days
+ * @param {Date} [now]
+ * @returns {number} How many entries were removed
+ */
+function cleanupOldDates(store, days, now = new Date()) {
+  const cutoff = now.getTime() - days * DAY_MS;
+  const isOld = entry => {
+    const time = entry && Date.parse(entry.date);
+    return Number.isFinite(time) && time < cutoff;
+  };
+
+  let removed = 0;
+  if (store instanceof Map) {
+    for (const [key, entry] of store) {
+      if (isOld(entry)) { store.delete(key); removed++; }
+    }
+  } else {
+    for (const key of Object.keys(store)) {
+      if (isOld(store[key])) { delete store[key]; removed++; }
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  addDays,
+  addCalendarDays,
+  startOfDay,
+  endOfDay,
+  isToday,
+  isOverdue,
+  isWithinDays,
+  formatDate,
+  toISODateString,
+  parseDate,
+  daysBetween,
+  cleanupOldDates
+};
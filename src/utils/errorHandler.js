@@ -9,7 +9,9 @@ class ErrorHandler {
   }
 
   // Exponential backoff retry logic
-  async retry(operation, context = 'operation') {
+  // options.shouldRetry(error) can stop retrying early for permanent failures
+  async retry(operation, context = 'operation', options = {}) {
+    const shouldRetry = options.shouldRetry || (() => true);
     let lastError;
     
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
@@ -33,6 +35,11 @@ class ErrorHandler {
           break;
         }
         
+        // Permanent failures (auth, bad request) are surfaced as-is
+        if (!shouldRetry(error)) {
+          throw error;
+        }
+        
         // Calculate backoff delay (exponential)
         const delay = this.baseDelay * Math.pow(2, attempt - 1);
         console.log(`⏳ Retrying in ${delay}ms...`);
@@ -42,7 +49,7 @@ class ErrorHandler {
     }
     
     // All retries failed
-    throw new Error(`${context} failed after ${this.maxRetries} attempts: ${lastError.message}`);
+    throw new Error(`${context} failed after ${this.maxRetries} attempts: ${lastError.message}`, { cause: lastError });
   }
 
   // Rate limit handling
@@ -0,0 +1,65 @@
+/**
+ * JsonFile - The JSON file a store under data/ persists to
+ *
+ * Stores read their file once on startup and write it after every change:
+ *
+ * - Writes go to a `.tmp` file that is renamed over the store file, so a crash
+ *   mid-write leaves the previous version in place
+ * - Failures are logged, never thrown: a missing, corrupt or cut-off file reads
+ *   as null (the store starts empty), and a failed write keeps the change in
+ *   memory for the next save
+ *
+ * @module utils/jsonFile
+ */
+
+const fs = require('fs');
+const path = require('path');
+const baseLogger = require('./logger');
+
+class JsonFile {
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {string} options.name - What the file holds, for log messages, e.g. 'digest messages'
+   * @param {Object} [options.logger] - Logger with error(message, error) (default: the structured logger)
+   */
+  constructor(filePath, { name, logger = baseLogger.child({ component: 'jsonFile' }) }) {
+    this.filePath = filePath;
+    this.tmpPath = filePath + '.tmp';
+    this.name = name;
+    this.logger = logger;
+  }
+
+  /**
+   * @returns {*} The saved value, or null when there is none or it can't be read
+   */
+  read() {
+    try {
+      if (!fs.existsSync(this.filePath)) return null;
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      this.logger.error(`Failed to load ${this.name} from ${this.filePath}`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the file's contents atomically
+   *
+   * @param {*} data - JSON-serializable value
+   * @returns {boolean} Whether it was written
+   */
+  write(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(this.tmpPath, this.filePath);
+      return true;
+    } catch (err) {
+      this.logger.error(`Failed to persist ${this.name}`, err);
+      return false;
+    }
+  }
+}
+
+module.exports = { JsonFile };
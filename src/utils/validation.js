@@ -0,0 +1,81 @@
+// src/utils/validation.js
+// Input validation for values that arrive from Slack payloads before they reach Monday.com
+
+const ID_PATTERN = /^\d+$/;
+const COLUMN_ID_PATTERN = /^[A-Za-z0-9_]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Validate a numeric Monday.com ID (item, board, user). Returns the trimmed ID or null.
+function validateId(id) {
+  if (typeof id !== 'string' && typeof id !== 'number') return null;
+  const trimmed = String(id).trim();
+  return ID_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+function validateTaskId(taskId) {
+  return validateId(taskId);
+}
+
+function validateBoardId(boardId) {
+  return validateId(boardId);
+}
+
+// Validate a Monday.com column ID (e.g. "status", "date4", "person_1"). Returns the ID or null.
+function validateColumnId(columnId) {
+  if (typeof columnId !== 'string') return null;
+  const trimmed = columnId.trim();
+  return COLUMN_ID_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+// Parse JSON without throwing; returns fallback for empty or malformed input
+function safeJsonParse(value, fallback = null) {
+  if (typeof value !== 'string' || value === '') return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function validateEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email);
+}
+
+// Escape a string for use inside a quoted GraphQL string literal.
+// Prefer GraphQL variables (mondayClient.query(q, { variables })) over inlining values.
+function sanitizeForGraphQL(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+// Validate a YYYY-MM-DD date (optionally with a time part) that exists in the calendar
+function validateDate(value) {
+  if (typeof value !== 'string') return false;
+  const match = value.match(DATE_PATTERN);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const isRealDay = date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+
+  return isRealDay && !Number.isNaN(Date.parse(value));
+}
+
+module.exports = {
+  validateId,
+  validateTaskId,
+  validateBoardId,
+  validateColumnId,
+  safeJsonParse,
+  validateEmail,
+  sanitizeForGraphQL,
+  validateDate
+};
@@ -0,0 +1,43 @@
+// src/utils/workerPool.js
+// Runs an async worker over a list with at most `concurrency` items in flight.
+// Pacing is left to the shared clients the worker calls: Monday.com requests go
+// through the complexity scheduler, and a Slack 429 pauses the shared WebClient's
+// request queue, so every worker backs off together. A failing item never stops
+// the others; each result records its own outcome and timing.
+
+/**
+ * @param {Array} items
+ * @param {Function} worker - async (item, index) => value
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - Items processed at the same time
+ * @param {Function} [options.onResult] - Called with each result as it settles
+ * @returns {Promise<Array<{item, ok: boolean, value?, error?: Error, durationMs: number}>>}
+ *   One result per item, in input order
+ */
+async function runPool(items, worker, { concurrency = 1, onResult } = {}) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      const started = Date.now();
+      let result;
+      try {
+        const value = await worker(item, index);
+        result = { item, ok: true, value, durationMs: Date.now() - started };
+      } catch (error) {
+        result = { item, ok: false, error, durationMs: Date.now() - started };
+      }
+      results[index] = result;
+      if (onResult) onResult(result);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+module.exports = { runPool };
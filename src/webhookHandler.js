@@ -1,21 +1,18 @@
 const { WebClient } = require('@slack/web-api');
-const axios = require('axios');
+const mondayClient = require('./mondayClient');
+const { decode } = require('./columnCodec');
+const mondayLinks = require('./mondayLinks');
+const columnMapping = require('./columnMapping');
+const identityMap = require('./identityMap');
+const { renderMessage, formatDueDate } = require('./messageFormatter');
+const { templates } = require('./messageTemplates');
 
 // Configuration
-const MONDAY_API_KEY = process.env.MONDAY_API_KEY;
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 
 // Initialize Slack client
 const slack = new WebClient(SLACK_BOT_TOKEN);
 
-const mondayAxios = axios.create({
-  baseURL: 'https://api.monday.com/v2',
-  headers: {
-    'Authorization': MONDAY_API_KEY,
-    'Content-Type': 'application/json'
-  }
-});
-
 // Logger
 const logger = {
   info: (msg, data = {}) => {
@@ -45,25 +42,11 @@ const logger = {
   }
 };
 
-// Monday.com GraphQL query helper
-async function mondayQuery(query) {
-  try {
-    const response = await mondayAxios.post('', { query });
-    if (response.data.errors) {
-      throw new Error(JSON.stringify(response.data.errors));
-    }
-    return response.data.data;
-  } catch (error) {
-    logger.error('Monday.com API error', error);
-    throw error;
-  }
-}
-
 // Get user details from Monday.com
 async function getMondayUser(userId) {
   const query = `
-    query {
-      users(ids: [${userId}]) {
+    query GetUser($userId: ID!) {
+      users(ids: [$userId]) {
         id
         name
         email
@@ -71,21 +54,22 @@ async function getMondayUser(userId) {
     }
   `;
   
-  const data = await mondayQuery(query);
+  const data = await mondayClient.query(query, { variables: { userId } });
   return data.users[0];
 }
 
 // Get full task details from Monday.com
 async function getTaskDetails(itemId, boardId) {
   const query = `
-    query {
-      items(ids: [${itemId}]) {
+    query GetTaskDetails($itemId: ID!) {
+      items(ids: [$itemId]) {
         id
         name
         created_at
         board {
           id
           name
+          type
         }
         column_values {
           id
@@ -97,144 +81,73 @@ async function getTaskDetails(itemId, boardId) {
     }
   `;
   
-  const data = await mondayQuery(query);
+  const data = await mondayClient.query(query, { variables: { itemId } });
   return data.items[0];
 }
 
-// Format task notification message for Slack
-function formatTaskNotification(task, assignedUserName) {
-  const dateColumn = task.column_values.find(cv => cv.type === 'date');
-  const statusColumn = task.column_values.find(cv => cv.type === 'status');
+// Format task notification message for Slack from the assignment template.
+// Dates are shown in the recipient's timezone (the server's when left out).
+function formatTaskNotification(task, assignedUserName, timeZone) {
+  const { dueDate: dateColumn, status: statusColumn } = columnMapping.resolve(task.board, task.column_values);
   
-  let dueDateText = 'No due date';
+  let dueDateText = null;
   if (dateColumn && dateColumn.value) {
-    const dateData = JSON.parse(dateColumn.value);
+    const dateData = decode(dateColumn);
     if (dateData.date) {
-      const dueDate = new Date(dateData.date);
-      dueDateText = dueDate.toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric', 
-        year: 'numeric' 
-      });
+      dueDateText = formatDueDate({ dueDate: dateData.date, dueTime: dateData.time || null }, timeZone);
     }
   }
   
-  const statusText = statusColumn?.text || 'No Status';
-  
-  const blocks = [
-    {
-      type: 'header',
-      text: {
-        type: 'plain_text',
-        text: '🎯 New Task Assigned!',
-        emoji: true
-      }
-    },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*${task.name}*`
-      }
-    },
-    {
-      type: 'section',
-      fields: [
-        {
-          type: 'mrkdwn',
-          text: `*Board:*\n${task.board.name}`
-        },
-        {
-          type: 'mrkdwn',
-          text: `*Status:*\n${statusText}`
-        },
-        {
-          type: 'mrkdwn',
-          text: `*Due Date:*\n${dueDateText}`
-        },
-        {
-          type: 'mrkdwn',
-          text: `*Assigned to:*\n${assignedUserName}`
-        }
-      ]
-    },
-    {
-      type: 'divider'
-    },
-    {
-      type: 'actions',
-      elements: [
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: '✅ Mark Complete',
-            emoji: true
-          },
-          action_id: `task_action_complete_${task.id}_${task.board.id}`,
-          style: 'primary'
-        },
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: '📝 Update Task',
-            emoji: true
-          },
-          action_id: `task_action_update_${task.id}_${task.board.id}`
-        },
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: '🔗 Open in Monday',
-            emoji: true
-          },
-          url: `https://drexcorp-company.monday.com/boards/${task.board.id}/pulses/${task.id}`
-        }
-      ]
-    },
-    {
-      type: 'context',
-      elements: [
-        {
-          type: 'mrkdwn',
-          text: `Assigned at ${new Date().toLocaleString('en-US')}`
-        }
-      ]
-    }
-  ];
-  
-  return { blocks };
+  return renderMessage(templates.assignment, {
+    taskName: task.name,
+    taskId: task.id,
+    boardId: task.board.id,
+    boardName: task.board.name,
+    status: statusColumn?.text,
+    dueDate: dueDateText,
+    assignee: assignedUserName,
+    assignedAt: new Date().toLocaleString('en-US', { timeZone }),
+    itemUrl: mondayLinks.itemUrl(task.board.id, task.id)
+  });
 }
 
-// Send notification to Slack user
-async function sendSlackNotification(userEmail, message) {
+// Slack timezone of a user, or DIGEST_DEFAULT_TZ (the server's when unset) if Slack doesn't say
+async function getSlackTimezone(slackUserId) {
   try {
-    // Look up Slack user by email
-    const slackUserResponse = await slack.users.lookupByEmail({ email: userEmail });
-    const slackUserId = slackUserResponse.user.id;
-    
-    // Open DM channel
-    const dmResponse = await slack.conversations.open({ users: slackUserId });
-    const channelId = dmResponse.channel.id;
-    
-    // Send message
-    await slack.chat.postMessage({
-      channel: channelId,
-      blocks: message.blocks,
-      text: '🎯 New Task Assigned!' // Fallback text for notifications
-    });
-    
-    logger.success(`Sent task assignment notification to ${userEmail}`, { channelId });
-    return true;
+    const info = await slack.users.info({ user: slackUserId });
+    return info.user.tz || process.env.DIGEST_DEFAULT_TZ;
   } catch (error) {
-    if (error.data?.error === 'users_not_found') {
-      logger.error(`Slack user not found for email: ${userEmail}`, error);
-      return false;
-    }
-    throw error;
+    logger.info(`Could not read the timezone of Slack user ${slackUserId}`, { error: error.message });
+    return process.env.DIGEST_DEFAULT_TZ;
+  }
+}
+
+// Send notification to the Slack user linked to a Monday user (see identityMap).
+// `message` can be a function of the recipient's timezone, for messages that show dates.
+async function sendSlackNotification(mondayUser, message) {
+  const slackUserId = await identityMap.findSlackUserId(mondayUser, slack);
+  if (!slackUserId) {
+    logger.error(`Slack user not found for Monday user ${mondayUser.id} (${mondayUser.email})`);
+    return false;
+  }
+  
+  if (typeof message === 'function') {
+    message = message(await getSlackTimezone(slackUserId));
   }
+  
+  // Open DM channel
+  const dmResponse = await slack.conversations.open({ users: slackUserId });
+  const channelId = dmResponse.channel.id;
+  
+  // Send message
+  await slack.chat.postMessage({
+    channel: channelId,
+    blocks: message.blocks,
+    text: message.text // Fallback text for notifications
+  });
+  
+  logger.success(`Sent task assignment notification to ${mondayUser.email}`, { channelId });
+  return true;
 }
 
 // Extract newly assigned users from webhook event
@@ -367,20 +280,29 @@ async function processWebhookEvent(event) {
     // Get task details
     const task = await getTaskDetails(event.pulseId, event.boardId);
     
+    // On boards with a mapped assignee column, other people columns (e.g. "Reviewer") aren't assignments
+    const assigneeColumnId = columnMapping.getMapping(task.board)?.assignee;
+    if (assigneeColumnId && assigneeColumnId !== event.columnId) {
+      logger.info('People column is not the mapped assignee column, skipping', {
+        columnId: event.columnId,
+        assigneeColumnId
+      });
+      return;
+    }
+    
     // Send notification to each newly assigned user
     for (const userId of newlyAssignedUserIds) {
       try {
         // Get user details from Monday.com
         const mondayUser = await getMondayUser(userId);
         
-        if (!mondayUser || !mondayUser.email) {
+        if (!mondayUser) {
           logger.error(`Could not find user with ID ${userId}`);
           continue;
         }
         
         // Format and send notification
-        const message = formatTaskNotification(task, mondayUser.name);
-        await sendSlackNotification(mondayUser.email, message);
+        await sendSlackNotification(mondayUser, timeZone => formatTaskNotification(task, mondayUser.name, timeZone));
         
         logger.success('Task assignment notification sent', {
           userId: mondayUser.id,
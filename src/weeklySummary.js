@@ -0,0 +1,429 @@
+/**
+ * WeeklySummary - Weekly team summary posted to a Slack channel
+ *
+ * Once a week (config/weeklySummary.json: day, hour and timezone) every team
+ * member's open tasks are counted the same way the daily digest sorts them:
+ *
+ * - overdue, and due this week (today plus the next 7 days, via organizeTasks)
+ * - completed last week: items in a done status last updated in the past 7 days
+ *   (Monday.com has no completion timestamp)
+ *
+ * The channel post has one line per person with a "View details" button that
+ * opens their breakdown by workspace and board. The latest summary and the
+ * date it was posted are kept in data/weekly-summary.json, so the buttons keep
+ * working after a restart and a restart doesn't post the same week twice.
+ * A post that fails is retried with a growing delay, up to MAX_ATTEMPTS times;
+ * one split over several messages picks up at the first message not posted.
+ *
+ * @module weeklySummary
+ */
+
+const path = require('path');
+const baseLogger = require('./utils/logger');
+const { JsonFile } = require('./utils/jsonFile');
+const { getAllBoards, getOpenTasksByAssignee, getCompletedTasksByAssignee, organizeTasks } = require('./tasksCommand');
+const { getLocalTime } = require('./digestScheduler');
+const { selectUsersByEmail } = require('./digestBuilder');
+const { validateEmail } = require('./utils/validation');
+
+const STATE_FILE = path.join(__dirname, '../data/weekly-summary.json');
+const DETAILS_ACTION_ID = 'weekly_summary_details';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BLOCKS = 50; // Slack limit per message
+const RETRY_DELAY_MS = 5 * 60 * 1000; // doubled after each failed attempt
+const MAX_ATTEMPTS = 3;
+
+const logger = baseLogger.child({ component: 'weeklySummary' });
+
+/**
+ * Read and check the summary settings; WEEKLY_SUMMARY_* environment variables
+ * override the config file
+ *
+ * @param {Object} [config] - Parsed config/weeklySummary.json
+ * @param {Object} [env]
+ * @returns {{channel: string|null, day: number, hour: number, timezone: string, members: Array<string>}}
+ * @throws {Error} For an invalid day, hour, timezone or member email
+ */
+function loadConfig(config = require(path.join(__dirname, '../config/weeklySummary.json')), env = process.env) {
+  const intOr = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+  const settings = {
+    channel: env.WEEKLY_SUMMARY_CHANNEL || config.channel || null,
+    day: intOr(env.WEEKLY_SUMMARY_DAY, config.day ?? 1),
+    hour: intOr(env.WEEKLY_SUMMARY_HOUR, config.hour ?? 9),
+    timezone: env.WEEKLY_SUMMARY_TZ || config.timezone || 'UTC',
+    members: (config.members || []).map(email => String(email).trim().toLowerCase())
+  };
+
+  if (!Number.isInteger(settings.day) || settings.day < 0 || settings.day > 6) {
+    throw new Error(`Invalid weekly summary day: ${settings.day} (expected 0-6, 0 = Sunday)`);
+  }
+  if (!Number.isInteger(settings.hour) || settings.hour < 0 || settings.hour > 23) {
+    throw new Error(`Invalid weekly summary hour: ${settings.hour} (expected 0-23)`);
+  }
+  getLocalTime(new Date(), settings.timezone); // throws RangeError for unknown timezones
+  const invalid = settings.members.filter(email => !validateEmail(email));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid weekly summary member email: ${invalid.join(', ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Count each person's tasks, in total and per board
+ *
+ * @param {Array<Object>} users - Team members ({ id, name, email })
+ * @param {Object} data
+ * @param {Array<Object>} data.boards - From getAllBoards (for workspace names)
+ * @param {Map<string, Array<Object>>} data.openByAssignee - From getOpenTasksByAssignee
+ * @param {Map<string, Array<Object>>} data.completedByAssignee - From getCompletedTasksByAssignee
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timezone='UTC'] - For the "week of" date and which tasks are overdue
+ * @returns {Object} { id, weekOf, generatedAt, totals, people: [...] }
+ */
+function buildTeamSummary(users, { boards, openByAssignee, completedByAssignee }, { now = new Date(), timezone = 'UTC' } = {}) {
+  const workspaceNames = new Map(boards.filter(b => b.workspace).map(b => [String(b.workspace.id), b.workspace.name]));
+  const totals = { overdue: 0, dueThisWeek: 0, completedLastWeek: 0 };
+
+  const people = users.map(user => {
+    const open = organizeTasks(openByAssignee.get(String(user.id)) || [], { upcomingDays: 7, timeZone: timezone, now });
+    const counts = {
+      overdue: open.overdue,
+      dueThisWeek: [...open.dueToday, ...open.upcoming],
+      completedLastWeek: completedByAssignee.get(String(user.id)) || []
+    };
+
+    // Subitems count towards their parent board
+    const byBoard = new Map();
+    for (const [key, tasks] of Object.entries(counts)) {
+      for (const task of tasks) {
+        const boardId = task.parentBoardId || task.boardId;
+        if (!byBoard.has(boardId)) {
+          byBoard.set(boardId, {
+            boardId,
+            boardName: task.boardName,
+            workspaceId: task.workspaceId,
+            workspaceName: workspaceNames.get(String(task.workspaceId)) || null,
+            overdue: 0,
+            dueThisWeek: 0,
+            completedLastWeek: 0
+          });
+        }
+        byBoard.get(boardId)[key]++;
+      }
+    }
+
+    const person = {
+      userId: String(user.id),
+      name: user.name,
+      email: user.email,
+      overdue: counts.overdue.length,
+      dueThisWeek: counts.dueThisWeek.length,
+      completedLastWeek: counts.completedLastWeek.length,
+      boards: [...byBoard.values()].sort((a, b) =>
+        String(a.workspaceName).localeCompare(String(b.workspaceName)) || a.boardName.localeCompare(b.boardName))
+    };
+    for (const key of Object.keys(totals)) totals[key] += person[key];
+    return person;
+  });
+
+  people.sort((a, b) => b.overdue - a.overdue || a.name.localeCompare(b.name));
+
+  return {
+    id: `summary_${now.getTime()}`,
+    weekOf: getLocalTime(now, timezone).date,
+    generatedAt: now.toISOString(),
+    totals,
+    people
+  };
+}
+
+function countsLine({ overdue, dueThisWeek, completedLastWeek }) {
+  return `🔴 ${overdue} overdue • 📅 ${dueThisWeek} due this week • ✅ ${completedLastWeek} completed last week`;
+}
+
+/**
+ * Channel messages for a summary: one line per person with a "View details"
+ * button, split so no message has more than 50 blocks
+ *
+ * @param {Object} summary - From buildTeamSummary
+ * @returns {Array<Array<Object>>} Block lists, one per message
+ */
+function formatTeamSummary(summary) {
+  const intro = [
+    { type: 'header', text: { type: 'plain_text', text: '📊 Weekly Team Summary', emoji: true } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `*Week of ${summary.weekOf}* • ${summary.people.length} people` }] },
+    { type: 'section', text: { type: 'mrkdwn', text: `*Team:* ${countsLine(summary.totals)}` } },
+    { type: 'divider' }
+  ];
+
+  const personBlocks = summary.people.map(person => ({
+    type: 'section',
+    text: { type: 'mrkdwn', text: `*${person.name}*\n${countsLine(person)}` },
+    accessory: {
+      type: 'button',
+      text: { type: 'plain_text', text: 'View details' },
+      action_id: `${DETAILS_ACTION_ID}_${person.userId}`,
+      value: `${summary.id}:${person.userId}`
+    }
+  }));
+
+  if (personBlocks.length === 0) {
+    return [[...intro, { type: 'section', text: { type: 'mrkdwn', text: 'No team members found.' } }]];
+  }
+
+  const messages = [];
+  let blocks = intro;
+  for (const block of personBlocks) {
+    if (blocks.length >= MAX_BLOCKS) {
+      messages.push(blocks);
+      blocks = [];
+    }
+    blocks.push(block);
+  }
+  messages.push(blocks);
+  return messages;
+}
+
+/**
+ * Modal with one person's counts per workspace and board
+ *
+ * @param {Object} person - An entry of summary.people
+ * @param {Object} summary
+ * @returns {Object} Slack modal view
+ */
+function buildDetailsModal(person, summary) {
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `*${person.name}* — week of ${summary.weekOf}\n${countsLine(person)}` } }
+  ];
+
+  let workspace;
+  for (const board of person.boards) {
+    const name = board.workspaceName || 'Other workspace';
+    if (name !== workspace) {
+      workspace = name;
+      blocks.push({ type: 'divider' }, { type: 'section', text: { type: 'mrkdwn', text: `*🏢 ${name}*` } });
+    }
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `*${board.boardName}*: ${countsLine(board)}` }] });
+    if (blocks.length >= 95) break; // modals allow 100 blocks
+  }
+
+  if (person.boards.length === 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: 'No tasks this week.' }] });
+  }
+
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: 'Weekly Summary' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks
+  };
+}
+
+class WeeklySummary {
+  /**
+   * @param {Object} options
+   * @param {Object} options.slack - Slack WebClient (chat.postMessage)
+   * @param {Function} options.getUsers - async () => active Monday users
+   * @param {Object} [options.config] - Settings from loadConfig()
+   * @param {string} [options.filePath] - Where the latest summary is persisted
+   * @param {number} [options.retryDelayMs] - Wait after the first failed post,
+   *   doubled after each further failure (default: 5 minutes)
+   * @param {number} [options.maxAttempts] - Failed posts per week before giving up
+   *   until the next one (default: 3)
+   */
+  constructor(options) {
+    this.slack = options.slack;
+    this.getUsers = options.getUsers;
+    this.config = options.config || loadConfig();
+    this.filePath = options.filePath || STATE_FILE;
+    this.file = new JsonFile(this.filePath, { name: 'weekly summary state', logger });
+    this.retryDelayMs = options.retryDelayMs ?? RETRY_DELAY_MS;
+    this.maxAttempts = options.maxAttempts ?? MAX_ATTEMPTS;
+
+    // progress: { date, sent, threadTs } of a post that stopped partway
+    this.state = { lastPostedDate: null, summary: null, progress: null };
+    // Failed posts of the due day (in memory: a restart starts counting again)
+    this.failure = null;
+    this.ticking = false;
+    this._interval = null;
+    this._load();
+  }
+
+  /** Load the latest summary from disk on startup */
+  _load() {
+    const saved = this.file.read();
+    if (saved) this.state = saved;
+  }
+
+  /** Persist the latest summary atomically */
+  _save() {
+    this.file.write(this.state);
+  }
+
+  /**
+   * Fetch the team's tasks and build a summary (nothing is posted)
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object>} From buildTeamSummary
+   */
+  async generate(now = new Date()) {
+    const { users, unmatched } = selectUsersByEmail(
+      await this.getUsers(),
+      this.config.members.length > 0 ? this.config.members : null
+    );
+    if (unmatched.length > 0) {
+      logger.warn('Weekly summary members are not active Monday.com users', { emails: unmatched });
+    }
+
+    const options = { priority: 'batch' };
+    const boards = await getAllBoards(options);
+    const openByAssignee = await getOpenTasksByAssignee(boards, options);
+    const completedByAssignee = await getCompletedTasksByAssignee(boards, new Date(now.getTime() - 7 * DAY_MS), options);
+
+    return buildTeamSummary(users, { boards, openByAssignee, completedByAssignee }, { now, timezone: this.config.timezone });
+  }
+
+  /**
+   * Build the summary and post it to the channel
+   *
+   * Progress is saved after every message. If a post stopped partway on the
+   * same local day, the saved summary is posted on from its first unsent message.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object>} The posted summary
+   */
+  async post(now = new Date()) {
+    if (!this.config.channel) throw new Error('No weekly summary channel configured');
+
+    const date = getLocalTime(now, this.config.timezone).date;
+    let progress = this.state.progress?.date === date ? this.state.progress : null;
+    const summary = progress ? this.state.summary : await this.generate(now);
+    progress = progress || { date, sent: 0, threadTs: null };
+
+    for (const blocks of formatTeamSummary(summary).slice(progress.sent)) {
+      // Overflow messages go in the first message's thread
+      const response = await this.slack.chat.postMessage({
+        channel: this.config.channel,
+        blocks,
+        text: `📊 Weekly Team Summary (week of ${summary.weekOf})`,
+        ...(progress.threadTs && { thread_ts: progress.threadTs })
+      });
+      progress = { ...progress, sent: progress.sent + 1, threadTs: progress.threadTs || response.ts };
+      // From the first message on, its buttons need this summary
+      this.state = { ...this.state, summary, progress };
+      this._save();
+    }
+
+    this.failure = null;
+    this.state = { lastPostedDate: date, summary, progress: null };
+    this._save();
+    logger.info('Weekly summary posted', { channel: this.config.channel, people: summary.people.length });
+    return summary;
+  }
+
+  /** One person from the latest summary, or null if that summary was replaced */
+  getPerson(summaryId, userId) {
+    const { summary } = this.state;
+    if (!summary || summary.id !== summaryId) return null;
+    return summary.people.find(p => p.userId === String(userId)) || null;
+  }
+
+  /**
+   * Whether the configured day and hour have come, this week's summary isn't
+   * posted yet and no failed post is waiting out its retry delay
+   */
+  isDue(now = new Date()) {
+    if (!this.config.channel) return false;
+    const local = getLocalTime(now, this.config.timezone);
+    const { failure } = this;
+    if (failure?.date === local.date && (failure.attempts >= this.maxAttempts || now.getTime() < failure.retryAt)) {
+      return false;
+    }
+    return local.weekday === this.config.day &&
+      local.hour >= this.config.hour &&
+      this.state.lastPostedDate !== local.date;
+  }
+
+  /** Hold off retrying a failed post, and give up for the week after maxAttempts */
+  markFailed(now = new Date()) {
+    const date = getLocalTime(now, this.config.timezone).date;
+    const attempts = this.failure?.date === date ? this.failure.attempts + 1 : 1;
+    this.failure = { date, attempts, retryAt: now.getTime() + this.retryDelayMs * 2 ** (attempts - 1) };
+    if (attempts >= this.maxAttempts) {
+      logger.warn(`Giving up on the weekly summary for ${date} after ${attempts} failed attempts`);
+    }
+  }
+
+  /**
+   * Post the summary if it is due
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object|null>} The posted summary, or null
+   */
+  async tick(now = new Date()) {
+    if (this.ticking || !this.isDue(now)) return null;
+    this.ticking = true;
+    try {
+      return await this.post(now);
+    } catch (error) {
+      this.markFailed(now);
+      throw error;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Check every 5 minutes; the timer doesn't keep the process alive
+  start(intervalMs = 5 * 60 * 1000) {
+    if (this._interval) return;
+    const run = () => this.tick().catch(error => logger.error('Weekly summary failed', error));
+    this._interval = setInterval(run, intervalMs);
+    this._interval.unref();
+    run();
+  }
+
+  stop() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+}
+
+// Register the "View details" buttons of the channel post
+function registerWeeklySummary(slackApp, weeklySummary) {
+  slackApp.action(new RegExp(`^${DETAILS_ACTION_ID}_`), async ({ action, ack, body, client }) => {
+    await ack();
+
+    const [summaryId, userId] = String(action.value).split(':');
+    const person = weeklySummary.getPerson(summaryId, userId);
+    try {
+      if (!person) {
+        await client.chat.postEphemeral({
+          channel: body.channel?.id || body.user.id,
+          user: body.user.id,
+          text: 'This summary has been replaced by a newer one. Use the buttons on the latest weekly summary.'
+        });
+        return;
+      }
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildDetailsModal(person, weeklySummary.state.summary)
+      });
+    } catch (error) {
+      logger.error('Failed to open weekly summary details', error);
+    }
+  });
+}
+
+module.exports = {
+  WeeklySummary,
+  registerWeeklySummary,
+  loadConfig,
+  buildTeamSummary,
+  formatTeamSummary,
+  buildDetailsModal
+};